@@ -2,164 +2,80 @@ const os = require("os");
 const path = require("path");
 const fs = require("fs");
 const { randomBytes } = require("crypto");
-const { spawn } = require("child_process");
 const dotenv = require("dotenv");
 const screenshot = require("screenshot-desktop");
 const { io } = require("socket.io-client");
-
-const resolveEnvPath = () => {
-  const candidates = [
-    path.join(process.cwd(), ".env"),
-    path.join(path.dirname(process.execPath), ".env"),
-    path.join(__dirname, ".env"),
-  ];
-
-  for (const envPath of candidates) {
-    if (fs.existsSync(envPath)) return envPath;
-  }
-
-  return "";
-};
+const { createInputBackend, resolveInputBackendName } = require("./src/input");
+const { createClipboardBackend, createClipboardSync } = require("./src/clipboard");
+const { createFileTransferManager } = require("./src/fileTransfer");
+const { createSessionRecorder } = require("./src/recording/recorder");
+const { createControlApiServer, createControlApiError, CONTROL_API_HOST } = require("./src/controlApi");
+const { createMetricsRegistry, createMetricsServer, METRICS_HOST } = require("./src/metrics");
+const { configureLogging, addLogRedaction, createLogger, isLevelEnabled } = require("./src/logging");
+const { createRotatingFileSink } = require("./src/logging/rotatingFile");
+const {
+  sanitizeHostId,
+  sanitizeToken,
+  resolveEnvPath,
+  loadConfig,
+  applyConfigUpdate,
+  mergeReloadedConfig,
+  formatChanges,
+  formatConfigReport,
+} = require("./src/config");
+const { createConfigFileWatcher } = require("./src/config/watcher");
+const { createConsentPolicy } = require("./src/consent");
+const { createSessionRegistry } = require("./src/sessions");
+const { createBlockingDialogPrompt } = require("./src/consent/prompts");
+const { evaluateLaunch, UNPROMPTABLE_REASONS } = require("./src/launch");
+const { createLaunchAuditLog } = require("./src/launch/audit");
+const { loadOrCreateIdentity, createE2eHandshake } = require("./src/e2e");
+const {
+  isSignedToken,
+  createSessionTokenManager,
+  loadOrCreateHostSecret,
+  markHostSecretProvisioned,
+} = require("./src/auth");
+const {
+  normalizePermission,
+  getPermissionRank,
+  isInputAllowed,
+  describePermission,
+} = require("./src/permissions");
+const { createInputRejectionReporter } = require("./src/input/rejectionReporter");
+const { sanitizeInputEvent, createTokenBucket } = require("./src/input/validation");
+const { createHeldInputTracker } = require("./src/input/heldInputs");
+const { createInputSupervisor } = require("./src/input/supervisor");
+const { createFrameFlowController } = require("./src/frames/frameFlow");
+const { createFrameEncoderWorker } = require("./src/frames/encoderWorker");
+const {
+  ALL_DISPLAYS_ID,
+  normalizeDisplayList,
+  getVirtualDisplayBounds,
+} = require("./src/displays");
+const { createCaptureSource } = require("./src/capture");
+const { createCursorBackend, createCursorStream } = require("./src/cursor");
 
 const envPath = resolveEnvPath();
+// Taken before `.env` is merged in, so the config report can tell the two apart.
+const processEnv = { ...process.env };
 if (envPath) {
   dotenv.config({ path: envPath, quiet: true });
 }
 
-const sanitizeHostId = (value, maxLength = 64) =>
-  String(value || "")
-    .trim()
-    .replace(/[^a-zA-Z0-9_-]/g, "")
-    .slice(0, maxLength);
-
-const sanitizeToken = (value, maxLength = 256) =>
-  String(value || "")
-    .trim()
-    .slice(0, maxLength);
-
-const normalizeServerUrl = (value) => {
-  const raw = String(value || "").trim();
-  if (!raw) return "";
-
-  try {
-    const parsed = new URL(raw);
-    const protocol = String(parsed.protocol || "").toLowerCase();
-    if (protocol !== "http:" && protocol !== "https:") return "";
-    parsed.hash = "";
-    return parsed.toString().replace(/\/$/, "");
-  } catch {
-    return "";
-  }
-};
-
-const toPositiveNumber = (value) => {
-  const parsed = Number(value);
-  if (!Number.isFinite(parsed) || parsed <= 0) return null;
-  return parsed;
-};
-
-const parseLaunchOverrides = (argv = []) => {
-  const overrides = {
-    serverUrl: "",
-    hostId: "",
-    remoteControlToken: "",
-    displayId: "",
-    fps: null,
-    source: "",
-  };
-
-  const applyProtocolUrl = (candidate) => {
-    const rawCandidate = String(candidate || "").trim();
-    if (!rawCandidate) return false;
-
-    let parsed;
-    try {
-      parsed = new URL(rawCandidate);
-    } catch {
-      return false;
-    }
-
-    if (String(parsed.protocol || "").toLowerCase() !== "hostapp:") {
-      return false;
-    }
-
-    const protocolServerUrl = normalizeServerUrl(
-      parsed.searchParams.get("server") ||
-        parsed.searchParams.get("serverUrl") ||
-        parsed.searchParams.get("url")
-    );
-    const protocolHostId = sanitizeHostId(
-      parsed.searchParams.get("hostId") ||
-        parsed.searchParams.get("hostid") ||
-        parsed.searchParams.get("id"),
-      64
-    );
-    const protocolToken = sanitizeToken(
-      parsed.searchParams.get("token") ||
-        parsed.searchParams.get("authToken") ||
-        parsed.searchParams.get("auth"),
-      256
-    );
-    const protocolDisplayId = String(
-      parsed.searchParams.get("displayId") ||
-        parsed.searchParams.get("display") ||
-        ""
-    ).trim();
-    const protocolFps = toPositiveNumber(parsed.searchParams.get("fps"));
-
-    if (protocolServerUrl) overrides.serverUrl = protocolServerUrl;
-    if (protocolHostId) overrides.hostId = protocolHostId;
-    if (protocolToken) overrides.remoteControlToken = protocolToken;
-    if (protocolDisplayId) overrides.displayId = protocolDisplayId;
-    if (protocolFps) overrides.fps = protocolFps;
-
-    overrides.source = "protocol";
-    return true;
-  };
-
-  for (let index = 0; index < argv.length; index += 1) {
-    const arg = String(argv[index] || "").trim();
-    if (!arg) continue;
-
-    if (applyProtocolUrl(arg)) continue;
-
-    if (arg.startsWith("--server=")) {
-      const serverUrl = normalizeServerUrl(arg.slice("--server=".length));
-      if (serverUrl) overrides.serverUrl = serverUrl;
-      if (!overrides.source) overrides.source = "cli";
-      continue;
-    }
-
-    if (arg.startsWith("--host-id=")) {
-      const hostId = sanitizeHostId(arg.slice("--host-id=".length), 64);
-      if (hostId) overrides.hostId = hostId;
-      if (!overrides.source) overrides.source = "cli";
-      continue;
-    }
-
-    if (arg.startsWith("--token=")) {
-      const token = sanitizeToken(arg.slice("--token=".length), 256);
-      if (token) overrides.remoteControlToken = token;
-      if (!overrides.source) overrides.source = "cli";
-      continue;
-    }
-
-    if (arg.startsWith("--display-id=")) {
-      const displayId = String(arg.slice("--display-id=".length) || "").trim();
-      if (displayId) overrides.displayId = displayId;
-      if (!overrides.source) overrides.source = "cli";
-      continue;
-    }
-
-    if (arg.startsWith("--fps=")) {
-      const fps = toPositiveNumber(arg.slice("--fps=".length));
-      if (fps) overrides.fps = fps;
-      if (!overrides.source) overrides.source = "cli";
-    }
-  }
+const log = createLogger();
 
-  return overrides;
+const configLoadOptions = {
+  argv: process.argv.slice(2),
+  env: processEnv,
+  envFilePath: envPath,
 };
+const agentConfig = loadConfig(configLoadOptions);
+if (agentConfig.printConfig) {
+  console.log(formatConfigReport(agentConfig));
+  process.exit(agentConfig.errors.length > 0 ? 1 : 0);
+}
+const config = agentConfig.values;
 
 const buildGeneratedHostId = () => {
   const hostPart = sanitizeHostId(os.hostname(), 20) || "device";
@@ -181,6 +97,21 @@ const getUserHostIdStoragePath = () => {
   return "";
 };
 
+// Log files live beside the per-user host id so they survive a moved or replaced exe.
+const getLogStorageDir = () => {
+  const appDataPath = String(process.env.APPDATA || "").trim();
+  if (appDataPath) {
+    return path.join(appDataPath, "calling-app-host-agent", "logs");
+  }
+
+  const homePath = String(os.homedir() || "").trim();
+  if (homePath) {
+    return path.join(homePath, ".calling-app-host-agent-logs");
+  }
+
+  return path.join(process.cwd(), "logs");
+};
+
 const getHostIdStoragePathCandidates = () => {
   const envDerivedHostIdPath = envPath
     ? path.join(path.dirname(envPath), ".host-id")
@@ -234,26 +165,28 @@ const persistHostId = (hostId) => {
   return "";
 };
 
-const resolveHostId = (overrideHostId = "") => {
+// A host id from the launch URL or command line is persisted; one from the environment
+// or config file is used as-is unless it is empty or a placeholder.
+const resolveHostId = (overrideHostId = "", configuredHostId = "") => {
   const normalizedOverrideHostId = sanitizeHostId(overrideHostId, 64);
   if (normalizedOverrideHostId) {
     const persistedPath = persistHostId(normalizedOverrideHostId);
-    console.log(
-      `[agent] using launch-provided host id '${normalizedOverrideHostId}'.`
+    log.info(
+      `using launch-provided host id '${normalizedOverrideHostId}'.`
     );
     if (persistedPath) {
-      console.log(`[agent] persisted host id at ${persistedPath}`);
+      log.info(`persisted host id at ${persistedPath}`);
     }
     return normalizedOverrideHostId;
   }
 
   if (String(overrideHostId || "").trim() && !normalizedOverrideHostId) {
-    console.warn(
-      `[agent] launch host id '${overrideHostId}' became empty after sanitization.`
+    log.warn(
+      `launch host id '${overrideHostId}' became empty after sanitization.`
     );
   }
 
-  const rawHostId = String(process.env.REMOTE_HOST_ID || "").trim();
+  const rawHostId = String(configuredHostId || "").trim();
   const normalizedHostId = sanitizeHostId(rawHostId, 64);
   const placeholderIds = new Set(["host1", "host-local-main", "host-local-peer", "host"]);
   const shouldAutoGenerate =
@@ -261,24 +194,24 @@ const resolveHostId = (overrideHostId = "") => {
 
   if (!shouldAutoGenerate) {
     if (rawHostId !== normalizedHostId) {
-      console.log(
-        `[agent] REMOTE_HOST_ID '${rawHostId}' normalized to '${normalizedHostId}'.`
+      log.info(
+        `REMOTE_HOST_ID '${rawHostId}' normalized to '${normalizedHostId}'.`
       );
     }
     return normalizedHostId;
   }
 
   if (rawHostId && !normalizedHostId) {
-    console.warn(
-      `[agent] REMOTE_HOST_ID '${rawHostId}' became empty after sanitization. Generating host id.`
+    log.warn(
+      `REMOTE_HOST_ID '${rawHostId}' became empty after sanitization. Generating host id.`
     );
   }
 
   const persisted = readPersistedHostId();
   if (persisted?.hostId) {
     if (rawHostId) {
-      console.log(
-        `[agent] REMOTE_HOST_ID '${rawHostId}' is a default placeholder. Using saved host id '${persisted.hostId}'.`
+      log.info(
+        `REMOTE_HOST_ID '${rawHostId}' is a default placeholder. Using saved host id '${persisted.hostId}'.`
       );
     }
     return persisted.hostId;
@@ -287,210 +220,627 @@ const resolveHostId = (overrideHostId = "") => {
   const generatedHostId = buildGeneratedHostId();
   const persistedPath = persistHostId(generatedHostId);
   if (rawHostId) {
-    console.log(
-      `[agent] REMOTE_HOST_ID '${rawHostId}' is a default placeholder. Generated host id '${generatedHostId}'.`
+    log.info(
+      `REMOTE_HOST_ID '${rawHostId}' is a default placeholder. Generated host id '${generatedHostId}'.`
     );
   } else {
-    console.log(`[agent] REMOTE_HOST_ID not set. Generated host id '${generatedHostId}'.`);
+    log.info(`REMOTE_HOST_ID not set. Generated host id '${generatedHostId}'.`);
   }
   if (persistedPath) {
-    console.log(`[agent] persisted host id at ${persistedPath}`);
+    log.info(`persisted host id at ${persistedPath}`);
   } else {
-    console.warn(
-      "[agent] failed to persist generated host id. Host id may change after restart."
+    log.warn(
+      "failed to persist generated host id. Host id may change after restart."
     );
   }
   return generatedHostId;
 };
 
-const launchOverrides = parseLaunchOverrides(process.argv.slice(2));
-const serverUrl =
-  launchOverrides.serverUrl ||
-  process.env.REMOTE_SERVER_URL ||
-  (String(process.env.REMOTE_USE_LOCALHOST || "").trim() === "1" &&
-    "http://localhost:5000") ||
-  "https://calling-app-backend-1.onrender.com";
-const remoteControlToken =
-  launchOverrides.remoteControlToken ||
-  sanitizeToken(process.env.REMOTE_CONTROL_TOKEN || "", 256);
-const hostId = resolveHostId(launchOverrides.hostId);
-const remoteDebugEnabled = String(process.env.REMOTE_DEBUG || "").trim() === "1";
-const configuredDisplayId = String(
-  launchOverrides.displayId || process.env.REMOTE_DISPLAY_ID || ""
-).trim();
-const performanceMode = String(process.env.REMOTE_PERF_MODE || "auto")
-  .trim()
-  .toLowerCase();
-const baseFps = Number.isFinite(Number(launchOverrides.fps))
-  ? Number(launchOverrides.fps)
-  : Number.isFinite(Number(process.env.REMOTE_FPS))
-  ? Number(process.env.REMOTE_FPS)
-  : 10;
-const minFps = Number.isFinite(Number(process.env.REMOTE_MIN_FPS))
-  ? Number(process.env.REMOTE_MIN_FPS)
-  : Math.max(2, Math.min(baseFps, Math.round(baseFps * 0.6)));
-const inputFps = Number.isFinite(Number(process.env.REMOTE_ACTIVE_INPUT_FPS))
-  ? Number(process.env.REMOTE_ACTIVE_INPUT_FPS)
-  : Math.max(minFps, Math.min(baseFps, Math.round(baseFps)));
-const typingFps = Number.isFinite(Number(process.env.REMOTE_TYPING_FPS))
-  ? Number(process.env.REMOTE_TYPING_FPS)
-  : Math.max(minFps, Math.min(inputFps, Math.round(baseFps * 0.9)));
-const inputWindowMs = Number.isFinite(Number(process.env.REMOTE_INPUT_WINDOW_MS))
-  ? Number(process.env.REMOTE_INPUT_WINDOW_MS)
-  : 1200;
-const typingWindowMs = Number.isFinite(Number(process.env.REMOTE_TYPING_WINDOW_MS))
-  ? Number(process.env.REMOTE_TYPING_WINDOW_MS)
-  : 2200;
-const slowCaptureThresholdMs = Number.isFinite(Number(process.env.REMOTE_SLOW_CAPTURE_MS))
-  ? Number(process.env.REMOTE_SLOW_CAPTURE_MS)
-  : 450;
-const MAX_FRAME_BASE64_LENGTH = 1_200_000;
+// The host secret is written beside the saved host id, or the first place one could be.
+const getHostSecretStoragePathCandidates = () => {
+  const hostIdPaths = [readPersistedHostId()?.path, ...getHostIdStoragePathCandidates()];
+  return [...new Set(hostIdPaths.filter((hostIdPath) => !!hostIdPath))].map((hostIdPath) =>
+    hostIdPath.replace(/host-id$/, "host-secret")
+  );
+};
+
+const getControlApiSecretPath = () => {
+  const appDataPath = String(process.env.APPDATA || "").trim();
+  if (appDataPath) {
+    return path.join(appDataPath, "calling-app-host-agent", ".control-api-secret");
+  }
+
+  const homePath = String(os.homedir() || "").trim();
+  if (homePath) {
+    return path.join(homePath, ".calling-app-control-api-secret");
+  }
+
+  return "";
+};
+
+// The e2e identity key sits with the other per-user agent files so it survives updates.
+const getE2eIdentityPath = () => {
+  const appDataPath = String(process.env.APPDATA || "").trim();
+  if (appDataPath) {
+    return path.join(appDataPath, "calling-app-host-agent", ".e2e-identity");
+  }
+
+  const homePath = String(os.homedir() || "").trim();
+  if (homePath) {
+    return path.join(homePath, ".calling-app-e2e-identity");
+  }
+
+  return "";
+};
+
+// REMOTE_CONTROL_API_SECRET wins; otherwise a generated secret is kept in a file only the
+// current user can read, where local tools pick it up.
+const resolveControlApiSecret = (configuredSecret = "") => {
+  if (configuredSecret) return { secret: configuredSecret, path: "" };
+
+  const secretPath = getControlApiSecretPath();
+  if (!secretPath) return { secret: "", path: "" };
+  try {
+    const persistedSecret = sanitizeToken(fs.readFileSync(secretPath, "utf8"), 256);
+    if (persistedSecret) return { secret: persistedSecret, path: secretPath };
+  } catch {
+    // not created yet
+  }
+
+  const generatedSecret = randomBytes(32).toString("hex");
+  try {
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    fs.writeFileSync(secretPath, `${generatedSecret}\n`, { encoding: "utf8", mode: 0o600 });
+    return { secret: generatedSecret, path: secretPath };
+  } catch {
+    return { secret: "", path: "" };
+  }
+};
+
+// Packaged builds are usually started by double-click, with no console to read.
+const logToFile = config.logFile === "1" || (config.logFile === "auto" && !!process.pkg);
+const logFileSink = logToFile
+  ? createRotatingFileSink({
+      dir: config.logDir || getLogStorageDir(),
+      rotation: config.logRotate,
+      maxBytes: config.logMaxBytes,
+      maxFiles: config.logMaxFiles,
+    })
+  : null;
+configureLogging({
+  level: config.logLevel,
+  format: config.logFormat,
+  fileSink: logFileSink,
+});
+
+// The server the agent would use without the launch URL.
+const serverUrlBeforeLaunch = agentConfig.launchUrl
+  ? loadConfig({
+      ...configLoadOptions,
+      argv: configLoadOptions.argv.filter((arg) => !/^hostapp:/i.test(String(arg || "").trim())),
+    }).values.serverUrl
+  : "";
+// hostapp:// links can be opened by any website, so a launch that points the agent at
+// another server or host identity needs an allowlisted origin, a publisher signature or
+// local confirmation.
+const launchVerdict = agentConfig.launchUrl
+  ? evaluateLaunch({
+      launchUrl: agentConfig.launchUrl,
+      configuredServerUrl: serverUrlBeforeLaunch,
+      allowedServers: config.launchAllowedServers,
+      publisherKeys: config.launchPublisherKeys,
+      maxAgeSec: config.launchSignatureMaxAgeSec,
+    })
+  : null;
+const launchAudit = launchVerdict
+  ? createLaunchAuditLog(config.launchAuditLog || path.join(getLogStorageDir(), "launch-audit.jsonl"))
+  : null;
+
+const recordLaunchAttempt = (accepted, reason, confirmation = null) =>
+  launchAudit?.record({
+    decision: accepted ? "accepted" : "rejected",
+    reason,
+    confirmation,
+    server: launchVerdict.server,
+    hostId: launchVerdict.hostId,
+    params: launchVerdict.params,
+    signer: launchVerdict.signer,
+  });
+
+const confirmUntrustedLaunch = () => {
+  const ask = createBlockingDialogPrompt();
+  if (!ask) return "prompt-unavailable";
+  const target = launchVerdict.server || serverUrlBeforeLaunch;
+  const decision = ask(
+    launchVerdict.hostId
+      ? `A link wants to share this screen with ${target} as host "${launchVerdict.hostId}". Allow?`
+      : `A link wants to share this screen with ${target}. Allow?`,
+    config.consentTimeoutMs,
+    "Remote agent launch"
+  );
+  if (decision === "accept") return "user-accepted";
+  if (decision === "timeout") return "prompt-timeout";
+  if (decision === "unavailable") return "prompt-unavailable";
+  return "user-declined";
+};
+
+for (const warning of agentConfig.warnings) {
+  log.warn(warning);
+}
+if (agentConfig.errors.length > 0) {
+  for (const error of agentConfig.errors) {
+    log.error(error);
+  }
+  if (launchVerdict) recordLaunchAttempt(false, "invalid-config");
+  log.error("invalid configuration. Run with --print-config to see every setting.");
+  process.exit(1);
+}
+
+if (launchVerdict) {
+  let accepted = launchVerdict.trusted;
+  let confirmation = null;
+  if (
+    !accepted &&
+    config.launchUntrusted === "prompt" &&
+    !UNPROMPTABLE_REASONS.has(launchVerdict.reason)
+  ) {
+    log.warn(
+      `launch targets untrusted server ${launchVerdict.server || "(none)"} (${launchVerdict.reason}). Asking for confirmation.`
+    );
+    confirmation = confirmUntrustedLaunch();
+    accepted = confirmation === "user-accepted";
+  }
+  recordLaunchAttempt(accepted, launchVerdict.reason, confirmation);
+  if (!accepted) {
+    const why = [launchVerdict.reason, confirmation].filter(Boolean).join(", ");
+    log.error(
+      `refused hostapp launch to ${launchVerdict.server || "(no server)"} (${why}). Audit log: ${launchAudit.path}`
+    );
+    process.exit(1);
+  }
+  log.info(`hostapp launch accepted (${confirmation || launchVerdict.reason}).`);
+}
+
+const isLaunchProvided = (key) =>
+  ["protocol", "cli"].includes(agentConfig.sources[key].source);
+const serverUrl = config.serverUrl;
+const remoteControlToken = config.remoteControlToken;
+addLogRedaction(remoteControlToken);
+const hostId = resolveHostId(isLaunchProvided("hostId") ? config.hostId : "", config.hostId);
+// Live settings: replaced by `applyRuntimeConfig` on server or file updates.
+let runtimeConfig = agentConfig;
+let configuredDisplayId = config.displayId;
+let performanceMode = config.perfMode;
+let baseFps = config.fps;
+let minFps = config.minFps;
+let inputFps = config.activeInputFps;
+let typingFps = config.typingFps;
+let inputWindowMs = config.inputWindowMs;
+let typingWindowMs = config.typingWindowMs;
+const inputBackendName = config.inputBackend;
+const clipboardDefaultEnabled = config.clipboard;
+const clipboardMaxBytes = config.clipboardMaxBytes;
+const fileTransferEnabled = config.fileTransfer;
+const fileInboxDir = config.fileInboxDir;
+const fileAllowedRoots = config.fileAllowedRoots;
+const fileMaxBytes = config.fileMaxBytes;
+const fileChunkBytes = config.fileChunkBytes;
+const filePartialMaxAgeHours = config.filePartialMaxAgeHours;
+const filePartialMaxTotalBytes = config.filePartialMaxTotalBytes;
+const controlApiEnabled = config.controlApi;
+const controlApiPort = config.controlApiPort;
+const metricsEnabled = config.metrics;
+const metricsPort = config.metricsPort;
+const metricsPushIntervalMs = config.metricsPushIntervalMs;
+const recordingEnabled = config.recording;
+const recordingDir = config.recordingDir;
+const recordingMaxSessionBytes = config.recordingMaxSessionBytes;
+const recordingRetentionDays = config.recordingRetentionDays;
+const recordingMaxTotalBytes = config.recordingMaxTotalBytes;
+const defaultSessionPermission = config.defaultPermission;
+const maxSessions = config.maxSessions;
+const cursorStreamEnabled = config.cursorStream;
+const cursorRateHz = config.cursorRate;
+const resumeGraceMs = config.resumeGraceMs;
+const inputRatePerSec = config.inputRate;
+const inputBurst = config.inputBurst;
+const consentPolicyName = config.consentPolicy;
+const consentAllowlist = config.consentAllowlist;
+const consentTimeoutMs = config.consentTimeoutMs;
+const consentPromptMode = config.consentPrompt;
+const consentHeadlessResponse = config.consentHeadlessResponse;
+const consentHeadlessDelayMs = config.consentHeadlessDelayMs;
+const slowCaptureThresholdMs = config.slowCaptureMs;
+const e2eMode = config.e2e;
+const e2eVerifyMode = config.e2eVerify;
+const e2eControllerKeys = config.e2eControllerKeys;
+const e2eHandshakeTimeoutMs = config.e2eHandshakeTimeoutMs;
+const authMode = config.authMode;
+const authTokenTtlSec = config.authTokenTtlSec;
+const DROPPED_FRAME_LOG_INTERVAL_MS = 5000;
+const SLOW_CAPTURE_BACKOFF_MS = 900;
+const FRAME_ENCODINGS = ["tiles", "full"];
+const FRAME_TRANSPORTS = ["binary", "base64"];
+const KEYBOARD_EVENT_TYPES = new Set(["key-down", "key-up", "type-text", "key-combo"]);
+const preferredFrameEncoding = config.frameEncoding;
+const tileSize = config.tileSize;
+const tileQuality = config.tileQuality;
+const maxFrameBytes = config.maxFrameBytes;
+const minFrameBytes = config.minFrameBytes;
+const frameAckWindow = config.frameAckWindow;
+const frameAckTimeoutMs = config.frameAckTimeoutMs;
+const keyframeIntervalMs = config.keyframeIntervalMs;
 
 if (!hostId) {
-  console.error("[agent] REMOTE_HOST_ID cannot be empty.");
+  log.error("REMOTE_HOST_ID cannot be empty.");
   process.exit(1);
 }
 
-console.log(`[agent] booting...`);
-console.log(`[agent] server: ${serverUrl}`);
-console.log(`[agent] host: ${hostId}`);
-if (launchOverrides.source === "protocol") {
-  console.log("[agent] launch source: hostapp protocol.");
+log.info(`booting...`);
+log.info(`server: ${serverUrl}`);
+log.info(`host: ${hostId}`);
+if (agentConfig.launchSource === "protocol") {
+  log.info("launch source: hostapp protocol.");
+}
+if (agentConfig.filePath) {
+  log.info(`config file: ${agentConfig.filePath}`);
 }
-if (launchOverrides.serverUrl) {
-  console.log("[agent] server overridden by launch payload.");
+if (isLaunchProvided("serverUrl")) {
+  log.info("server overridden by launch payload.");
 }
-if (launchOverrides.hostId) {
-  console.log("[agent] host id overridden by launch payload.");
+if (isLaunchProvided("hostId")) {
+  log.info("host id overridden by launch payload.");
 }
-if (launchOverrides.remoteControlToken) {
-  console.log("[agent] auth token provided by launch payload.");
+if (isLaunchProvided("remoteControlToken")) {
+  log.info("auth token provided by launch payload.");
 }
-if (launchOverrides.displayId) {
-  console.log("[agent] display id overridden by launch payload.");
+if (isLaunchProvided("displayId")) {
+  log.info("display id overridden by launch payload.");
 }
-console.log(`[agent] fps: ${Math.max(1, baseFps)} (mode=${performanceMode || "auto"})`);
+if (isLaunchProvided("captureSource")) {
+  log.info("capture source overridden by launch payload.");
+}
+log.info(`fps: ${Math.max(1, baseFps)} (mode=${performanceMode || "auto"})`);
 if (performanceMode === "auto") {
-  console.log(
-    `[agent] perf profile: min=${Math.max(1, minFps)} input=${Math.max(
+  log.info(
+    `perf profile: min=${Math.max(1, minFps)} input=${Math.max(
       1,
       inputFps
     )} typing=${Math.max(1, typingFps)}`
   );
 }
 if (configuredDisplayId) {
-  console.log(`[agent] display (configured): ${configuredDisplayId}`);
+  log.info(`display (configured): ${configuredDisplayId}`);
+}
+// A source missing its settings stops the agent: falling back to the whole display
+// would show more than was asked for.
+const buildCaptureSource = () => {
+  try {
+    return createCaptureSource(config.captureSource, {
+      region: config.captureRegion,
+      windowTitle: config.captureWindowTitle,
+      windowProcess: config.captureWindowProcess,
+      syntheticSize: config.captureSyntheticSize,
+      filePath: config.captureFile,
+      getInputBridge: () => inputBridge,
+    });
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+};
+const captureSource = buildCaptureSource();
+log.info(`capture: ${captureSource.describe()}`);
+// With the cursor stream on, frames leave the pointer out and viewers draw it from
+// `remote-cursor` events, which arrive far more often than frames.
+const cursorBackend = cursorStreamEnabled
+  ? createCursorBackend({ getInputBridge: () => inputBridge })
+  : null;
+if (cursorStreamEnabled && !cursorBackend) {
+  log.warn(`no cursor backend for platform '${process.platform}'. The cursor stream is off.`);
+}
+const cursorStream = cursorBackend
+  ? createCursorStream({
+      backend: cursorBackend,
+      rateHz: cursorRateHz,
+      getBounds: () => getInputBounds(),
+      onCursor: (cursor) => emitCursor(cursor),
+    })
+  : null;
+if (cursorStream) {
+  log.info(`cursor stream: ${cursorStream.name} (${cursorStream.rateHz}/s)`);
+  if (cursorStream.rateHz < cursorRateHz) {
+    log.warn(`the ${cursorStream.name} cursor backend samples at most ${cursorStream.rateHz}/s.`);
+  }
+}
+const e2eIdentity = e2eMode !== "off" ? loadOrCreateIdentity(getE2eIdentityPath()) : null;
+if (e2eIdentity) {
+  log.info(`end-to-end encryption: ${e2eMode} (verify=${e2eVerifyMode})`);
+  log.info(`e2e identity key: ${e2eIdentity.publicKey}`);
+}
+// Signed mode: the socket authenticates with short-lived tokens signed by the per-host
+// secret. A static REMOTE_CONTROL_TOKEN is then only sent until that secret is provisioned.
+const hostSecret =
+  authMode === "signed"
+    ? loadOrCreateHostSecret({ hostId, paths: getHostSecretStoragePathCandidates() })
+    : null;
+addLogRedaction(hostSecret?.secret);
+const bootstrapToken = isSignedToken(remoteControlToken) ? "" : remoteControlToken;
+const sessionTokens = hostSecret
+  ? createSessionTokenManager({
+      hostId,
+      secret: hostSecret.secret,
+      ttlSec: authTokenTtlSec,
+      onRefresh: (token) => handleSessionTokenRefresh(token),
+    })
+  : null;
+let tokenReconnectPending = false;
+if (sessionTokens) {
+  log.info(`auth: signed session tokens (ttl=${authTokenTtlSec}s)`);
+  if (hostSecret.created) {
+    log.info(`host secret created: ${hostSecret.path || "(not saved)"}`);
+  }
+  if (!hostSecret.provisionedAt && !bootstrapToken) {
+    log.warn("host secret not provisioned yet and no REMOTE_CONTROL_TOKEN to provision it with.");
+  }
+  if (isSignedToken(remoteControlToken)) {
+    const accepted = sessionTokens.accept(remoteControlToken);
+    if (accepted.ok) {
+      log.info("using the session token from the launch payload.");
+    } else {
+      log.warn(`launch session token rejected (${accepted.reason}). Signing a new one.`);
+    }
+  }
+}
+if (fileTransferEnabled) {
+  log.info(`file transfer enabled (inbox: ${path.resolve(fileInboxDir)})`);
 }
-if (remoteDebugEnabled) {
-  console.log("[agent] debug logging enabled.");
+if (recordingEnabled) {
+  log.info(`session recording enabled (dir: ${path.resolve(recordingDir)})`);
+}
+if (logFileSink) {
+  log.info(`logging to ${logFileSink.getCurrentPath()}`);
+}
+if (isLevelEnabled("debug")) {
+  log.info("debug logging enabled.");
 }
 
 const logAgentDebug = (eventName, payload = {}) => {
-  if (!remoteDebugEnabled) return;
+  if (!isLevelEnabled("debug")) return;
   const normalizedEventName = String(eventName || "").trim() || "event";
-  console.log(`[agent][debug] ${normalizedEventName}`, payload);
+  log.debug(normalizedEventName, payload);
 };
 
-let activeSessionId = "";
+const sessions = createSessionRegistry();
+configureLogging({ getContext: () => ({ hostId, sessionId: sessions.getLeadId() }) });
+// Sessions waiting on the consent policy, by id.
+const pendingConsents = new Map();
+let leadSessionId = "";
+// Runs while sessions are suspended after a dropped connection; ends the ones the server
+// has not confirmed by then.
+let resumeTimer = null;
 let captureTimer = null;
 let captureLoopRunning = false;
 let captureInProgress = false;
 let inputBridge = null;
-let inputBridgeStopping = false;
+let inputSupervisor = null;
+// `available` is false while the supervisor restarts the input backend.
+let inputState = { available: true, reason: "" };
 let resolvedDisplayId = configuredDisplayId;
 let resolvedDisplayBounds = null;
+// Desktop rectangle of the last captured frame when the source shows less than the
+// selected display (a region or window); remote input maps onto it.
+let captureBounds = null;
 let displayResolved = false;
+let availableDisplays = [];
 let lastInputAt = 0;
 let lastTypingAt = 0;
 let slowCaptureBackoffUntil = 0;
+let serverFrameEncoding = "";
+let streamFrameEncoding = "full";
+let serverFrameTransport = "";
+let waitingForFrameAck = false;
+let droppedFrameCount = 0;
+let droppedFramesSinceLog = 0;
+let lastDroppedFrameLogAt = 0;
+let appliedFrameScale = 1;
+let streamingPaused = false;
+let registeredHostId = "";
+const frameFlow = createFrameFlowController({
+  windowSize: frameAckWindow,
+  ackTimeoutMs: frameAckTimeoutMs,
+});
+const frameEncoder = createFrameEncoderWorker({
+  tileSize,
+  tileQuality,
+  keyframeIntervalMs,
+});
+
+const metricsRegistry = createMetricsRegistry({ prefix: "remote_agent_" });
+const agentMetrics = {
+  captureDuration: metricsRegistry.histogram(
+    "capture_duration_seconds",
+    "Time from capture start to frame sent, compared against REMOTE_SLOW_CAPTURE_MS.",
+    [0.025, 0.05, 0.1, 0.2, 0.3, 0.45, 0.75, 1, 2, 5]
+  ),
+  frameBytes: metricsRegistry.histogram(
+    "frame_bytes",
+    "Encoded bytes per frame sent, by kind.",
+    [16_384, 32_768, 65_536, 131_072, 262_144, 524_288, 900_000]
+  ),
+  framesSent: metricsRegistry.counter("frames_sent_total", "Frames sent, by kind."),
+  framesDropped: metricsRegistry.counter(
+    "frames_dropped_total",
+    "Captured frames that were not sent, by reason."
+  ),
+  framesSkipped: metricsRegistry.counter(
+    "frames_skipped_total",
+    "Capture ticks skipped without capturing, by reason."
+  ),
+  slowCaptures: metricsRegistry.counter(
+    "slow_captures_total",
+    "Captures or frame acks slower than REMOTE_SLOW_CAPTURE_MS."
+  ),
+  slowCaptureBackoffSeconds: metricsRegistry.counter(
+    "slow_capture_backoff_seconds_total",
+    "Time spent in slow-capture backoff."
+  ),
+  inputEvents: metricsRegistry.counter(
+    "input_events_total",
+    "remote-input events forwarded to the input backend, by type."
+  ),
+  inputRejected: metricsRegistry.counter(
+    "input_rejected_total",
+    "remote-input events rejected, by reason."
+  ),
+  reconnects: metricsRegistry.counter(
+    "reconnects_total",
+    "Connections to the server after the first one."
+  ),
+  sessionResumes: metricsRegistry.counter(
+    "session_resumes_total",
+    "Sessions suspended by a dropped connection, by outcome."
+  ),
+  inputBackendFailures: metricsRegistry.counter(
+    "input_backend_failures_total",
+    "Times the input backend exited or stopped answering and had to be restarted."
+  ),
+};
+agentMetrics.slowCaptures.inc({}, 0);
+agentMetrics.slowCaptureBackoffSeconds.inc({}, 0);
+agentMetrics.reconnects.inc({}, 0);
+agentMetrics.inputBackendFailures.inc({}, 0);
+let serverConnectCount = 0;
+
+// Legacy servers never answer the negotiation, so they keep receiving full frames.
+const getSupportedFrameEncodings = () =>
+  preferredFrameEncoding === "full" ? ["full"] : FRAME_ENCODINGS;
+
+const negotiateFrameEncoding = (requested) => {
+  const normalizedRequested = String(requested || "")
+    .trim()
+    .toLowerCase();
+  return getSupportedFrameEncodings().includes(normalizedRequested)
+    ? normalizedRequested
+    : "full";
+};
+
+const negotiateFrameTransport = (requested) => {
+  const normalizedRequested = String(requested || "")
+    .trim()
+    .toLowerCase();
+  return FRAME_TRANSPORTS.includes(normalizedRequested) ? normalizedRequested : "base64";
+};
+
+// Binary payloads ride as socket.io attachments; base64 keeps legacy servers working.
+const toWireBinary = (buffer, transport) =>
+  transport === "binary" ? buffer : buffer.toString("base64");
 
 const toFiniteNumber = (value) => {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : null;
 };
 
-const toDisplayBounds = (display) => {
-  if (!display) return null;
-  const left = toFiniteNumber(display.left);
-  const top = toFiniteNumber(display.top);
-  const width = toFiniteNumber(display.width);
-  const height = toFiniteNumber(display.height);
+const formatDisplayLabel = (displayId, bounds) => {
+  if (!bounds) return displayId;
+  return `${displayId} ${bounds.width}x${bounds.height} @(${bounds.left},${bounds.top})`;
+};
 
-  if (
-    !Number.isFinite(left) ||
-    !Number.isFinite(top) ||
-    !Number.isFinite(width) ||
-    !Number.isFinite(height) ||
-    width <= 0 ||
-    height <= 0
-  ) {
-    return null;
+const refreshDisplays = async () => {
+  try {
+    availableDisplays = normalizeDisplayList(await screenshot.listDisplays());
+  } catch (err) {
+    log.warn("failed to list displays:", err?.message || err);
+  }
+  return availableDisplays;
+};
+
+// Selects the captured display and moves the input mapping with it. Returns false
+// when the id is unknown so callers can keep the current selection.
+const applyDisplaySelection = (displayId, source = "auto") => {
+  const normalizedDisplayId = String(displayId || "").trim();
+  let nextBounds = null;
+
+  if (normalizedDisplayId.toLowerCase() === ALL_DISPLAYS_ID) {
+    nextBounds = getVirtualDisplayBounds(availableDisplays);
+    if (!nextBounds) return false;
+  } else {
+    const display = availableDisplays.find((candidate) => candidate.id === normalizedDisplayId);
+    if (!display) return false;
+    nextBounds = display.bounds;
   }
 
-  return { left, top, width, height };
+  resolvedDisplayId =
+    normalizedDisplayId.toLowerCase() === ALL_DISPLAYS_ID ? ALL_DISPLAYS_ID : normalizedDisplayId;
+  resolvedDisplayBounds = nextBounds;
+  captureBounds = null;
+  log.info(`display (${source}): ${formatDisplayLabel(resolvedDisplayId, nextBounds)}`);
+  sendInputBounds();
+  return true;
 };
 
 const resolveDisplayId = async () => {
   if (displayResolved) return resolvedDisplayId;
   displayResolved = true;
 
-  try {
-    const displays = await screenshot.listDisplays();
-    if (Array.isArray(displays) && displays.length > 0) {
-      const normalizedDisplays = displays
-        .map((display) => ({
-          ...display,
-          id: String(display?.id || "").trim(),
-        }))
-        .filter((display) => !!display.id);
-
-      let selectedDisplay = null;
-      if (configuredDisplayId) {
-        selectedDisplay = normalizedDisplays.find(
-          (display) => display.id === configuredDisplayId
-        );
-        if (!selectedDisplay) {
-          console.warn(
-            `[agent] configured display id '${configuredDisplayId}' not found. Falling back to auto selection.`
-          );
-        }
-      }
-
-      const originDisplay = normalizedDisplays.find(
-        (display) => Number(display.left) === 0 && Number(display.top) === 0
-      );
-      if (!selectedDisplay) {
-        selectedDisplay = originDisplay || normalizedDisplays[0];
-      }
-
-      if (selectedDisplay?.id) {
-        resolvedDisplayId = selectedDisplay.id;
-        resolvedDisplayBounds = toDisplayBounds(selectedDisplay);
-
-        const width = Number(selectedDisplay.width);
-        const height = Number(selectedDisplay.height);
-        const left = Number(selectedDisplay.left);
-        const top = Number(selectedDisplay.top);
-        const sizeLabel =
-          Number.isFinite(width) && Number.isFinite(height) ? ` ${width}x${height}` : "";
-        const originLabel =
-          Number.isFinite(left) && Number.isFinite(top) ? ` @(${left},${top})` : "";
-
-        console.log(
-          `[agent] display (${configuredDisplayId ? "resolved" : "auto"}): ${selectedDisplay.id}${sizeLabel}${originLabel}`
-        );
-      }
-    }
-  } catch (err) {
-    console.warn("[agent] failed to resolve display list; falling back to default capture.");
+  const displays = await refreshDisplays();
+  if (displays.length === 0) {
     if (configuredDisplayId) {
-      resolvedDisplayId = configuredDisplayId;
+      log.warn("failed to resolve display list; falling back to configured display.");
+    } else {
+      log.warn("failed to resolve display list; falling back to default capture.");
     }
+    return resolvedDisplayId;
+  }
+
+  if (configuredDisplayId) {
+    if (applyDisplaySelection(configuredDisplayId, "resolved")) return resolvedDisplayId;
+    log.warn(
+      `configured display id '${configuredDisplayId}' not found. Falling back to auto selection.`
+    );
   }
 
+  const originDisplay = displays.find(
+    (display) => display.bounds?.left === 0 && display.bounds?.top === 0
+  );
+  applyDisplaySelection((originDisplay || displays[0]).id, "auto");
   return resolvedDisplayId;
 };
 
+const getDisplaySummary = () =>
+  availableDisplays.map((display) => ({
+    id: display.id,
+    name: display.name,
+    primary: display.primary,
+    ...(display.bounds || {}),
+  }));
+
+const getInputBounds = () => captureBounds || resolvedDisplayBounds;
+
+const sendInputBounds = () => {
+  const bounds = getInputBounds();
+  if (!inputBridge || !inputBridge.isRunning() || !bounds) return;
+  // Bounds-only message: both backends update their mapping without injecting input.
+  inputBridge.send({ __display: bounds });
+};
+
+const isSameBounds = (a, b) =>
+  a === b ||
+  (!!a &&
+    !!b &&
+    a.left === b.left &&
+    a.top === b.top &&
+    a.width === b.width &&
+    a.height === b.height);
+
+// Frames are what the controller clicks on, so input follows a window that moves.
+const updateCaptureBounds = (bounds) => {
+  const nextBounds = bounds && !isSameBounds(bounds, resolvedDisplayBounds) ? bounds : null;
+  if (isSameBounds(nextBounds, captureBounds)) return;
+  captureBounds = nextBounds;
+  sendInputBounds();
+};
+
 const getEffectiveCaptureFps = () => {
   const normalizedBaseFps = Math.max(1, baseFps);
   if (performanceMode !== "auto") {
@@ -505,23 +855,37 @@ const getEffectiveCaptureFps = () => {
   );
   const normalizedTypingFps = Math.max(1, Math.min(typingFps, normalizedInputFps));
 
+  const ackLimitedFps = Math.max(normalizedMinFps, frameFlow.getAckLimitedFps());
+
   if (now - lastTypingAt <= typingWindowMs) {
-    return normalizedTypingFps;
+    return Math.min(normalizedTypingFps, ackLimitedFps);
   }
 
   if (now - lastInputAt <= inputWindowMs) {
-    return normalizedInputFps;
+    return Math.min(normalizedInputFps, ackLimitedFps);
   }
 
   if (now <= slowCaptureBackoffUntil) {
-    return normalizedInputFps;
+    return Math.min(normalizedInputFps, ackLimitedFps);
   }
 
-  return normalizedBaseFps;
+  return Math.min(normalizedBaseFps, ackLimitedFps);
+};
+
+// Backoff windows may overlap; only the part that extends the current one is counted.
+const startSlowCaptureBackoff = () => {
+  const now = Date.now();
+  const backoffUntil = now + SLOW_CAPTURE_BACKOFF_MS;
+  agentMetrics.slowCaptures.inc();
+  agentMetrics.slowCaptureBackoffSeconds.inc(
+    {},
+    (backoffUntil - Math.max(now, slowCaptureBackoffUntil)) / 1000
+  );
+  slowCaptureBackoffUntil = backoffUntil;
 };
 
 const scheduleNextCapture = (delayMs = null) => {
-  if (!captureLoopRunning || !activeSessionId) return;
+  if (!captureLoopRunning || sessions.size() === 0) return;
   if (captureTimer) {
     clearTimeout(captureTimer);
     captureTimer = null;
@@ -529,9 +893,11 @@ const scheduleNextCapture = (delayMs = null) => {
 
   const effectiveFps = getEffectiveCaptureFps();
   const computedDelay = Math.max(33, Math.floor(1000 / Math.max(1, effectiveFps)));
-  const nextDelay = Number.isFinite(Number(delayMs))
-    ? Math.max(0, Math.floor(Number(delayMs)))
-    : computedDelay;
+  // `Number(null)` is 0, so the default has to be ruled out before the finite check.
+  const nextDelay =
+    delayMs !== null && Number.isFinite(Number(delayMs))
+      ? Math.max(0, Math.floor(Number(delayMs)))
+      : computedDelay;
 
   captureTimer = setTimeout(() => {
     captureTimer = null;
@@ -540,226 +906,1749 @@ const scheduleNextCapture = (delayMs = null) => {
 };
 
 const startInputBridge = async () => {
-  if (process.platform !== "win32") {
-    console.warn(
-      "[agent] input bridge is Windows-only right now. Frames will stream but control input is disabled."
+  const backend = createInputBackend(inputBackendName);
+  if (!backend) {
+    log.warn(
+      `no input backend for platform '${process.platform}'. Frames will stream but control input is disabled.`
     );
     return;
   }
 
-  const scriptCandidates = [
-    path.join(process.cwd(), "scripts", "windowsInputBridge.ps1"),
-    path.join(path.dirname(process.execPath), "scripts", "windowsInputBridge.ps1"),
-    path.join(__dirname, "scripts", "windowsInputBridge.ps1"),
-  ];
+  await resolveDisplayId();
 
-  const scriptPath = scriptCandidates.find((candidate) => fs.existsSync(candidate));
-  if (!scriptPath) {
-    console.error("[agent] windowsInputBridge.ps1 not found. Input control is unavailable.");
-    return;
-  }
+  const supervisor = createInputSupervisor({
+    backend,
+    getStartOptions: () => ({ displayBounds: getInputBounds() }),
+    onUnavailable: (reason) => {
+      agentMetrics.inputBackendFailures.inc();
+      setInputState(false, reason);
+    },
+    onAvailable: () => handleInputRecovered(),
+  });
+  const started = await supervisor.start();
+  if (!started) return;
 
-  await resolveDisplayId();
+  inputBridge = backend;
+  inputSupervisor = supervisor;
+  log.info(`input backend: ${backend.name}`);
+};
 
-  const bridgeEnv = { ...process.env };
-  if (resolvedDisplayBounds) {
-    bridgeEnv.REMOTE_DISPLAY_LEFT = String(resolvedDisplayBounds.left);
-    bridgeEnv.REMOTE_DISPLAY_TOP = String(resolvedDisplayBounds.top);
-    bridgeEnv.REMOTE_DISPLAY_WIDTH = String(resolvedDisplayBounds.width);
-    bridgeEnv.REMOTE_DISPLAY_HEIGHT = String(resolvedDisplayBounds.height);
-  }
+const stopInputBridge = () => {
+  if (!inputSupervisor) return;
+  inputSupervisor.stop();
+  inputSupervisor = null;
+  inputBridge = null;
+};
 
-  inputBridge = spawn(
-    "powershell",
-    ["-NoProfile", "-ExecutionPolicy", "Bypass", "-File", scriptPath],
-    {
-      stdio: ["pipe", "inherit", "inherit"],
-      env: bridgeEnv,
-    }
-  );
+// Releases that found input down; sent once the backend is back. They bypass the
+// supervisor's queue, which only holds events while a restart is pending.
+let unsentReleases = [];
 
-  inputBridge.on("error", (err) => {
-    console.error(`[agent] input bridge failed: ${err?.message || err}`);
-  });
+// Queued by the supervisor while the backend restarts.
+const injectInput = (event) => {
+  if (!inputSupervisor) return false;
+  const inputBounds = getInputBounds();
+  return inputSupervisor.send(inputBounds ? { ...event, __display: inputBounds } : event);
+};
 
-  inputBridge.on("exit", (code, signal) => {
-    const expectedStop = inputBridgeStopping;
-    inputBridge = null;
-    inputBridgeStopping = false;
+const sendToInputBridge = (session, event) => {
+  if (injectInput(event)) session.heldInput.track(event);
+};
 
-    if (expectedStop) {
-      return;
-    }
+// Nothing a session pressed may stay down once it can no longer send the release: it
+// ended, lost control or keyboard permission, or the connection dropped.
+const releaseHeldInput = (session, reason) => {
+  const releases = session.heldInput.releaseAll();
+  if (releases.length === 0) return;
+  log.info(
+    `releasing ${releases.length} held key(s) or mouse button(s) of ${session.sessionId} (${reason}).`
+  );
+  for (const event of releases) {
+    if (!inputSupervisor?.isAvailable() || !injectInput(event)) unsentReleases.push(event);
+  }
+};
 
-    const formattedCode = Number.isInteger(code) ? String(code) : "unknown";
-    const formattedSignal = signal || "none";
-    console.error(
-      `[agent] input bridge exited unexpectedly (code=${formattedCode}, signal=${formattedSignal}).`
-    );
-  });
+const releaseAllHeldInput = (reason) => {
+  for (const session of sessions.list()) {
+    releaseHeldInput(session, reason);
+  }
 };
 
-const stopInputBridge = () => {
-  if (!inputBridge) return;
-  inputBridgeStopping = true;
-  try {
-    inputBridge.kill();
-  } catch (e) {
-    // noop
+const sendUnsentReleases = () => {
+  const releases = unsentReleases;
+  unsentReleases = [];
+  if (releases.length === 0) return;
+  log.info(`sending ${releases.length} key or mouse button release(s) missed while input was down.`);
+  for (const event of releases) {
+    injectInput(event);
   }
-  inputBridge = null;
 };
 
-const sendToInputBridge = (event) => {
-  if (!inputBridge || inputBridge.killed || inputBridge.exitCode !== null) return;
-  if (
-    !inputBridge.stdin ||
-    inputBridge.stdin.destroyed ||
-    inputBridge.stdin.writableEnded ||
-    !inputBridge.stdin.writable
-  ) {
-    return;
+const emitInputState = (session) => {
+  socket.emit("remote-input-state", { sessionId: session.sessionId, ...inputState });
+};
+
+// The server and every session hear when input goes down and when it is back.
+const setInputState = (available, reason) => {
+  inputState = { available, reason };
+  sessionRecorder?.recordEvent(available ? "input-available" : "input-unavailable", { reason });
+  if (!socket.connected) return;
+  socket.emit("remote-host-input-state", { hostId, ...inputState });
+  for (const session of sessions.list().filter((candidate) => !candidate.suspended)) {
+    emitInputState(session);
   }
-  try {
-    const payload = resolvedDisplayBounds ? { ...event, __display: resolvedDisplayBounds } : event;
-    inputBridge.stdin.write(`${JSON.stringify(payload)}\n`);
-  } catch (err) {
-    console.error("[agent] failed writing to input bridge:", err.message);
+};
+
+// The restarted backend starts from a clean slate: keys pressed through the old one are
+// released, and the Windows bridge has to be told to watch the clipboard again.
+const handleInputRecovered = () => {
+  sendUnsentReleases();
+  releaseAllHeldInput("input-restarted");
+  if (clipboardSync.isEnabled()) {
+    clipboardSync.disable();
+    void applyLeadClipboard();
   }
+  setInputState(true, "restarted");
 };
 
 const stopCaptureLoop = () => {
   captureLoopRunning = false;
+  cursorStream?.stop();
   if (!captureTimer) return;
   clearTimeout(captureTimer);
   captureTimer = null;
 };
 
-const socket = io(serverUrl, {
-  auth: remoteControlToken ? { token: remoteControlToken } : undefined,
-  transports: ["polling", "websocket"],
+// Evaluated on every (re)connect, so the socket always presents the current token.
+const buildSignedSocketAuth = () => ({
+  hostId,
+  token: sessionTokens.current(),
+  ...(!hostSecret.provisionedAt && bootstrapToken ? { bootstrapToken } : {}),
 });
 
-const sendFrame = async () => {
-  if (!activeSessionId || !captureLoopRunning) return;
-  if (captureInProgress) {
-    scheduleNextCapture(20);
-    return;
-  }
+const socketAuth = sessionTokens
+  ? (applyAuth) => applyAuth(buildSignedSocketAuth())
+  : remoteControlToken
+    ? { token: remoteControlToken }
+    : undefined;
 
-  const captureStartedAt = Date.now();
-  captureInProgress = true;
-  try {
-    const displayId = await resolveDisplayId();
-    const captureOptions = displayId ? { format: "jpg", screen: displayId } : { format: "jpg" };
-    const frame = await screenshot(captureOptions);
-    const image = frame.toString("base64");
-    if (!image || image.length > MAX_FRAME_BASE64_LENGTH) {
-      return;
-    }
+const socket = io(serverUrl, {
+  auth: socketAuth,
+  transports: ["polling", "websocket"],
+});
 
-    socket.emit("remote-host-frame", {
-      sessionId: activeSessionId,
-      image,
-      timestamp: Date.now(),
-    });
-  } catch (err) {
-    console.error("[agent] frame capture failed:", err.message);
-  } finally {
-    const captureDurationMs = Date.now() - captureStartedAt;
-    if (performanceMode === "auto" && captureDurationMs >= slowCaptureThresholdMs) {
-      slowCaptureBackoffUntil = Date.now() + 900;
-    }
-    captureInProgress = false;
-    scheduleNextCapture();
-  }
+// Per-frame byte budget: the configured cap, tightened to what recent acks say the
+// link delivers at the current frame rate.
+const getFrameByteBudget = () => {
+  const throughputBytesPerSec = frameFlow.getThroughputBytesPerSec();
+  if (!throughputBytesPerSec) return maxFrameBytes;
+  const derivedBudget = Math.floor(
+    throughputBytesPerSec / Math.max(1, getEffectiveCaptureFps())
+  );
+  return Math.max(minFrameBytes, Math.min(maxFrameBytes, derivedBudget));
 };
 
-const startCaptureLoop = () => {
-  captureLoopRunning = true;
-  scheduleNextCapture(0);
+const recordDroppedFrame = (reason, metricReason) => {
+  agentMetrics.framesDropped.inc({ reason: metricReason });
+  droppedFrameCount += 1;
+  droppedFramesSinceLog += 1;
+  const now = Date.now();
+  if (now - lastDroppedFrameLogAt < DROPPED_FRAME_LOG_INTERVAL_MS) return;
+  log.warn(
+    `dropped ${droppedFramesSinceLog} frame(s) (${reason}); total dropped: ${droppedFrameCount}.`
+  );
+  droppedFramesSinceLog = 0;
+  lastDroppedFrameLogAt = now;
 };
 
-socket.on("connect", () => {
-  console.log(`[agent] connected to ${serverUrl}`);
-  socket.emit("remote-host-register", { hostId });
+const consentPolicy = createConsentPolicy({
+  policy: consentPolicyName,
+  allowlist: consentAllowlist,
+  timeoutMs: consentTimeoutMs,
+  promptMode: consentPromptMode,
+  headlessResponse: consentHeadlessResponse,
+  headlessDelayMs: consentHeadlessDelayMs,
 });
+if (consentPolicy.policy !== "auto") {
+  log.info(
+    `session consent: ${consentPolicy.policy}${
+      consentPolicy.promptName ? ` (${consentPolicy.promptName} prompt)` : ""
+    }`
+  );
+}
 
-socket.on("connect_error", (error) => {
-  console.error(`[agent] connect error: ${error.message}`);
+const clipboardSync = createClipboardSync({
+  backend: createClipboardBackend({
+    inputBackendName: resolveInputBackendName(inputBackendName),
+    getInputBridge: () => inputBridge,
+  }),
+  maxBytes: clipboardMaxBytes,
+  onHostChange: (text) => {
+    const leadId = sessions.getLeadId();
+    if (!leadId) return;
+    socket.emit("remote-clipboard-changed", { sessionId: leadId, text });
+  },
+  onHostRejected: ({ reason, bytes, maxBytes }) => {
+    const leadId = sessions.getLeadId();
+    if (!leadId) return;
+    log.warn(`host clipboard not sent: ${bytes} bytes exceeds ${maxBytes}.`);
+    socket.emit("remote-clipboard-error", {
+      sessionId: leadId,
+      direction: "host-to-controller",
+      reason,
+      maxBytes,
+    });
+  },
 });
 
-socket.on("remote-host-registered", ({ hostId: registeredHostId } = {}) => {
-  const normalizedRegisteredHostId = String(registeredHostId || "").trim();
-  console.log("[agent] host registered.");
-  if (normalizedRegisteredHostId) {
-    console.log(`[agent] Host ID: ${normalizedRegisteredHostId}`);
+const fileTransfer = fileTransferEnabled
+  ? createFileTransferManager({
+      inboxDir: fileInboxDir,
+      allowedRoots: fileAllowedRoots,
+      maxBytes: fileMaxBytes,
+      chunkBytes: fileChunkBytes,
+      partialMaxAgeHours: filePartialMaxAgeHours,
+      partialMaxTotalBytes: filePartialMaxTotalBytes,
+      emit: (eventName, payload) => {
+        const leadId = sessions.getLeadId();
+        if (!leadId) return;
+        socket.emit(eventName, { sessionId: leadId, ...payload });
+      },
+      encodeChunk: (buffer) => toWireBinary(buffer, sessions.getLead()?.frameTransport),
+    })
+  : null;
+
+const sessionRecorder = recordingEnabled
+  ? createSessionRecorder({
+      dir: recordingDir,
+      maxSessionBytes: recordingMaxSessionBytes,
+      retentionDays: recordingRetentionDays,
+      maxTotalBytes: recordingMaxTotalBytes,
+    })
+  : null;
+
+const describeInputRejection = (reason, permission) => {
+  if (reason === "permission") {
+    return `input not allowed with ${permission} permission`;
   }
-});
-
-socket.on("remote-session-started", ({ sessionId, hostId: sessionHostId } = {}) => {
-  const normalizedSessionId = String(sessionId || "").trim();
-  const normalizedSessionHostId = String(sessionHostId || "").trim();
-  if (!normalizedSessionId || normalizedSessionHostId !== hostId) return;
-  activeSessionId = normalizedSessionId;
-  console.log(`[agent] remote session started: ${normalizedSessionId}`);
-  startCaptureLoop();
-});
+  if (reason === "not-controller") {
+    return "another session holds control; request it with remote-control-request";
+  }
+  if (reason === "rate-limited") {
+    return `input rate limit of ${inputRatePerSec}/s exceeded`;
+  }
+  if (reason === "suspended") {
+    return "session is suspended until the server confirms its resume";
+  }
+  if (reason === "unencrypted") {
+    return "plaintext input refused on an end-to-end encrypted session";
+  }
+  if (reason === "e2e-replay" || reason === "e2e-invalid") {
+    return `encrypted input refused (${reason})`;
+  }
+  return `invalid input event (${reason})`;
+};
+
+const createSessionInputRejections = (sessionId) =>
+  createInputRejectionReporter({
+    report: ({ reason, count, types, totalRejected }) => {
+      const session = sessions.get(sessionId);
+      if (!session) return;
+      const message = describeInputRejection(reason, session.permission);
+      if (reason !== "permission" && reason !== "not-controller") {
+        log.warn(`rejected ${count} input event(s) from ${sessionId}: ${message}`);
+      }
+      sessionRecorder?.recordEvent("input-rejected", { sessionId, reason, count, types });
+      agentMetrics.inputRejected.inc({ reason }, count);
+      socket.emit("remote-input-rejected", {
+        sessionId,
+        code: `input-${reason}`,
+        message,
+        reason,
+        count,
+        types,
+        totalRejected,
+        permission: session.permission,
+      });
+    },
+  });
+
+const emitClipboardState = (session) => {
+  socket.emit("remote-clipboard-state", {
+    sessionId: session.sessionId,
+    enabled: session.sessionId === sessions.getLeadId() && clipboardSync.isEnabled(),
+    maxBytes: clipboardSync.maxBytes,
+    ...(session.e2e ? { reason: "e2e-unsupported" } : {}),
+  });
+};
+
+// The host clipboard and files are as sensitive as the keyboard: only the controller
+// with full control may read or write them.
+const canExchangeHostData = (session) =>
+  !!session &&
+  sessions.getControllerId() === session.sessionId &&
+  isInputAllowed(session.permission, "key-down");
+
+// Clipboard sync follows the lead session's setting; other sessions never see it. Its
+// events are not sealed, so an end-to-end encrypted lead never gets it.
+const applyLeadClipboard = async () => {
+  const lead = sessions.getLead();
+  if (!lead?.clipboard || lead.suspended || lead.e2e || !canExchangeHostData(lead)) {
+    clipboardSync.disable();
+  } else if (!(await clipboardSync.enable())) {
+    log.warn("clipboard sync unavailable on this host.");
+  }
+  if (lead && sessions.getLead() === lead) emitClipboardState(lead);
+};
+
+const encodeFrameImages = (payload, transport) => ({
+  ...payload,
+  ...(payload.image ? { image: toWireBinary(payload.image, transport) } : {}),
+  ...(payload.tiles
+    ? {
+        tiles: payload.tiles.map((tile) => ({
+          ...tile,
+          image: toWireBinary(tile.image, transport),
+        })),
+      }
+    : {}),
+});
+
+// A session waiting for its key exchange, or suspended by a dropped connection, gets no
+// frames until it is confirmed.
+const isSessionStreaming = (session) =>
+  !session.suspended && (!session.e2e || !!session.e2e.channel);
+
+const hasStreamingSessions = () => sessions.list().some(isSessionStreaming);
+
+// Encrypted sessions get a sealed copy in which only the session id stays readable for
+// the server to route it.
+const emitSessionEvent = (session, eventName, payload) => {
+  const { sessionId, frameTransport } = session;
+  if (session.e2e?.channel) {
+    const sealed = session.e2e.channel.seal(eventName, payload);
+    socket.emit(eventName, {
+      sessionId,
+      e2e: { seq: sealed.seq, box: toWireBinary(sealed.box, frameTransport) },
+    });
+    return;
+  }
+  socket.emit(eventName, { sessionId, ...payload });
+};
+
+// A shape goes to each session once; after that `remote-cursor` names it by hash.
+const emitCursor = (cursor) => {
+  for (const session of sessions.list().filter(isSessionStreaming)) {
+    const shape =
+      cursor.shape && !session.cursorShapes.has(cursor.shape)
+        ? cursorStream.getShape(cursor.shape)
+        : null;
+    if (shape) {
+      session.cursorShapes.add(shape.hash);
+      emitSessionEvent(session, "remote-cursor-shape", {
+        ...shape,
+        image: session.e2e ? shape.image : toWireBinary(shape.image, session.frameTransport),
+      });
+    }
+    emitSessionEvent(session, "remote-cursor", cursor);
+  }
+};
+
+// Captured and encoded once, then sent to every streaming session; encrypted sessions
+// each get their own sealed copy.
+const emitFrame = (eventName, payload, bytes) => {
+  const kind = payload.kind || "full";
+  agentMetrics.framesSent.inc({ kind });
+  agentMetrics.frameBytes.observe(bytes, { kind });
+  const seq = frameFlow.nextSeq();
+  frameFlow.track(seq, Date.now(), bytes);
+  const framePayload = { seq, ...payload, timestamp: Date.now() };
+  const encodedByTransport = new Map();
+  for (const session of sessions.list().filter(isSessionStreaming)) {
+    const { sessionId, frameTransport } = session;
+    session.lastFrameSeq = seq;
+    if (session.e2e?.channel) {
+      emitSessionEvent(session, eventName, framePayload);
+      continue;
+    }
+    if (!encodedByTransport.has(frameTransport)) {
+      encodedByTransport.set(frameTransport, encodeFrameImages(framePayload, frameTransport));
+    }
+    socket.emit(eventName, { sessionId, ...encodedByTransport.get(frameTransport) });
+  }
+  return seq;
+};
+
+const sendFrame = async () => {
+  if (!captureLoopRunning || !hasStreamingSessions()) return;
+  if (captureInProgress) {
+    agentMetrics.framesSkipped.inc({ reason: "capture-in-progress" });
+    scheduleNextCapture(20);
+    return;
+  }
+  if (frameFlow.isWindowFull()) {
+    // Resumed by the next ack, or once the oldest unacked frame times out.
+    agentMetrics.framesSkipped.inc({ reason: "ack-window-full" });
+    waitingForFrameAck = true;
+    scheduleNextCapture(frameFlow.ackTimeoutMs);
+    return;
+  }
+  waitingForFrameAck = false;
+
+  const captureStartedAt = Date.now();
+  captureInProgress = true;
+  try {
+    const displayId = await resolveDisplayId();
+    const captured = await captureSource.capture({
+      displayId,
+      displayBounds: resolvedDisplayBounds,
+      displays: availableDisplays,
+      includeCursor: !cursorStream,
+    });
+    const frame = captured?.image;
+    if (!frame || frame.length === 0) {
+      recordDroppedFrame("empty capture", "empty-capture");
+      return;
+    }
+    updateCaptureBounds(captured.bounds);
+
+    let fullFrameHash = null;
+    if (streamFrameEncoding !== "tiles") {
+      fullFrameHash = frameEncoder.hashFullFrame(frame);
+      if (!fullFrameHash) {
+        agentMetrics.framesDropped.inc({ reason: "unchanged" });
+        return;
+      }
+    }
+
+    const budgetBytes = getFrameByteBudget();
+    const fitted = await frameEncoder.fit(frame, budgetBytes);
+    if (!fitted) {
+      recordDroppedFrame(
+        `${frame.length} bytes cannot fit ${budgetBytes} byte budget`,
+        "over-budget"
+      );
+      return;
+    }
+    if (fitted.scale !== appliedFrameScale) {
+      log.info(
+        `frame scale: ${fitted.scale} (budget=${budgetBytes} bytes, quality=${
+          fitted.quality || "capture"
+        })`
+      );
+      appliedFrameScale = fitted.scale;
+    }
+
+    if (streamFrameEncoding === "tiles") {
+      const update = await frameEncoder.encodeTiles(fitted.image);
+      if (!update) return;
+      if (update.kind === "keyframe") {
+        const seq = emitFrame(
+          "remote-host-frame-update",
+          { ...update, scale: fitted.scale },
+          update.image.length
+        );
+        sessionRecorder?.recordFrame({ ...update, seq, scale: fitted.scale });
+        return;
+      }
+
+      const seq = emitFrame(
+        "remote-host-frame-update",
+        { ...update, scale: fitted.scale },
+        update.tiles.reduce((total, tile) => total + tile.image.length, 0)
+      );
+      sessionRecorder?.recordFrame({ ...update, seq, scale: fitted.scale });
+      return;
+    }
+
+    const seq = emitFrame(
+      "remote-host-frame",
+      { image: fitted.image, scale: fitted.scale },
+      fitted.image.length
+    );
+    frameEncoder.markFullFrameSent(fullFrameHash);
+    sessionRecorder?.recordFrame({ kind: "full", seq, scale: fitted.scale, image: fitted.image });
+  } catch (err) {
+    agentMetrics.framesDropped.inc({ reason: "capture-error" });
+    log.error("frame capture failed:", err.message);
+  } finally {
+    const captureDurationMs = Date.now() - captureStartedAt;
+    agentMetrics.captureDuration.observe(captureDurationMs / 1000);
+    if (performanceMode === "auto" && captureDurationMs >= slowCaptureThresholdMs) {
+      startSlowCaptureBackoff();
+    }
+    captureInProgress = false;
+    scheduleNextCapture();
+  }
+};
+
+const startCaptureLoop = () => {
+  // Nothing is captured while every session is still waiting on its key exchange.
+  if (!hasStreamingSessions()) return;
+  captureLoopRunning = true;
+  cursorStream?.start();
+  scheduleNextCapture(0);
+};
+
+socket.on("connect", async () => {
+  log.info(`connected to ${serverUrl}`);
+  serverConnectCount += 1;
+  if (serverConnectCount > 1) agentMetrics.reconnects.inc();
+  await resolveDisplayId();
+  await refreshDisplays();
+  socket.emit("remote-host-register", {
+    hostId,
+    frameEncodings: getSupportedFrameEncodings(),
+    frameTransports: FRAME_TRANSPORTS,
+    // Frames leave the pointer out while `remote-cursor` events carry it.
+    cursor: cursorStream ? { stream: true, rateHz: cursorStream.rateHz } : null,
+    input: inputSupervisor ? { backend: inputSupervisor.name, ...inputState } : null,
+    displays: getDisplaySummary(),
+    displayId: resolvedDisplayId,
+    e2e: e2eIdentity
+      ? { mode: e2eMode, verify: e2eVerifyMode, identityKey: e2eIdentity.publicKey }
+      : null,
+    // The secret is sent until the server confirms it with `hostSecretProvisioned`.
+    auth: hostSecret
+      ? {
+          mode: authMode,
+          tokenTtlSec: authTokenTtlSec,
+          secret: hostSecret.provisionedAt ? undefined : hostSecret.secret,
+        }
+      : null,
+  });
+});
+
+socket.on("connect_error", (error) => {
+  log.error(`connect error: ${error.message}`);
+});
+
+socket.on(
+  "remote-host-registered",
+  ({ hostId: serverHostId, frameEncoding, frameTransport, hostSecretProvisioned } = {}) => {
+    const normalizedRegisteredHostId = String(serverHostId || "").trim();
+    registeredHostId = normalizedRegisteredHostId || hostId;
+    serverFrameEncoding = negotiateFrameEncoding(frameEncoding);
+    serverFrameTransport = negotiateFrameTransport(frameTransport);
+    log.info("host registered.");
+    log.info(
+      `frame encoding: ${serverFrameEncoding} (transport=${serverFrameTransport})`
+    );
+    if (normalizedRegisteredHostId) {
+      log.info(`Host ID: ${normalizedRegisteredHostId}`);
+    }
+    if (hostSecret && !hostSecret.provisionedAt && hostSecretProvisioned === true) {
+      markHostSecretProvisioned(hostSecret, hostId);
+      log.info("host secret provisioned.");
+    }
+    requestSessionResumes();
+  }
+);
+
+const reconnectWithFreshToken = () => {
+  tokenReconnectPending = false;
+  if (!socket.connected) return;
+  log.info("reconnecting with the refreshed session token.");
+  socket.disconnect();
+  socket.connect();
+};
+
+// The server sees a new token when the socket reconnects. While a session is running
+// the reconnect waits for it to end; the server gets the token as an event meanwhile.
+const handleSessionTokenRefresh = (token) => {
+  if (!socket.connected) return;
+  if (sessions.size() > 0 || pendingConsents.size > 0) {
+    socket.emit("remote-host-token-refresh", { hostId, token });
+    tokenReconnectPending = true;
+    log.info("session token refreshed. Reconnecting once the session ends.");
+    return;
+  }
+  reconnectWithFreshToken();
+};
+
+// Tokens issued by the server replace the agent's own only if they verify for this host.
+socket.on("remote-host-token", ({ token } = {}) => {
+  if (!sessionTokens) return;
+  const accepted = sessionTokens.accept(token);
+  if (accepted.ok) {
+    log.info("session token updated by the server.");
+    return;
+  }
+  log.warn(`server session token rejected (${accepted.reason}).`);
+  socket.emit("remote-host-token-rejected", { hostId, reason: accepted.reason });
+});
+
+const clearE2eSession = (session) => {
+  if (session.e2e?.timer) clearTimeout(session.e2e.timer);
+  session.e2e = null;
+};
+
+const failE2eSession = (session, reason) => {
+  const { sessionId } = session;
+  log.warn(`session ${sessionId} ended: end-to-end encryption failed (${reason}).`);
+  socket.emit("remote-e2e-failed", { sessionId, reason });
+  socket.emit("remote-host-end-session", { sessionId, hostId, reason });
+  endSession(sessionId, reason);
+};
+
+// Sends the host half of the key exchange; streaming starts on `remote-e2e-confirm`.
+const startE2eHandshake = (session, handshake) => {
+  const { sessionId } = session;
+  session.e2e = {
+    handshake,
+    channel: null,
+    timer: setTimeout(() => {
+      if (sessions.get(sessionId) === session && session.e2e && !session.e2e.channel) {
+        failE2eSession(session, "e2e-timeout");
+      }
+    }, e2eHandshakeTimeoutMs),
+  };
+  socket.emit("remote-e2e-accept", { sessionId, ...handshake.accept });
+  if (e2eVerifyMode === "pairing-code") {
+    log.info(`e2e pairing code for session ${sessionId}: ${handshake.pairingCode}`);
+  } else {
+    log.info(`e2e key exchange sent for session ${sessionId}; waiting for the controller.`);
+  }
+};
+
+const canTakeControl = (session) => session.permission !== "view-only";
+
+const emitControlState = (session, reason) => {
+  socket.emit("remote-control-changed", {
+    sessionId: session.sessionId,
+    controllingSessionId: sessions.getControllerId() || null,
+    role: sessions.getRole(session.sessionId),
+    reason,
+  });
+};
+
+// Runs after anything that can move the lead: clipboard sync and file transfers follow
+// it, and frame acks are counted from it alone.
+const refreshLeadSession = () => {
+  const nextLeadId = sessions.getLeadId();
+  if (nextLeadId === leadSessionId) return;
+  const previousLead = sessions.get(leadSessionId);
+  leadSessionId = nextLeadId;
+  frameFlow.reset();
+  void fileTransfer?.suspendAll();
+  if (previousLead) emitClipboardState(previousLead);
+  void applyLeadClipboard();
+};
+
+const announceControlChange = (reason) => {
+  const controllerId = sessions.getControllerId();
+  log.info(
+    controllerId
+      ? `session ${controllerId} has control (${reason}).`
+      : `no session has control (${reason}).`
+  );
+  sessionRecorder?.recordEvent("control-changed", { sessionId: controllerId || null, reason });
+  for (const session of sessions.list()) {
+    emitControlState(session, reason);
+  }
+  const previousLeadId = leadSessionId;
+  refreshLeadSession();
+  // The lead may stay the same but gain or lose control, and with it the clipboard and files.
+  if (leadSessionId === previousLeadId) {
+    void fileTransfer?.suspendAll();
+    void applyLeadClipboard();
+  }
+};
+
+const setController = (sessionId, reason) => {
+  if (sessions.getControllerId() === sessionId) return;
+  const previousController = sessions.getController();
+  if (previousController) releaseHeldInput(previousController, "control-changed");
+  sessions.setController(sessionId);
+  announceControlChange(reason);
+};
+
+const activateSession = (
+  sessionId,
+  permission,
+  { frameEncoding, frameTransport, clipboard, controllerId, controllerName, e2eHandshake } = {}
+) => {
+  const firstSession = sessions.size() === 0;
+  const session = sessions.add({
+    sessionId,
+    controllerId: String(controllerId || "").trim(),
+    controllerName: String(controllerName || "").trim(),
+    permission,
+    frameTransport: frameTransport
+      ? negotiateFrameTransport(frameTransport)
+      : serverFrameTransport || "base64",
+    clipboard: typeof clipboard === "boolean" ? clipboard : clipboardDefaultEnabled,
+    // `{ handshake, channel, timer }` for an end-to-end encrypted session; `channel`
+    // is null until the controller confirms the key exchange.
+    e2e: null,
+    pendingPermissionRequest: null,
+    // Set while the connection is down; cleared once the server confirms the resume.
+    suspended: false,
+    lastFrameSeq: 0,
+    // Hashes of the cursor shapes this session has been sent.
+    cursorShapes: new Set(),
+    // Keys and mouse buttons this session pressed and has not released yet.
+    heldInput: createHeldInputTracker(),
+    inputRejections: createSessionInputRejections(sessionId),
+    // Per session, so changes of control never hand a flooding session a full burst.
+    inputRateLimiter: createTokenBucket({ ratePerSec: inputRatePerSec, burst: inputBurst }),
+  });
+  if (firstSession) {
+    // Frames are encoded once for every viewer, so the first session picks the encoding.
+    streamFrameEncoding = frameEncoding
+      ? negotiateFrameEncoding(frameEncoding)
+      : serverFrameEncoding || "full";
+    frameEncoder.reset();
+    frameFlow.reset();
+    sessionRecorder?.start({
+      sessionId,
+      hostId,
+      controllerId: session.controllerId,
+      controllerName: session.controllerName,
+      permission,
+      frameEncoding: streamFrameEncoding,
+      displayId: resolvedDisplayId,
+      displayBounds: resolvedDisplayBounds,
+    });
+  } else {
+    // Tiles are deltas against frames the new viewer never received.
+    frameEncoder.requestKeyframe();
+    sessionRecorder?.recordEvent("viewer-joined", {
+      sessionId,
+      controllerId: session.controllerId,
+      controllerName: session.controllerName,
+      permission,
+    });
+  }
+  log.info(
+    `remote session started: ${sessionId} (permission=${permission}, frames=${streamFrameEncoding}, transport=${session.frameTransport}, sessions=${sessions.size()})`
+  );
+  if (e2eHandshake) startE2eHandshake(session, e2eHandshake);
+  if (!sessions.getControllerId() && canTakeControl(session)) {
+    setController(sessionId, "joined");
+  } else {
+    emitControlState(session, "joined");
+    refreshLeadSession();
+    if (sessionId !== sessions.getLeadId()) emitClipboardState(session);
+  }
+  if (!inputState.available) emitInputState(session);
+  if (streamingPaused) {
+    log.info("streaming is paused; frames resume once it is resumed.");
+  } else {
+    startCaptureLoop();
+  }
+};
+
+const cancelPendingConsent = (sessionId = "") => {
+  for (const session of sessionId ? [sessions.get(sessionId)] : sessions.list()) {
+    if (!session?.pendingPermissionRequest) continue;
+    session.pendingPermissionRequest.abortController.abort();
+    session.pendingPermissionRequest = null;
+  }
+  for (const [pendingSessionId, abortController] of pendingConsents) {
+    if (sessionId && pendingSessionId !== sessionId) continue;
+    abortController.abort();
+    pendingConsents.delete(pendingSessionId);
+  }
+};
+
+// Tells every viewer (and the recording) that frames now come from another display.
+const announceDisplayChange = () => {
+  frameEncoder.requestKeyframe();
+  frameEncoder.resetFit();
+  sessionRecorder?.recordEvent("display-changed", {
+    displayId: resolvedDisplayId,
+    bounds: resolvedDisplayBounds,
+  });
+  for (const { sessionId } of sessions.list()) {
+    socket.emit("remote-display-selected", {
+      sessionId,
+      displayId: resolvedDisplayId,
+      bounds: resolvedDisplayBounds,
+      displays: getDisplaySummary(),
+    });
+  }
+};
+
+const releaseSession = (session) => {
+  releaseHeldInput(session, "session-ended");
+  session.pendingPermissionRequest?.abortController.abort();
+  session.pendingPermissionRequest = null;
+  clearE2eSession(session);
+  session.inputRejections.reset();
+  sessions.remove(session.sessionId);
+};
+
+const clearResumeTimer = () => {
+  if (resumeTimer) clearTimeout(resumeTimer);
+  resumeTimer = null;
+};
+
+const stopSessionStreaming = (reason) => {
+  leadSessionId = "";
+  clearResumeTimer();
+  stopCaptureLoop();
+  void sessionRecorder?.stop(reason);
+  clipboardSync.disable();
+  void fileTransfer?.suspendAll();
+  if (tokenReconnectPending) setImmediate(reconnectWithFreshToken);
+};
+
+// Capture, recording and clipboard sync stop with the last session.
+const endSession = (sessionId, reason) => {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  const wasController = sessions.getControllerId() === sessionId;
+  releaseSession(session);
+  if (sessions.size() === 0) {
+    stopSessionStreaming(reason);
+    return;
+  }
+
+  sessionRecorder?.recordEvent("viewer-left", { sessionId, reason });
+  if (wasController) {
+    announceControlChange("controller-left");
+  } else {
+    refreshLeadSession();
+  }
+  if (!hasStreamingSessions()) stopCaptureLoop();
+};
+
+// Used when the connection drops: nothing is sent to the server.
+const endAllSessions = (reason) => {
+  for (const session of sessions.list()) {
+    releaseSession(session);
+  }
+  stopSessionStreaming(reason);
+};
+
+const hasSuspendedSessions = () => sessions.list().some((session) => session.suspended);
+
+const expireSuspendedSessions = () => {
+  resumeTimer = null;
+  for (const { sessionId } of sessions.list().filter((session) => session.suspended)) {
+    log.warn(`session ${sessionId} ended: not resumed within ${resumeGraceMs} ms.`);
+    agentMetrics.sessionResumes.inc({ outcome: "expired" });
+    if (socket.connected) {
+      socket.emit("remote-host-end-session", { sessionId, hostId, reason: "resume-timeout" });
+    }
+    endSession(sessionId, "resume-timeout");
+  }
+};
+
+// Keeps the sessions for `resumeGraceMs` after the connection drops instead of ending
+// them. Nothing is captured or injected until the server confirms each one again.
+const suspendSessions = () => {
+  stopCaptureLoop();
+  releaseAllHeldInput("disconnected");
+  clipboardSync.disable();
+  void fileTransfer?.suspendAll();
+  frameFlow.reset();
+  waitingForFrameAck = false;
+  for (const session of sessions.list()) {
+    // A half-done key exchange cannot be finished over the new connection.
+    if (session.e2e && !session.e2e.channel) {
+      releaseSession(session);
+      continue;
+    }
+    session.suspended = true;
+    session.inputRejections.reset();
+  }
+  if (sessions.size() === 0) {
+    stopSessionStreaming("disconnected");
+    return;
+  }
+
+  const suspendedIds = sessions.list().map(({ sessionId }) => sessionId);
+  log.info(
+    `keeping session(s) ${suspendedIds.join(", ")} resumable for ${resumeGraceMs} ms.`
+  );
+  sessionRecorder?.recordEvent("sessions-suspended", { sessionIds: suspendedIds });
+  if (!resumeTimer) resumeTimer = setTimeout(expireSuspendedSessions, resumeGraceMs);
+};
+
+// Sent after every registration; the server answers each with `remote-session-resumed`
+// or `remote-session-resume-rejected`.
+const requestSessionResumes = () => {
+  for (const session of sessions.list()) {
+    if (!session.suspended) continue;
+    log.info(
+      `requesting resume of session ${session.sessionId} (last frame ${session.lastFrameSeq}).`
+    );
+    socket.emit("remote-session-resume", {
+      sessionId: session.sessionId,
+      hostId,
+      lastFrameSeq: session.lastFrameSeq,
+      role: sessions.getRole(session.sessionId),
+    });
+  }
+};
+
+socket.on("remote-session-resumed", ({ sessionId } = {}) => {
+  const session = sessions.get(String(sessionId || "").trim());
+  if (!session?.suspended) return;
+  session.suspended = false;
+  if (!hasSuspendedSessions()) clearResumeTimer();
+  agentMetrics.sessionResumes.inc({ outcome: "resumed" });
+  log.info(`session ${session.sessionId} resumed.`);
+  sessionRecorder?.recordEvent("session-resumed", { sessionId: session.sessionId });
+
+  // Frames in flight when the connection dropped may never have arrived.
+  frameEncoder.requestKeyframe();
+  emitControlState(session, "resumed");
+  // Input may have gone down or come back while the session was suspended.
+  if (inputSupervisor) emitInputState(session);
+  if (session.sessionId === sessions.getLeadId()) {
+    leadSessionId = session.sessionId;
+    frameFlow.reset();
+    void applyLeadClipboard();
+  } else {
+    emitClipboardState(session);
+  }
+  if (streamingPaused) {
+    socket.emit("remote-streaming-state", { sessionId: session.sessionId, paused: true });
+  } else {
+    startCaptureLoop();
+  }
+});
+
+socket.on("remote-session-resume-rejected", ({ sessionId, reason } = {}) => {
+  const session = sessions.get(String(sessionId || "").trim());
+  if (!session?.suspended) return;
+  const rejectionReason = String(reason || "").trim().slice(0, 64) || "unknown";
+  log.warn(`session ${session.sessionId} ended: resume rejected (${rejectionReason}).`);
+  agentMetrics.sessionResumes.inc({ outcome: "rejected" });
+  endSession(session.sessionId, "resume-rejected");
+  if (!hasSuspendedSessions()) clearResumeTimer();
+});
+
+socket.on("remote-session-started", async (payload = {}) => {
+  const { sessionId, hostId: sessionHostId, controllerId, controllerName, permission } =
+    payload || {};
+  const normalizedSessionId = String(sessionId || "").trim();
+  const normalizedSessionHostId = String(sessionHostId || "").trim();
+  if (!normalizedSessionId || normalizedSessionHostId !== hostId) return;
+  if (sessions.has(normalizedSessionId) || pendingConsents.has(normalizedSessionId)) return;
+  const sessionPermission = normalizePermission(permission, defaultSessionPermission);
+
+  if (sessions.size() + pendingConsents.size >= maxSessions) {
+    log.warn(`session ${normalizedSessionId} rejected (session-limit of ${maxSessions}).`);
+    socket.emit("remote-session-rejected", {
+      sessionId: normalizedSessionId,
+      hostId,
+      reason: "session-limit",
+    });
+    return;
+  }
+
+  // Key exchange offers are checked before consent so the local user is never asked
+  // about a session that cannot go ahead.
+  let e2eHandshake = null;
+  let e2eRejection = "";
+  if (e2eMode === "required" && !payload?.e2e) {
+    e2eRejection = "e2e-required";
+  } else if (e2eIdentity && payload?.e2e) {
+    try {
+      e2eHandshake = createE2eHandshake({
+        sessionId: normalizedSessionId,
+        identity: e2eIdentity,
+        offer: payload.e2e,
+        verifyMode: e2eVerifyMode,
+        trustedControllerKeys: e2eControllerKeys,
+      });
+    } catch (err) {
+      e2eRejection = err.reason || "e2e-invalid-offer";
+    }
+  }
+  if (e2eRejection) {
+    log.warn(`session ${normalizedSessionId} rejected (${e2eRejection}).`);
+    socket.emit("remote-session-rejected", {
+      sessionId: normalizedSessionId,
+      hostId,
+      reason: e2eRejection,
+    });
+    return;
+  }
+
+  const abortController = new AbortController();
+  pendingConsents.set(normalizedSessionId, abortController);
+  if (consentPolicy.policy !== "auto") {
+    log.info(
+      `session ${normalizedSessionId} awaiting approval (policy=${consentPolicy.policy}).`
+    );
+  }
+
+  const { approved, reason } = await consentPolicy.evaluate({
+    controllerId: String(controllerId || "").trim(),
+    controllerName: String(controllerName || "").trim(),
+    purpose: describePermission(sessionPermission),
+    signal: abortController.signal,
+  });
+  // Ended or disconnected while the decision was pending.
+  if (pendingConsents.get(normalizedSessionId) !== abortController) return;
+  pendingConsents.delete(normalizedSessionId);
+
+  if (!approved) {
+    log.warn(`session ${normalizedSessionId} rejected (${reason}).`);
+    socket.emit("remote-session-rejected", {
+      sessionId: normalizedSessionId,
+      hostId,
+      reason,
+    });
+    return;
+  }
+
+  socket.emit("remote-session-approved", {
+    sessionId: normalizedSessionId,
+    hostId,
+    reason,
+    permission: sessionPermission,
+  });
+  activateSession(normalizedSessionId, sessionPermission, { ...payload, e2eHandshake });
+});
+
+socket.on("remote-e2e-confirm", async ({ sessionId, mac, signature } = {}) => {
+  const session = sessions.get(String(sessionId || "").trim());
+  if (!session?.e2e || session.e2e.channel || session.e2e.confirming) return;
+
+  // One attempt only: a wrong pairing code ends the session instead of allowing guesses.
+  const { e2e } = session;
+  e2e.confirming = true;
+  let verified = false;
+  try {
+    verified = await e2e.handshake.verifyConfirm({ mac, signature });
+  } catch (err) {
+    log.error(`e2e confirmation check failed: ${err?.message || err}`);
+  }
+  if (sessions.get(session.sessionId) !== session || session.e2e !== e2e) return;
+  if (!verified) {
+    failE2eSession(session, "e2e-verification-failed");
+    return;
+  }
+
+  clearTimeout(session.e2e.timer);
+  session.e2e.timer = null;
+  session.e2e.channel = session.e2e.handshake.createChannel();
+  log.info(`session ${session.sessionId} is end-to-end encrypted (verify=${e2eVerifyMode}).`);
+  sessionRecorder?.recordEvent("e2e-established", {
+    sessionId: session.sessionId,
+    verify: e2eVerifyMode,
+  });
+  socket.emit("remote-e2e-established", { sessionId: session.sessionId });
+  // The stream may already be running for other viewers; this one starts from a keyframe.
+  frameEncoder.requestKeyframe();
+  if (!streamingPaused) startCaptureLoop();
+});
+
+// Downgrades apply at once; upgrades go through the same consent policy as a new session.
+socket.on(
+  "remote-permission-request",
+  async ({ sessionId, permission, controllerId, controllerName } = {}) => {
+    const normalizedSessionId = String(sessionId || "").trim();
+    const session = sessions.get(normalizedSessionId);
+    if (!session) return;
+    const requestedPermission = normalizePermission(permission);
+    if (!requestedPermission) {
+      socket.emit("remote-permission-rejected", {
+        sessionId: normalizedSessionId,
+        permission: String(permission || ""),
+        reason: "unknown-permission",
+      });
+      return;
+    }
+
+    if (getPermissionRank(requestedPermission) > getPermissionRank(session.permission)) {
+      session.pendingPermissionRequest?.abortController.abort();
+      const abortController = new AbortController();
+      const request = { abortController };
+      session.pendingPermissionRequest = request;
+
+      const { approved, reason } = await consentPolicy.evaluate({
+        controllerId: String(controllerId || "").trim(),
+        controllerName: String(controllerName || "").trim(),
+        purpose: describePermission(requestedPermission),
+        signal: abortController.signal,
+      });
+      if (session.pendingPermissionRequest !== request) return;
+      session.pendingPermissionRequest = null;
+      if (sessions.get(normalizedSessionId) !== session) return;
+
+      if (!approved) {
+        log.warn(
+          `permission upgrade to ${requestedPermission} rejected (${reason}).`
+        );
+        socket.emit("remote-permission-rejected", {
+          sessionId: normalizedSessionId,
+          permission: requestedPermission,
+          reason,
+        });
+        return;
+      }
+    }
+
+    if (getPermissionRank(requestedPermission) < getPermissionRank(session.permission)) {
+      releaseHeldInput(session, "permission-changed");
+    }
+    session.permission = requestedPermission;
+    log.info(`session ${normalizedSessionId} permission: ${requestedPermission}`);
+    sessionRecorder?.recordEvent("permission-changed", {
+      sessionId: normalizedSessionId,
+      permission: requestedPermission,
+    });
+    socket.emit("remote-permission-changed", {
+      sessionId: normalizedSessionId,
+      permission: requestedPermission,
+    });
+    if (sessions.getControllerId() === normalizedSessionId && !canTakeControl(session)) {
+      setController("", "permission-changed");
+    } else if (!sessions.getControllerId() && canTakeControl(session)) {
+      setController(normalizedSessionId, "permission-changed");
+    } else if (session === sessions.getLead()) {
+      if (!canExchangeHostData(session)) void fileTransfer?.suspendAll();
+      void applyLeadClipboard();
+    }
+  }
+);
+
+const rejectControlRequest = (sessionId, reason) => {
+  socket.emit("remote-control-rejected", {
+    sessionId,
+    controllingSessionId: sessions.getControllerId() || null,
+    reason,
+  });
+};
+
+// Control moves only on request: it is granted when free, otherwise the controller is
+// asked and may pass it on with `remote-control-transfer`.
+socket.on("remote-control-request", ({ sessionId } = {}) => {
+  const session = sessions.get(String(sessionId || "").trim());
+  if (!session || session.suspended) return;
+  const controller = sessions.getController();
+  if (controller === session) return;
+  if (!canTakeControl(session)) {
+    rejectControlRequest(session.sessionId, "permission");
+    return;
+  }
+  if (!controller) {
+    setController(session.sessionId, "requested");
+    return;
+  }
+  rejectControlRequest(session.sessionId, "control-held");
+  socket.emit("remote-control-requested", {
+    sessionId: controller.sessionId,
+    requestedBy: session.sessionId,
+    controllerId: session.controllerId || null,
+    controllerName: session.controllerName || null,
+  });
+});
+
+socket.on("remote-control-transfer", ({ sessionId, toSessionId } = {}) => {
+  const normalizedSessionId = String(sessionId || "").trim();
+  if (!sessions.has(normalizedSessionId)) return;
+  if (sessions.getControllerId() !== normalizedSessionId) {
+    rejectControlRequest(normalizedSessionId, "not-controller");
+    return;
+  }
+  const target = sessions.get(String(toSessionId || "").trim());
+  if (!target) {
+    rejectControlRequest(normalizedSessionId, "unknown-session");
+    return;
+  }
+  if (!canTakeControl(target)) {
+    rejectControlRequest(normalizedSessionId, "permission");
+    return;
+  }
+  setController(target.sessionId, "transferred");
+});
+
+socket.on("remote-control-release", ({ sessionId } = {}) => {
+  const normalizedSessionId = String(sessionId || "").trim();
+  if (!normalizedSessionId || sessions.getControllerId() !== normalizedSessionId) return;
+  setController("", "released");
+});
+
+socket.on("remote-frame-ack", ({ sessionId, seq } = {}) => {
+  const normalizedSessionId = String(sessionId || "").trim();
+  // Every viewer gets the same frames; the lead session's acks set the pace.
+  if (!normalizedSessionId || normalizedSessionId !== sessions.getLeadId()) return;
+  const latencyMs = frameFlow.ack(seq);
+  if (
+    performanceMode === "auto" &&
+    Number.isFinite(latencyMs) &&
+    latencyMs >= slowCaptureThresholdMs
+  ) {
+    startSlowCaptureBackoff();
+  }
+  if (waitingForFrameAck && !frameFlow.isWindowFull()) {
+    waitingForFrameAck = false;
+    scheduleNextCapture(0);
+  }
+});
+
+socket.on("remote-display-select", async ({ sessionId, displayId } = {}) => {
+  const normalizedSessionId = String(sessionId || "").trim();
+  const normalizedDisplayId = String(displayId || "").trim();
+  if (!normalizedSessionId || !sessions.has(normalizedSessionId)) return;
+  if (normalizedSessionId !== sessions.getLeadId()) {
+    socket.emit("remote-display-select-failed", {
+      sessionId: normalizedSessionId,
+      displayId: normalizedDisplayId,
+      reason: "observer",
+      displays: getDisplaySummary(),
+    });
+    return;
+  }
+
+  await refreshDisplays();
+  if (!normalizedDisplayId || !applyDisplaySelection(normalizedDisplayId, "switched")) {
+    log.warn(`display switch to '${normalizedDisplayId}' rejected: unknown display.`);
+    socket.emit("remote-display-select-failed", {
+      sessionId: normalizedSessionId,
+      displayId: normalizedDisplayId,
+      reason: "unknown-display",
+      displays: getDisplaySummary(),
+    });
+    return;
+  }
+
+  announceDisplayChange();
+});
+
+const isSelectableDisplay = (displayId) =>
+  displayId.toLowerCase() === ALL_DISPLAYS_ID
+    ? !!getVirtualDisplayBounds(availableDisplays)
+    : availableDisplays.some((display) => display.id === displayId);
+
+// Swaps in a config that differs from the running one only in live keys. A display that
+// does not exist rejects the whole change; returns the rejections, empty when applied.
+const applyRuntimeConfig = async (nextConfig, changes, source) => {
+  const displayChanged = changes.some(({ key }) => key === "displayId");
+  const nextDisplayId = nextConfig.values.displayId;
+  if (displayChanged && nextDisplayId) {
+    await refreshDisplays();
+    if (!isSelectableDisplay(nextDisplayId)) {
+      return [
+        {
+          key: "displayId",
+          reason: "unknown-display",
+          message: `display '${nextDisplayId}' not found`,
+        },
+      ];
+    }
+  }
+
+  runtimeConfig = nextConfig;
+  const { values } = nextConfig;
+  configuredDisplayId = values.displayId;
+  performanceMode = values.perfMode;
+  baseFps = values.fps;
+  minFps = values.minFps;
+  inputFps = values.activeInputFps;
+  typingFps = values.typingFps;
+  inputWindowMs = values.inputWindowMs;
+  typingWindowMs = values.typingWindowMs;
+  if (changes.length === 0) return [];
+  log.info(`config updated (${source}): ${formatChanges(changes)}`);
+
+  if (displayChanged) {
+    if (configuredDisplayId) {
+      applyDisplaySelection(configuredDisplayId, "configured");
+    } else {
+      displayResolved = false;
+      await resolveDisplayId();
+    }
+    if (sessions.size() > 0) announceDisplayChange();
+  }
+  sessionRecorder?.recordEvent("config-changed", { source, changes });
+  // Re-arm the capture timer so a new frame rate applies from the next frame.
+  if (captureLoopRunning && captureTimer) scheduleNextCapture();
+  return [];
+};
+
+socket.on("remote-host-config-update", async (payload = {}, ack) => {
+  const { requestId, settings } = payload || {};
+  const respond = (result) => {
+    const response = { requestId: requestId ?? null, hostId, ...result };
+    socket.emit("remote-host-config-result", response);
+    if (typeof ack === "function") ack(response);
+  };
+
+  const update = applyConfigUpdate(runtimeConfig, settings, "server");
+  const rejected =
+    update.rejected || (await applyRuntimeConfig(update.config, update.changes, "server"));
+  if (rejected.length > 0) {
+    log.warn(`config update rejected: ${rejected.map(({ message }) => message).join("; ")}`);
+    respond({ applied: false, changes: {}, rejected });
+    return;
+  }
+  respond({
+    applied: true,
+    changes: Object.fromEntries(update.changes.map(({ key, to }) => [key, to])),
+    rejected: [],
+  });
+});
+
+socket.on("remote-clipboard-set", async ({ sessionId, text } = {}) => {
+  const normalizedSessionId = String(sessionId || "").trim();
+  const session = sessions.get(normalizedSessionId);
+  if (!session) return;
+
+  let rejectionReason = "";
+  if (!canExchangeHostData(session)) {
+    rejectionReason = "permission";
+  } else if (session.e2e) {
+    rejectionReason = "e2e-unsupported";
+  } else {
+    rejectionReason = await clipboardSync.pushFromController(text);
+  }
+  if (!rejectionReason) return;
+  log.warn(`controller clipboard rejected: ${rejectionReason}`);
+  socket.emit("remote-clipboard-error", {
+    sessionId: normalizedSessionId,
+    direction: "controller-to-host",
+    reason: rejectionReason,
+    maxBytes: clipboardSync.maxBytes,
+  });
+});
+
+socket.on("remote-clipboard-toggle", ({ sessionId, enabled } = {}) => {
+  const session = sessions.get(String(sessionId || "").trim());
+  if (!session) return;
+  session.clipboard = enabled === true;
+  if (session === sessions.getLead()) {
+    void applyLeadClipboard();
+  } else {
+    emitClipboardState(session);
+  }
+});
+
+const fileTransferHandlers = {
+  "remote-file-upload-start": (payload) => fileTransfer.startUpload(payload),
+  "remote-file-upload-chunk": (payload) => fileTransfer.receiveChunk(payload),
+  "remote-file-download-request": (payload) => fileTransfer.startDownload(payload),
+  "remote-file-download-ack": (payload) => fileTransfer.acknowledgeDownload(payload),
+  "remote-file-cancel": (payload) => fileTransfer.cancel(payload),
+};
+
+for (const [eventName, handler] of Object.entries(fileTransferHandlers)) {
+  socket.on(eventName, (payload = {}) => {
+    const normalizedSessionId = String(payload?.sessionId || "").trim();
+    if (!normalizedSessionId || !sessions.has(normalizedSessionId)) return;
+    if (!fileTransfer) {
+      socket.emit("remote-file-error", {
+        sessionId: normalizedSessionId,
+        transferId: String(payload?.transferId || ""),
+        reason: "disabled",
+        message: "file transfer is disabled on this host",
+      });
+      return;
+    }
+    if (!canExchangeHostData(sessions.get(normalizedSessionId))) {
+      socket.emit("remote-file-error", {
+        sessionId: normalizedSessionId,
+        transferId: String(payload?.transferId || ""),
+        reason: "permission",
+        message: "file transfer needs control of the host with full-control permission",
+      });
+      return;
+    }
+    // File data is not sealed, so it would cross the relay in the clear.
+    if (sessions.get(normalizedSessionId).e2e) {
+      socket.emit("remote-file-error", {
+        sessionId: normalizedSessionId,
+        transferId: String(payload?.transferId || ""),
+        reason: "e2e-unsupported",
+        message: "file transfer is not available on end-to-end encrypted sessions",
+      });
+      return;
+    }
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((err) => {
+        log.error(`${eventName} failed: ${err?.message || err}`);
+        socket.emit("remote-file-error", {
+          sessionId: normalizedSessionId,
+          transferId: String(payload?.transferId || ""),
+          reason: "io-error",
+          message: err?.message || "io-error",
+        });
+      });
+  });
+}
+
+socket.on("remote-frame-keyframe-request", ({ sessionId } = {}) => {
+  const normalizedSessionId = String(sessionId || "").trim();
+  if (!normalizedSessionId || !sessions.has(normalizedSessionId)) return;
+  frameEncoder.requestKeyframe();
+});
 
 socket.on("remote-session-ended", ({ sessionId } = {}) => {
   const normalizedSessionId = String(sessionId || "").trim();
-  if (!normalizedSessionId || normalizedSessionId !== activeSessionId) return;
-  console.log(`[agent] remote session ended: ${normalizedSessionId}`);
-  activeSessionId = "";
-  stopCaptureLoop();
+  if (!normalizedSessionId) return;
+  cancelPendingConsent(normalizedSessionId);
+  if (!sessions.has(normalizedSessionId)) return;
+  log.info(`remote session ended: ${normalizedSessionId}`);
+  endSession(normalizedSessionId, "ended");
 });
 
-socket.on("remote-input", ({ sessionId, event } = {}) => {
+socket.on("remote-input", ({ sessionId, event: plainEvent, e2e } = {}) => {
   const normalizedSessionId = String(sessionId || "").trim();
-  if (!normalizedSessionId || !event) return;
-  if (normalizedSessionId !== activeSessionId) return;
+  if (!normalizedSessionId || (!plainEvent && !e2e)) return;
+  const session = sessions.get(normalizedSessionId);
+  if (!session) return;
+  const { inputRejections } = session;
+
+  if (session.suspended) {
+    inputRejections.record("suspended", String(plainEvent?.type || "").slice(0, 32));
+    return;
+  }
+
+  if (sessions.getControllerId() !== normalizedSessionId) {
+    inputRejections.record("not-controller", String(plainEvent?.type || "").slice(0, 32));
+    return;
+  }
+
+  if (!session.inputRateLimiter.take()) {
+    inputRejections.record("rate-limited", String(plainEvent?.type || "").slice(0, 32));
+    return;
+  }
+
+  let rawEvent = plainEvent;
+  if (session.e2e) {
+    if (!session.e2e.channel || !e2e) {
+      inputRejections.record("unencrypted", String(plainEvent?.type || "").slice(0, 32));
+      return;
+    }
+    try {
+      rawEvent = session.e2e.channel.open("remote-input", e2e)?.event;
+    } catch (err) {
+      inputRejections.record(err.reason || "e2e-invalid", "");
+      return;
+    }
+  }
+  const rawType = String(rawEvent?.type || "").slice(0, 32);
+
+  const { event, reason } = sanitizeInputEvent(rawEvent);
+  if (!event) {
+    inputRejections.record(reason, rawType);
+    return;
+  }
+
   logAgentDebug("remote-input", {
     sessionId: normalizedSessionId,
-    type: String(event?.type || ""),
-    x: toFiniteNumber(event?.x),
-    y: toFiniteNumber(event?.y),
-    key: String(event?.key || ""),
-    button: String(event?.button || ""),
+    type: event.type,
+    x: toFiniteNumber(event.x),
+    y: toFiniteNumber(event.y),
+    key: String(event.key || ""),
+    button: String(event.button || ""),
   });
 
+  if (!isInputAllowed(session.permission, event.type)) {
+    inputRejections.record("permission", event.type);
+    sessionRecorder?.recordInput(event, "permission");
+    return;
+  }
+
   const now = Date.now();
   lastInputAt = now;
-  if (event.type === "key-down" || event.type === "key-up") {
+  if (KEYBOARD_EVENT_TYPES.has(event.type)) {
     lastTypingAt = now;
   }
 
-  sendToInputBridge(event);
+  sendToInputBridge(session, event);
+  agentMetrics.inputEvents.inc({ type: event.type });
+  sessionRecorder?.recordInput(event);
 });
 
 socket.on("remote-session-error", ({ message, code } = {}) => {
   const errorMessage =
     typeof message === "string" && message.trim() ? message.trim() : "Unknown error";
-  console.error(`[agent] session error (${code || "unknown"}): ${errorMessage}`);
+  log.error(`session error (${code || "unknown"}): ${errorMessage}`);
 });
 
-socket.on("disconnect", () => {
-  console.log("[agent] disconnected.");
-  activeSessionId = "";
-  stopCaptureLoop();
+socket.on("disconnect", (reason) => {
+  log.info("disconnected.");
+  registeredHostId = "";
+  tokenReconnectPending = false;
+  cancelPendingConsent();
+  // A server that closes the connection on purpose is not expecting the sessions back.
+  if (resumeGraceMs > 0 && reason !== "io server disconnect" && sessions.size() > 0) {
+    suspendSessions();
+    return;
+  }
+  endAllSessions("disconnected");
+});
+
+const getAgentStatus = () => ({
+  connected: socket.connected,
+  registered: !!registeredHostId,
+  hostId,
+  registeredHostId: registeredHostId || null,
+  serverUrl,
+  // The lead session: the controller, or the longest-joined session.
+  activeSessionId: sessions.getLeadId() || null,
+  controllingSessionId: sessions.getControllerId() || null,
+  pendingSessionId: pendingConsents.keys().next().value || null,
+  permission: sessions.getLead()?.permission || null,
+  sessions: sessions.list().map((session) => ({
+    sessionId: session.sessionId,
+    controllerId: session.controllerId || null,
+    controllerName: session.controllerName || null,
+    permission: session.permission,
+    role: sessions.getRole(session.sessionId),
+    suspended: session.suspended,
+    lastFrameSeq: session.lastFrameSeq,
+    heldInputs: session.heldInput.size(),
+    frameTransport: session.frameTransport,
+    e2e: session.e2e
+      ? {
+          state: session.e2e.channel ? "established" : "pending",
+          // Shown locally so the person at the host can read it to the controller.
+          pairingCode:
+            !session.e2e.channel && e2eVerifyMode === "pairing-code"
+              ? session.e2e.handshake.pairingCode
+              : null,
+        }
+      : null,
+  })),
+  streaming: {
+    paused: streamingPaused,
+    running: captureLoopRunning,
+    effectiveFps: captureLoopRunning ? getEffectiveCaptureFps() : 0,
+    frameEncoding: sessions.size() > 0 ? streamFrameEncoding : null,
+    frameTransport: sessions.getLead()?.frameTransport || null,
+    frameScale: appliedFrameScale,
+    droppedFrames: droppedFrameCount,
+  },
+  display: {
+    id: resolvedDisplayId || null,
+    bounds: resolvedDisplayBounds,
+  },
+  capture: {
+    source: captureSource.name,
+    description: captureSource.describe(),
+    bounds: getInputBounds(),
+  },
+  cursor: {
+    stream: !!cursorStream,
+    backend: cursorStream?.name || null,
+    rateHz: cursorStream?.rateHz || null,
+    running: !!cursorStream?.isRunning(),
+  },
+  inputBridge: {
+    backend: inputBridge?.name || null,
+    running: !!inputBridge?.isRunning(),
+    ...(inputSupervisor?.getStatus() || {}),
+  },
+  auth: {
+    mode: authMode,
+    tokenExpiresAt: sessionTokens?.getExpiresAt()
+      ? new Date(sessionTokens.getExpiresAt() * 1000).toISOString()
+      : null,
+    hostSecretProvisioned: hostSecret ? !!hostSecret.provisionedAt : null,
+  },
+  e2e: {
+    mode: e2eMode,
+    identityKey: e2eIdentity?.publicKey || null,
+  },
 });
 
+const controlApiActions = {
+  endSession: () => {
+    if (sessions.size() === 0) throw createControlApiError(409, "no-active-session");
+    const endedSessionIds = sessions.list().map(({ sessionId }) => sessionId);
+    log.info(`ending session(s) ${endedSessionIds.join(", ")} (control API).`);
+    for (const sessionId of endedSessionIds) {
+      socket.emit("remote-host-end-session", { sessionId, hostId, reason: "ended-locally" });
+    }
+    endAllSessions("ended-locally");
+    return { ok: true, sessionId: endedSessionIds[0], sessionIds: endedSessionIds };
+  },
+  pauseStreaming: () => {
+    if (!streamingPaused) {
+      streamingPaused = true;
+      stopCaptureLoop();
+      log.info("streaming paused (control API).");
+      for (const { sessionId } of sessions.list()) {
+        socket.emit("remote-streaming-state", { sessionId, paused: true });
+      }
+    }
+    return { ok: true, paused: true };
+  },
+  resumeStreaming: () => {
+    if (streamingPaused) {
+      streamingPaused = false;
+      log.info("streaming resumed (control API).");
+      if (sessions.size() > 0) {
+        // The viewers' canvases are stale after the pause; start over from a keyframe.
+        frameFlow.reset();
+        frameEncoder.requestKeyframe();
+        for (const { sessionId } of sessions.list()) {
+          socket.emit("remote-streaming-state", { sessionId, paused: false });
+        }
+        startCaptureLoop();
+      }
+    }
+    return { ok: true, paused: false };
+  },
+  reconnect: () => {
+    log.info("reconnecting (control API).");
+    socket.disconnect();
+    socket.connect();
+    return { ok: true };
+  },
+};
+
+const controlApi = controlApiEnabled ? resolveControlApiSecret(config.controlApiSecret) : null;
+addLogRedaction(controlApi?.secret);
+const controlApiServer = controlApi?.secret
+  ? createControlApiServer({
+      port: controlApiPort,
+      secret: controlApi.secret,
+      getStatus: getAgentStatus,
+      actions: controlApiActions,
+    })
+  : null;
+if (controlApiEnabled && !controlApiServer) {
+  log.error(
+    "control API disabled: set REMOTE_CONTROL_API_SECRET or make the secret file writable."
+  );
+}
+controlApiServer
+  ?.start()
+  .then((port) => {
+    log.info(`control API listening on http://${CONTROL_API_HOST}:${port}`);
+    if (controlApi.path) {
+      log.info(`control API secret stored at ${controlApi.path}`);
+    }
+  })
+  .catch((err) => {
+    log.error(`control API failed to start: ${err.message}`);
+  });
+
+metricsRegistry.gauge(
+  "effective_fps",
+  "Capture rate chosen by the performance mode (0 while not streaming).",
+  () => (captureLoopRunning ? getEffectiveCaptureFps() : 0)
+);
+metricsRegistry.gauge("connected", "1 while connected to the server.", () =>
+  socket.connected ? 1 : 0
+);
+metricsRegistry.gauge("session_active", "1 while a session is active.", () =>
+  sessions.size() > 0 ? 1 : 0
+);
+metricsRegistry.gauge("sessions", "Active sessions, controlling and observing.", () =>
+  sessions.size()
+);
+
+const metricsServer = metricsEnabled
+  ? createMetricsServer({ port: metricsPort, registry: metricsRegistry })
+  : null;
+metricsServer
+  ?.start()
+  .then((port) => {
+    log.info(`metrics listening on http://${METRICS_HOST}:${port}/metrics`);
+  })
+  .catch((err) => {
+    log.error(`metrics endpoint failed to start: ${err.message}`);
+  });
+
+const metricsPushTimer =
+  metricsPushIntervalMs > 0
+    ? setInterval(() => {
+        if (!socket.connected) return;
+        socket.emit("remote-host-metrics", {
+          hostId,
+          sessionId: sessions.getLeadId() || null,
+          timestamp: Date.now(),
+          metrics: metricsRegistry.snapshot(),
+        });
+      }, Math.max(1000, metricsPushIntervalMs))
+    : null;
+
+// `.env` and config file edits are re-read; see `mergeReloadedConfig` for what applies.
+const reloadConfigFiles = async () => {
+  const reloaded = loadConfig(configLoadOptions);
+  if (reloaded.errors.length > 0) {
+    for (const error of reloaded.errors) {
+      log.error(`config reload rejected: ${error}`);
+    }
+    return;
+  }
+
+  const { config: nextConfig, changes, restartRequired } = mergeReloadedConfig(
+    runtimeConfig,
+    reloaded
+  );
+  if (restartRequired.length > 0) {
+    log.warn(`config change needs a restart to take effect: ${restartRequired.join(", ")}`);
+  }
+  if (changes.length === 0) return;
+  for (const { message } of await applyRuntimeConfig(nextConfig, changes, "file")) {
+    log.warn(`config reload rejected: ${message}`);
+  }
+};
+
+const configWatcher = config.configWatch
+  ? createConfigFileWatcher({
+      paths: [envPath, agentConfig.filePath],
+      onChange: () => {
+        reloadConfigFiles().catch((err) => {
+          log.error("config reload failed:", err?.message || err);
+        });
+      },
+    })
+  : null;
+const watchedConfigPaths = configWatcher?.start() || [];
+if (watchedConfigPaths.length > 0) {
+  log.info(`watching ${watchedConfigPaths.join(", ")} for config changes`);
+}
+
 startInputBridge().catch((err) => {
-  console.error("[agent] failed to start input bridge:", err?.message || err);
+  log.error("failed to start input bridge:", err?.message || err);
 });
 
-const shutdown = () => {
-  stopCaptureLoop();
-  stopInputBridge();
+// A step that hangs (a stuck recorder, a server that never closes) must not keep the agent
+// from exiting, so each one gets this long before shutdown moves on.
+const SHUTDOWN_STEP_TIMEOUT_MS = 3000;
+let shuttingDown = false;
+
+const runShutdownStep = async (name, step) => {
+  let timer = null;
   try {
-    socket.disconnect();
-  } catch (e) {
-    // noop
+    await Promise.race([
+      Promise.resolve().then(step),
+      new Promise((resolve) => {
+        timer = setTimeout(() => {
+          log.warn(`shutdown: ${name} did not finish within ${SHUTDOWN_STEP_TIMEOUT_MS} ms.`);
+          resolve();
+        }, SHUTDOWN_STEP_TIMEOUT_MS);
+      }),
+    ]);
+  } catch (err) {
+    log.warn(`shutdown: ${name} failed: ${err?.message || err}`);
+  } finally {
+    clearTimeout(timer);
   }
+};
+
+const shutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  await runShutdownStep("release held input", async () => {
+    releaseAllHeldInput("agent-shutdown");
+    await inputBridge?.flush();
+  });
+  await runShutdownStep("capture loop", stopCaptureLoop);
+  await runShutdownStep("session recorder", () => sessionRecorder?.stop("agent-shutdown"));
+  await runShutdownStep("control API", () => controlApiServer?.stop());
+  await runShutdownStep("metrics server", () => metricsServer?.stop());
+  if (metricsPushTimer) clearInterval(metricsPushTimer);
+  await runShutdownStep("config watcher", () => configWatcher?.stop());
+  await runShutdownStep("session tokens", () => sessionTokens?.stop());
+  await runShutdownStep("input backend", stopInputBridge);
+  await runShutdownStep("frame encoder", frameEncoder.stop);
+  await runShutdownStep("socket", () => socket.disconnect());
   process.exit(0);
 };
 
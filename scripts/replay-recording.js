@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Offline replay of a session recording (`.rdrec`) written by REMOTE_RECORDING=1.
+//
+//   node scripts/replay-recording.js <recording.rdrec> [--frames <dir>] [--every <ms>]
+//                                    [--quality <1-100>] [--json]
+//
+// Prints a timeline report by default. --frames also writes the screen after every
+// recorded frame as numbered JPEGs; --every keeps at most one image per interval.
+const path = require("path");
+const fs = require("fs");
+const { readRecords } = require("../src/recording/format");
+const { createFrameCompositor, buildTimeline, formatElapsed } = require("../src/recording/replay");
+
+const USAGE =
+  "usage: node scripts/replay-recording.js <recording.rdrec> [--frames <dir>] [--every <ms>] [--quality <1-100>] [--json]";
+
+const parseArgs = (argv) => {
+  const options = { file: "", framesDir: "", everyMs: 0, quality: 85, json: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === "--frames") options.framesDir = String(argv[++index] || "");
+    else if (arg === "--every") options.everyMs = Math.max(0, Number(argv[++index]) || 0);
+    else if (arg === "--quality") {
+      options.quality = Math.min(100, Math.max(1, Number(argv[++index]) || 85));
+    } else if (arg === "--json") options.json = true;
+    else if (!arg.startsWith("--") && !options.file) options.file = arg;
+    else throw new Error(`unknown argument '${arg}'`);
+  }
+  if (!options.file) throw new Error("no recording given");
+  return options;
+};
+
+const writeFrames = (records, { framesDir, everyMs, quality }) => {
+  fs.mkdirSync(framesDir, { recursive: true });
+  const compositor = createFrameCompositor({ quality });
+  let written = 0;
+  let unresolved = 0;
+  let lastWrittenAt = -Infinity;
+
+  for (const record of records) {
+    if (record.type !== "frame") continue;
+    // Every delta has to be applied to keep the canvas right, even when it is not written.
+    const image = compositor.apply(record);
+    if (!image) {
+      unresolved += 1;
+      continue;
+    }
+    if (record.elapsedMs - lastWrittenAt < everyMs) continue;
+    lastWrittenAt = record.elapsedMs;
+    written += 1;
+    const frameNumber = String(written).padStart(6, "0");
+    const elapsed = String(record.elapsedMs).padStart(9, "0");
+    fs.writeFileSync(path.join(framesDir, `frame-${frameNumber}-${elapsed}ms.jpg`), image);
+  }
+  return { written, unresolved };
+};
+
+const printReport = ({ session, summary, timeline }, file) => {
+  console.log(`recording: ${file}`);
+  if (session) {
+    console.log(`session:   ${session.sessionId || "?"} on host ${session.hostId || "?"}`);
+    console.log(`started:   ${session.startedAt || "?"}`);
+    if (session.controllerId || session.controllerName) {
+      console.log(`controller: ${session.controllerName || ""} (${session.controllerId || "?"})`);
+    }
+    console.log(`permission: ${session.permission || "?"}, frames: ${session.frameEncoding || "?"}`);
+  }
+  const frameCounts = Object.entries(summary.frames)
+    .map(([kind, count]) => `${kind}=${count}`)
+    .join(" ");
+  const inputCounts = Object.entries(summary.inputs)
+    .map(([type, count]) => `${type}=${count}`)
+    .join(" ");
+  console.log(`duration:  ${formatElapsed(summary.durationMs)}`);
+  console.log(`frames:    ${frameCounts}`);
+  console.log(`inputs:    ${inputCounts || "none"} (rejected: ${summary.rejectedInputs})`);
+  if (summary.truncated || !summary.complete) {
+    console.log("warning:   recording ends early (agent stopped before the session ended)");
+  }
+  console.log("");
+  for (const entry of timeline) {
+    console.log(`${entry.at}  ${entry.description}`);
+  }
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const records = [...readRecords(fs.readFileSync(options.file))];
+  const report = buildTimeline(records);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, options.file);
+  }
+
+  if (options.framesDir) {
+    const { written, unresolved } = writeFrames(records, options);
+    console.error(
+      `wrote ${written} image(s) to ${path.resolve(options.framesDir)}${
+        unresolved ? ` (${unresolved} delta(s) without a keyframe skipped)` : ""
+      }`
+    );
+  }
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(`replay failed: ${err.message}`);
+  process.exit(1);
+}
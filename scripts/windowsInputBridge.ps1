@@ -1,11 +1,80 @@
 Add-Type -AssemblyName System.Windows.Forms
+Add-Type -AssemblyName System.Drawing
+
+[Console]::InputEncoding = New-Object System.Text.UTF8Encoding $false
+[Console]::OutputEncoding = New-Object System.Text.UTF8Encoding $false
 
 Add-Type @"
 using System;
 using System.Runtime.InteropServices;
 
+[StructLayout(LayoutKind.Sequential)]
+public struct RECT
+{
+    public int Left;
+    public int Top;
+    public int Right;
+    public int Bottom;
+}
+
+[StructLayout(LayoutKind.Sequential)]
+public struct POINT
+{
+    public int X;
+    public int Y;
+}
+
+[StructLayout(LayoutKind.Sequential)]
+public struct CURSORINFO
+{
+    public int cbSize;
+    public int flags;
+    public IntPtr hCursor;
+    public POINT ptScreenPos;
+}
+
+[StructLayout(LayoutKind.Sequential)]
+public struct MOUSEINPUT
+{
+    public int dx;
+    public int dy;
+    public uint mouseData;
+    public uint dwFlags;
+    public uint time;
+    public IntPtr dwExtraInfo;
+}
+
+[StructLayout(LayoutKind.Sequential)]
+public struct KEYBDINPUT
+{
+    public ushort wVk;
+    public ushort wScan;
+    public uint dwFlags;
+    public uint time;
+    public IntPtr dwExtraInfo;
+}
+
+// MOUSEINPUT is only here so the union has the size SendInput expects.
+[StructLayout(LayoutKind.Explicit)]
+public struct INPUTUNION
+{
+    [FieldOffset(0)] public MOUSEINPUT mi;
+    [FieldOffset(0)] public KEYBDINPUT ki;
+}
+
+[StructLayout(LayoutKind.Sequential)]
+public struct INPUT
+{
+    public uint type;
+    public INPUTUNION u;
+}
+
 public static class NativeInput
 {
+    private const uint INPUT_KEYBOARD = 1;
+    private const uint KEYEVENTF_KEYUP = 0x0002;
+    private const uint KEYEVENTF_UNICODE = 0x0004;
+
     [DllImport("user32.dll", SetLastError = true)]
     public static extern bool SetCursorPos(int X, int Y);
 
@@ -14,6 +83,49 @@ public static class NativeInput
 
     [DllImport("user32.dll", SetLastError = true)]
     public static extern void keybd_event(byte bVk, byte bScan, uint dwFlags, UIntPtr dwExtraInfo);
+
+    [DllImport("user32.dll", SetLastError = true)]
+    public static extern bool GetWindowRect(IntPtr hWnd, out RECT lpRect);
+
+    [DllImport("user32.dll")]
+    public static extern bool IsIconic(IntPtr hWnd);
+
+    [DllImport("user32.dll", SetLastError = true)]
+    public static extern bool GetCursorInfo(ref CURSORINFO pci);
+
+    [DllImport("user32.dll", SetLastError = true)]
+    private static extern uint SendInput(uint nInputs, INPUT[] pInputs, int cbSize);
+
+    private static INPUT KeyboardInput(ushort virtualKey, ushort scan, uint flags)
+    {
+        INPUT input = new INPUT();
+        input.type = INPUT_KEYBOARD;
+        input.u.ki.wVk = virtualKey;
+        input.u.ki.wScan = scan;
+        input.u.ki.dwFlags = flags;
+        return input;
+    }
+
+    // Each UTF-16 unit goes in as a KEYEVENTF_UNICODE press and release, so any character
+    // types regardless of the keyboard layout. Newline and tab press Enter and Tab.
+    public static uint SendUnicodeText(string text)
+    {
+        var inputs = new System.Collections.Generic.List<INPUT>();
+        foreach (char unit in text)
+        {
+            ushort virtualKey = unit == '\n' ? (ushort)0x0D : unit == '\t' ? (ushort)0x09 : (ushort)0;
+            if (virtualKey != 0)
+            {
+                inputs.Add(KeyboardInput(virtualKey, 0, 0));
+                inputs.Add(KeyboardInput(virtualKey, 0, KEYEVENTF_KEYUP));
+                continue;
+            }
+            inputs.Add(KeyboardInput(0, unit, KEYEVENTF_UNICODE));
+            inputs.Add(KeyboardInput(0, unit, KEYEVENTF_UNICODE | KEYEVENTF_KEYUP));
+        }
+        if (inputs.Count == 0) return 0;
+        return SendInput((uint)inputs.Count, inputs.ToArray(), Marshal.SizeOf(typeof(INPUT)));
+    }
 }
 "@
 
@@ -25,7 +137,11 @@ $MOUSEEVENTF_MIDDLEDOWN = 0x0020
 $MOUSEEVENTF_MIDDLEUP   = 0x0040
 $MOUSEEVENTF_WHEEL      = 0x0800
 $KEYEVENTF_KEYUP        = 0x0002
+$CURSOR_SHOWING         = 0x0001
 $script:DisplayBounds   = $null
+$script:ClipboardWatch  = $false
+$script:LastClipboard   = $null
+$ClipboardPollMilliseconds = 250
 
 function Clamp-01 {
     param([double]$Value)
@@ -296,8 +412,200 @@ function Invoke-Key {
     [NativeInput]::keybd_event([byte]$virtualKey, 0, [uint32]$flags, [UIntPtr]::Zero)
 }
 
+function Invoke-TypeText {
+    param($Event)
+
+    $text = if ($null -ne $Event.text) { [string]$Event.text } else { "" }
+    if ($text.Length -eq 0) { return }
+    [void][NativeInput]::SendUnicodeText($text)
+}
+
+# Presses the keys in order and releases them in reverse. Nothing is pressed unless every
+# key resolves, and the releases run even if a press fails.
+function Invoke-KeyCombo {
+    param($Event)
+
+    $virtualKeys = @()
+    foreach ($comboKey in @($Event.keys)) {
+        $key = if ($null -ne $comboKey.key) { [string]$comboKey.key } else { "" }
+        $code = if ($null -ne $comboKey.code) { [string]$comboKey.code } else { "" }
+        $virtualKey = Get-VirtualKey -Key $key -Code $code
+        if ($virtualKey -eq 0) { return }
+        $virtualKeys += $virtualKey
+    }
+
+    $pressed = @()
+    try {
+        foreach ($virtualKey in $virtualKeys) {
+            [NativeInput]::keybd_event([byte]$virtualKey, 0, 0, [UIntPtr]::Zero)
+            $pressed = @($virtualKey) + $pressed
+        }
+    } finally {
+        foreach ($virtualKey in $pressed) {
+            [NativeInput]::keybd_event([byte]$virtualKey, 0, [uint32]$KEYEVENTF_KEYUP, [UIntPtr]::Zero)
+        }
+    }
+}
+
+# Messages back to the agent are single-line JSON objects on stdout.
+function Write-BridgeMessage {
+    param($Message)
+    [Console]::Out.WriteLine(($Message | ConvertTo-Json -Compress))
+    [Console]::Out.Flush()
+}
+
+function Get-ClipboardText {
+    try {
+        if ([System.Windows.Forms.Clipboard]::ContainsText()) {
+            return [System.Windows.Forms.Clipboard]::GetText()
+        }
+    } catch {
+        # clipboard is briefly locked while other apps write to it
+    }
+    return ""
+}
+
+function Set-ClipboardText {
+    param($Event)
+
+    $text = if ($null -ne $Event.text) { [string]$Event.text } else { "" }
+    try {
+        if ($text.Length -eq 0) {
+            [System.Windows.Forms.Clipboard]::Clear()
+        } else {
+            [System.Windows.Forms.Clipboard]::SetText($text)
+        }
+        # Remember the pushed text so the watcher does not echo it back.
+        $script:LastClipboard = $text
+    } catch {
+        Write-BridgeMessage @{ type = "clipboard-error"; message = $_.Exception.Message }
+    }
+}
+
+function Set-ClipboardWatch {
+    param($Event)
+
+    $script:ClipboardWatch = ($Event.enabled -eq $true)
+    $script:LastClipboard = if ($script:ClipboardWatch) { Get-ClipboardText } else { $null }
+}
+
+function Watch-Clipboard {
+    if (-not $script:ClipboardWatch) { return }
+    $text = Get-ClipboardText
+    if ($text -ceq $script:LastClipboard) { return }
+    $script:LastClipboard = $text
+    Write-BridgeMessage @{ type = "clipboard-changed"; text = $text }
+}
+
+# Window capture: the first main window whose title contains `title` (case-insensitive),
+# or else whose process is named `process`. Minimized windows count as not found.
+function Find-Window {
+    param($Event)
+
+    $title = if ($null -ne $Event.title) { [string]$Event.title } else { "" }
+    $processName = if ($null -ne $Event.process) { [string]$Event.process } else { "" }
+    $reply = @{ type = "window-found"; requestId = $Event.requestId; found = $false }
+
+    $candidates = Get-Process | Where-Object { $_.MainWindowHandle -ne [IntPtr]::Zero }
+    if (-not [string]::IsNullOrWhiteSpace($title)) {
+        $match = $candidates |
+            Where-Object { $_.MainWindowTitle.IndexOf($title, [StringComparison]::OrdinalIgnoreCase) -ge 0 } |
+            Select-Object -First 1
+    } else {
+        $name = [System.IO.Path]::GetFileNameWithoutExtension($processName)
+        $match = $candidates | Where-Object { $_.ProcessName -eq $name } | Select-Object -First 1
+    }
+
+    if ($null -ne $match -and -not [NativeInput]::IsIconic($match.MainWindowHandle)) {
+        $rect = New-Object RECT
+        if ([NativeInput]::GetWindowRect($match.MainWindowHandle, [ref]$rect)) {
+            $reply.found = $true
+            $reply.handle = [string]$match.MainWindowHandle
+            $reply.title = $match.MainWindowTitle
+            $reply.left = $rect.Left
+            $reply.top = $rect.Top
+            $reply.width = $rect.Right - $rect.Left
+            $reply.height = $rect.Bottom - $rect.Top
+        }
+    }
+    Write-BridgeMessage $reply
+}
+
+# Cursor stream: the pointer position in desktop pixels and the handle of its current
+# shape, which the agent turns into a `cursor-shape` request the first time it sees it.
+function Get-CursorState {
+    param($Event)
+
+    $reply = @{ type = "cursor-state"; requestId = $Event.requestId; found = $false }
+    $info = New-Object CURSORINFO
+    $info.cbSize = [System.Runtime.InteropServices.Marshal]::SizeOf([type][CURSORINFO])
+    if ([NativeInput]::GetCursorInfo([ref]$info)) {
+        $reply.found = $true
+        $reply.x = $info.ptScreenPos.X
+        $reply.y = $info.ptScreenPos.Y
+        $reply.visible = (($info.flags -band $CURSOR_SHOWING) -ne 0)
+        $reply.handle = if ($info.hCursor -ne [IntPtr]::Zero) { [string]$info.hCursor } else { "" }
+    }
+    Write-BridgeMessage $reply
+}
+
+# The cursor drawn onto a transparent bitmap, sent as a base64 PNG with its hotspot.
+function Get-CursorShape {
+    param($Event)
+
+    $reply = @{ type = "cursor-shape-data"; requestId = $Event.requestId; found = $false }
+    $handleValue = 0L
+    if (-not [Int64]::TryParse([string]$Event.handle, [ref]$handleValue) -or $handleValue -eq 0) {
+        Write-BridgeMessage $reply
+        return
+    }
+
+    $cursor = $null
+    $bitmap = $null
+    $graphics = $null
+    $stream = $null
+    try {
+        $cursor = New-Object System.Windows.Forms.Cursor ([IntPtr]$handleValue)
+        $size = $cursor.Size
+        $bitmap = New-Object System.Drawing.Bitmap $size.Width, $size.Height, ([System.Drawing.Imaging.PixelFormat]::Format32bppArgb)
+        $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+        $graphics.Clear([System.Drawing.Color]::Transparent)
+        $cursor.Draw($graphics, (New-Object System.Drawing.Rectangle 0, 0, $size.Width, $size.Height))
+        $stream = New-Object System.IO.MemoryStream
+        $bitmap.Save($stream, [System.Drawing.Imaging.ImageFormat]::Png)
+
+        $reply.found = $true
+        $reply.image = [Convert]::ToBase64String($stream.ToArray())
+        $reply.width = $size.Width
+        $reply.height = $size.Height
+        $reply.hotspotX = $cursor.HotSpot.X
+        $reply.hotspotY = $cursor.HotSpot.Y
+    } catch {
+        # the cursor changed and its handle was released before we drew it
+    } finally {
+        if ($null -ne $stream) { $stream.Dispose() }
+        if ($null -ne $graphics) { $graphics.Dispose() }
+        if ($null -ne $bitmap) { $bitmap.Dispose() }
+        if ($null -ne $cursor) { $cursor.Dispose() }
+    }
+    Write-BridgeMessage $reply
+}
+
+# The clipboard is polled on its own clock: a steady stream of input or cursor samples
+# must not starve it.
+$clipboardTimer = [System.Diagnostics.Stopwatch]::StartNew()
+$pendingLine = [Console]::In.ReadLineAsync()
 while ($true) {
-    $line = [Console]::In.ReadLine()
+    if ($clipboardTimer.ElapsedMilliseconds -ge $ClipboardPollMilliseconds) {
+        Watch-Clipboard
+        $clipboardTimer.Restart()
+    }
+
+    $waitMilliseconds = [Math]::Max(0, $ClipboardPollMilliseconds - $clipboardTimer.ElapsedMilliseconds)
+    if (-not $pendingLine.Wait([int]$waitMilliseconds)) { continue }
+
+    $line = $pendingLine.Result
+    $pendingLine = [Console]::In.ReadLineAsync()
     if ($null -eq $line) {
         Start-Sleep -Milliseconds 15
         continue
@@ -320,6 +628,16 @@ while ($true) {
             "wheel" { Invoke-Mouse -Type $type -Event $event }
             "key-down" { Invoke-Key -Type $type -Event $event }
             "key-up" { Invoke-Key -Type $type -Event $event }
+            "type-text" { Invoke-TypeText -Event $event }
+            "key-combo" { Invoke-KeyCombo -Event $event }
+            # Events are handled in order, so the reply means everything before it ran.
+            "flush" { Write-BridgeMessage @{ type = "flushed"; requestId = $event.requestId } }
+            "ping" { Write-BridgeMessage @{ type = "pong"; requestId = $event.requestId } }
+            "clipboard-set" { Set-ClipboardText -Event $event }
+            "clipboard-watch" { Set-ClipboardWatch -Event $event }
+            "window-find" { Find-Window -Event $event }
+            "cursor-sample" { Get-CursorState -Event $event }
+            "cursor-shape" { Get-CursorShape -Event $event }
         }
     } catch {
         # ignore malformed events
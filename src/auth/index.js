@@ -0,0 +1,81 @@
+const path = require("path");
+const fs = require("fs");
+const { randomBytes } = require("crypto");
+const {
+  isSignedToken,
+  signSessionToken,
+  verifySessionToken,
+  createSessionTokenManager,
+} = require("./sessionToken");
+const { createLogger } = require("../logging");
+
+const log = createLogger("auth");
+
+const AUTH_MODES = ["static", "signed"];
+
+const readHostSecretFile = (filePath, hostId) => {
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (stored?.hostId !== hostId || !/^[0-9a-f]{64}$/.test(String(stored.secret || ""))) {
+      return null;
+    }
+    return { secret: stored.secret, provisionedAt: stored.provisionedAt || null };
+  } catch {
+    return null;
+  }
+};
+
+const writeHostSecretFile = (filePath, record) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(record, null, 2)}\n`, {
+    encoding: "utf8",
+    mode: 0o600,
+  });
+};
+
+// The per-host signing secret, generated on first launch and kept (owner-only) in the
+// first writable of `paths`. `provisionedAt` is set once the server has stored it.
+// A secret saved for another host id is replaced.
+const loadOrCreateHostSecret = ({ hostId, paths }) => {
+  for (const filePath of paths) {
+    if (!fs.existsSync(filePath)) continue;
+    const stored = readHostSecretFile(filePath, hostId);
+    if (stored) return { ...stored, path: filePath, created: false };
+  }
+
+  const record = { hostId, secret: randomBytes(32).toString("hex"), provisionedAt: null };
+  for (const filePath of paths) {
+    try {
+      writeHostSecretFile(filePath, record);
+      return { secret: record.secret, provisionedAt: null, path: filePath, created: true };
+    } catch {
+      // try next path
+    }
+  }
+  log.warn("could not save the host secret. Signed tokens change after restart.");
+  return { secret: record.secret, provisionedAt: null, path: "", created: true };
+};
+
+const markHostSecretProvisioned = (hostSecret, hostId) => {
+  hostSecret.provisionedAt = new Date().toISOString();
+  if (!hostSecret.path) return;
+  try {
+    writeHostSecretFile(hostSecret.path, {
+      hostId,
+      secret: hostSecret.secret,
+      provisionedAt: hostSecret.provisionedAt,
+    });
+  } catch (err) {
+    log.warn(`could not update ${hostSecret.path}: ${err.message}`);
+  }
+};
+
+module.exports = {
+  AUTH_MODES,
+  isSignedToken,
+  signSessionToken,
+  verifySessionToken,
+  createSessionTokenManager,
+  loadOrCreateHostSecret,
+  markHostSecretProvisioned,
+};
@@ -0,0 +1,126 @@
+const { createHmac, randomBytes, timingSafeEqual } = require("crypto");
+
+const TOKEN_HEADER = { alg: "HS256", typ: "JWT" };
+const CLOCK_LEEWAY_SEC = 30;
+// Refresh once this share of the lifetime is left, but never later than a minute out.
+const REFRESH_REMAINING_SHARE = 0.2;
+const MIN_REFRESH_LEAD_SEC = 60;
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+const signSegments = (signingInput, secret) =>
+  createHmac("sha256", secret).update(signingInput).digest();
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+const isSignedToken = (token) => /^[\w-]+\.[\w-]+\.[\w-]+$/.test(String(token || "").trim());
+
+// HS256 JWT bound to one host: `sub` is the host id, `exp` the expiry.
+const signSessionToken = ({ hostId, secret, ttlSec, issuedAt = nowSec() }) => {
+  const claims = {
+    sub: hostId,
+    iat: issuedAt,
+    exp: issuedAt + ttlSec,
+    jti: randomBytes(8).toString("hex"),
+  };
+  const signingInput = `${encodeSegment(TOKEN_HEADER)}.${encodeSegment(claims)}`;
+  return `${signingInput}.${signSegments(signingInput, secret).toString("base64url")}`;
+};
+
+// Returns `{ ok: true, claims }` or `{ ok: false, reason }` with reason `malformed`,
+// `bad-signature`, `wrong-host`, `not-yet-valid` or `expired`.
+const verifySessionToken = (token, { hostId, secret, now = nowSec() }) => {
+  const normalizedToken = String(token || "").trim();
+  if (!isSignedToken(normalizedToken)) return { ok: false, reason: "malformed" };
+
+  const [headerSegment, claimsSegment, signatureSegment] = normalizedToken.split(".");
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(claimsSegment);
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+  if (header?.alg !== TOKEN_HEADER.alg || !claims || typeof claims !== "object") {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const expected = signSegments(`${headerSegment}.${claimsSegment}`, secret);
+  const provided = Buffer.from(signatureSegment, "base64url");
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return { ok: false, reason: "bad-signature" };
+  }
+  if (claims.sub !== hostId) return { ok: false, reason: "wrong-host" };
+  if (!Number.isFinite(claims.exp) || !Number.isFinite(claims.iat)) {
+    return { ok: false, reason: "malformed" };
+  }
+  if (claims.iat > now + CLOCK_LEEWAY_SEC) return { ok: false, reason: "not-yet-valid" };
+  if (claims.exp <= now) return { ok: false, reason: "expired" };
+  return { ok: true, claims };
+};
+
+// Holds the token the agent authenticates with and mints a new one before it expires.
+// `onRefresh(token)` runs each time a fresh token replaces the current one on schedule.
+const createSessionTokenManager = ({ hostId, secret, ttlSec, onRefresh = () => {} }) => {
+  let token = "";
+  let expiresAt = 0;
+  let refreshTimer = null;
+
+  const refreshLeadSec = () =>
+    Math.max(Math.min(MIN_REFRESH_LEAD_SEC, ttlSec / 2), ttlSec * REFRESH_REMAINING_SHARE);
+
+  const schedule = () => {
+    if (refreshTimer) clearTimeout(refreshTimer);
+    const delayMs = Math.max(1000, (expiresAt - refreshLeadSec() - nowSec()) * 1000);
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      mint();
+      onRefresh(token);
+    }, delayMs);
+    refreshTimer.unref?.();
+  };
+
+  const mint = () => {
+    const issuedAt = nowSec();
+    token = signSessionToken({ hostId, secret, ttlSec, issuedAt });
+    expiresAt = issuedAt + ttlSec;
+    schedule();
+    return token;
+  };
+
+  // A token minted elsewhere (e.g. in a launch URL) is used only if it verifies for
+  // this host and is not about to expire.
+  const accept = (candidate) => {
+    const result = verifySessionToken(candidate, { hostId, secret });
+    if (!result.ok) return result;
+    if (result.claims.exp - nowSec() <= refreshLeadSec()) return { ok: false, reason: "expired" };
+    token = String(candidate).trim();
+    expiresAt = result.claims.exp;
+    schedule();
+    return result;
+  };
+
+  const current = () => (token && expiresAt - nowSec() > refreshLeadSec() ? token : mint());
+
+  const stop = () => {
+    if (refreshTimer) clearTimeout(refreshTimer);
+    refreshTimer = null;
+  };
+
+  return {
+    current,
+    accept,
+    stop,
+    getExpiresAt: () => expiresAt,
+  };
+};
+
+module.exports = {
+  isSignedToken,
+  signSessionToken,
+  verifySessionToken,
+  createSessionTokenManager,
+};
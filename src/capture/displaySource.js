@@ -0,0 +1,34 @@
+const screenshot = require("screenshot-desktop");
+const { ALL_DISPLAYS_ID, stitchDisplayFrames } = require("../displays");
+
+// The selected display, or every display stitched into one frame for `all`. None of
+// the screenshot-desktop backends draws the pointer, so `includeCursor` changes nothing
+// here; only a software cursor painted into the desktop itself shows up.
+const createDisplayCaptureSource = () => {
+  const capture = async ({ displayId, displayBounds, displays }) => {
+    if (displayId !== ALL_DISPLAYS_ID) {
+      const captureOptions = displayId ? { format: "jpg", screen: displayId } : { format: "jpg" };
+      return { image: await screenshot(captureOptions), bounds: displayBounds };
+    }
+
+    const captures = [];
+    for (const display of displays) {
+      if (!display.bounds) continue;
+      captures.push({
+        bounds: display.bounds,
+        image: await screenshot({ format: "jpg", screen: display.id }),
+      });
+    }
+    return { image: stitchDisplayFrames(captures, displayBounds), bounds: displayBounds };
+  };
+
+  return {
+    name: "display",
+    capture,
+    describe: () => "full display",
+  };
+};
+
+module.exports = {
+  createDisplayCaptureSource,
+};
@@ -0,0 +1,44 @@
+const path = require("path");
+const fs = require("fs");
+
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg"]);
+
+// JPEG files played back as frames. A single file is read again for every frame, so
+// another process may keep replacing it; a directory is played in name order, then
+// listed again and looped.
+const createFileCaptureSource = ({ filePath }) => {
+  const resolvedPath = path.resolve(filePath);
+  let files = [];
+  let nextIndex = 0;
+
+  const listFiles = async () => {
+    const stat = await fs.promises.stat(resolvedPath);
+    if (!stat.isDirectory()) return [resolvedPath];
+    const names = await fs.promises.readdir(resolvedPath);
+    return names
+      .filter((name) => IMAGE_EXTENSIONS.has(path.extname(name).toLowerCase()))
+      .sort()
+      .map((name) => path.join(resolvedPath, name));
+  };
+
+  const capture = async () => {
+    if (nextIndex >= files.length) {
+      files = await listFiles();
+      nextIndex = 0;
+    }
+    if (files.length === 0) return null;
+    const image = await fs.promises.readFile(files[nextIndex]);
+    nextIndex += 1;
+    return { image, bounds: null };
+  };
+
+  return {
+    name: "file",
+    capture,
+    describe: () => `file ${resolvedPath}`,
+  };
+};
+
+module.exports = {
+  createFileCaptureSource,
+};
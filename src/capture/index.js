@@ -0,0 +1,73 @@
+const { createDisplayCaptureSource } = require("./displaySource");
+const { parseCaptureRegion, createRegionCaptureSource } = require("./regionSource");
+const { createWindowCaptureSource } = require("./windowSource");
+const { createWindowLocator } = require("./windowLocator");
+const { parseCaptureSize, createSyntheticCaptureSource } = require("./syntheticSource");
+const { createFileCaptureSource } = require("./fileSource");
+
+const CAPTURE_SOURCES = ["display", "region", "window", "synthetic", "file"];
+
+const createCaptureSourceError = (message) => {
+  const err = new Error(message);
+  err.reason = "invalid-capture-source";
+  return err;
+};
+
+// Every capture source exposes the same surface:
+//   name              source identifier for logs/status
+//   capture(target)   resolves `{ image, bounds }` for `target` (`{ displayId,
+//                     displayBounds, displays, includeCursor }`): a JPEG and the
+//                     desktop rectangle it shows, which remote input is mapped onto
+//                     (null: the selected display). Resolves null when there is
+//                     nothing to capture. The pointer is drawn only with `includeCursor`.
+//   describe()        short label for logs
+const CAPTURE_SOURCE_FACTORIES = {
+  display: () => createDisplayCaptureSource(),
+  region: ({ region }) => {
+    const parsedRegion = parseCaptureRegion(region);
+    if (!parsedRegion) {
+      throw createCaptureSourceError(
+        "capture source 'region' needs REMOTE_CAPTURE_REGION=left,top,width,height"
+      );
+    }
+    return createRegionCaptureSource({ region: parsedRegion });
+  },
+  window: ({ windowTitle, windowProcess, getInputBridge }) => {
+    if (!windowTitle && !windowProcess) {
+      throw createCaptureSourceError(
+        "capture source 'window' needs REMOTE_CAPTURE_WINDOW_TITLE or REMOTE_CAPTURE_WINDOW_PROCESS"
+      );
+    }
+    const locator = createWindowLocator({ getInputBridge });
+    if (!locator) {
+      throw createCaptureSourceError(`window capture is not supported on ${process.platform}`);
+    }
+    return createWindowCaptureSource({ title: windowTitle, process: windowProcess, locator });
+  },
+  synthetic: ({ syntheticSize }) => {
+    const size = parseCaptureSize(syntheticSize);
+    if (!size) {
+      throw createCaptureSourceError("REMOTE_CAPTURE_SYNTHETIC_SIZE must look like 1280x720");
+    }
+    return createSyntheticCaptureSource(size);
+  },
+  file: ({ filePath }) => {
+    if (!filePath) {
+      throw createCaptureSourceError("capture source 'file' needs REMOTE_CAPTURE_FILE");
+    }
+    return createFileCaptureSource({ filePath });
+  },
+};
+
+// Throws (with `reason: "invalid-capture-source"`) when the source is missing a
+// setting it needs; the agent refuses to start rather than capture something else.
+const createCaptureSource = (name, options = {}) => {
+  const factory = CAPTURE_SOURCE_FACTORIES[name];
+  if (!factory) throw createCaptureSourceError(`unknown capture source '${name}'`);
+  return factory(options);
+};
+
+module.exports = {
+  CAPTURE_SOURCES,
+  createCaptureSource,
+};
@@ -0,0 +1,44 @@
+const { cropDisplayFrame } = require("../displays");
+const { createDisplayCaptureSource } = require("./displaySource");
+
+// `left,top,width,height` in desktop pixels, relative to the selected display.
+const parseCaptureRegion = (value) => {
+  const parts = String(value || "")
+    .split(",")
+    .map((part) => Number(part.trim()));
+  if (parts.length !== 4 || parts.some((part) => !Number.isInteger(part) || part < 0)) {
+    return null;
+  }
+  const [left, top, width, height] = parts;
+  if (width === 0 || height === 0) return null;
+  return { left, top, width, height };
+};
+
+// A fixed rectangle of the selected display. Input maps onto the rectangle, so a
+// controller cannot click outside what it sees.
+const createRegionCaptureSource = ({ region }) => {
+  const displaySource = createDisplayCaptureSource();
+
+  const capture = async (target) => {
+    const frame = await displaySource.capture(target);
+    if (!frame.image || frame.image.length === 0) return null;
+    const origin = frame.bounds || { left: 0, top: 0 };
+    return cropDisplayFrame(frame.image, frame.bounds, {
+      ...region,
+      left: origin.left + region.left,
+      top: origin.top + region.top,
+    });
+  };
+
+  return {
+    name: "region",
+    capture,
+    describe: () =>
+      `region ${region.width}x${region.height} @(${region.left},${region.top})`,
+  };
+};
+
+module.exports = {
+  parseCaptureRegion,
+  createRegionCaptureSource,
+};
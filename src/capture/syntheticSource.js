@@ -0,0 +1,74 @@
+const jpeg = require("jpeg-js");
+
+const SYNTHETIC_QUALITY = 70;
+const BOX_SPEED_PX = 12;
+const POINTER_SIZE_PX = 16;
+
+const parseCaptureSize = (value) => {
+  const match = /^\s*(\d+)\s*x\s*(\d+)\s*$/i.exec(String(value || ""));
+  if (!match) return null;
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  return width > 0 && height > 0 ? { width, height } : null;
+};
+
+// A generated test pattern, so the whole pipeline runs without a desktop (CI, demos):
+// a fixed gradient with a box sliding across it, which keeps most tiles unchanged
+// between frames like a real screen. With `includeCursor` a black arrowhead stands in for
+// the pointer at a quarter of the way in.
+const createSyntheticCaptureSource = ({ width, height }) => {
+  const background = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * 4;
+      background[offset] = Math.floor((x / width) * 255);
+      background[offset + 1] = Math.floor((y / height) * 255);
+      background[offset + 2] = 160;
+      background[offset + 3] = 255;
+    }
+  }
+  const boxSize = Math.max(1, Math.floor(Math.min(width, height) / 6));
+  const canvas = Buffer.alloc(background.length);
+  let frameCount = 0;
+
+  const drawPointer = () => {
+    const left = Math.floor(width / 4);
+    const top = Math.floor(height / 4);
+    for (let row = 0; row < POINTER_SIZE_PX && top + row < height; row += 1) {
+      const rowWidth = Math.min(Math.ceil((row * 5) / 8) + 1, width - left);
+      const rowStart = ((top + row) * width + left) * 4;
+      for (let offset = rowStart; offset < rowStart + rowWidth * 4; offset += 4) {
+        canvas[offset] = 0;
+        canvas[offset + 1] = 0;
+        canvas[offset + 2] = 0;
+      }
+    }
+  };
+
+  const capture = async ({ includeCursor } = {}) => {
+    background.copy(canvas);
+    const travel = Math.max(1, width - boxSize);
+    const boxLeft = (frameCount * BOX_SPEED_PX) % travel;
+    const boxTop = Math.floor((height - boxSize) / 2);
+    for (let y = boxTop; y < boxTop + boxSize; y += 1) {
+      canvas.fill(255, (y * width + boxLeft) * 4, (y * width + boxLeft + boxSize) * 4);
+    }
+    if (includeCursor) drawPointer();
+    frameCount += 1;
+    return {
+      image: jpeg.encode({ data: canvas, width, height }, SYNTHETIC_QUALITY).data,
+      bounds: null,
+    };
+  };
+
+  return {
+    name: "synthetic",
+    capture,
+    describe: () => `synthetic ${width}x${height}`,
+  };
+};
+
+module.exports = {
+  parseCaptureSize,
+  createSyntheticCaptureSource,
+};
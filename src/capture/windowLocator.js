@@ -0,0 +1,85 @@
+const { execFile } = require("child_process");
+const { toDisplayBounds } = require("../displays");
+const { requestFromBridge } = require("../input/bridgeRequest");
+
+const XDOTOOL_TIMEOUT_MS = 2000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const runXdotool = (args, env) =>
+  new Promise((resolve) => {
+    execFile("xdotool", args, { env, timeout: XDOTOOL_TIMEOUT_MS }, (err, stdout) => {
+      // `search` exits non-zero when nothing matches.
+      resolve(err ? "" : String(stdout || ""));
+    });
+  });
+
+const parseShellGeometry = (output) =>
+  Object.fromEntries(
+    output
+      .split("\n")
+      .map((line) => line.trim().split("="))
+      .filter((pair) => pair.length === 2)
+  );
+
+// Finds the first visible window whose title contains `title`, or else whose WM_CLASS
+// is `process`.
+const createX11WindowLocator = ({ xDisplay = process.env.DISPLAY } = {}) => {
+  const env = { ...process.env, DISPLAY: String(xDisplay || "").trim() };
+
+  const locate = async ({ title, process: processName }) => {
+    const searchArgs = title
+      ? ["search", "--onlyvisible", "--name", escapeRegex(title)]
+      : ["search", "--onlyvisible", "--class", `^${escapeRegex(processName)}$`];
+    const [windowId] = (await runXdotool(searchArgs, env)).split(/\s+/).filter(Boolean);
+    if (!windowId) return null;
+
+    const geometry = parseShellGeometry(
+      await runXdotool(["getwindowgeometry", "--shell", windowId], env)
+    );
+    const bounds = toDisplayBounds({
+      left: geometry.X,
+      top: geometry.Y,
+      width: geometry.WIDTH,
+      height: geometry.HEIGHT,
+    });
+    if (!bounds) return null;
+    const windowTitle = (await runXdotool(["getwindowname", windowId], env)).trim();
+    return { id: windowId, title: windowTitle, bounds };
+  };
+
+  return {
+    name: "x11",
+    locate,
+  };
+};
+
+// Asks the running input bridge (windowsInputBridge.ps1) for the window: it already has
+// user32 loaded, so no PowerShell is started per lookup.
+const createBridgeWindowLocator = ({ getInputBridge }) => {
+  const locate = async ({ title, process: processName }) => {
+    const reply = await requestFromBridge(
+      getInputBridge(),
+      { type: "window-find", title, process: processName },
+      "window-found"
+    );
+    const bounds = reply?.found ? toDisplayBounds(reply) : null;
+    if (!bounds) return null;
+    return { id: String(reply.handle || ""), title: String(reply.title || ""), bounds };
+  };
+
+  return {
+    name: "windows-bridge",
+    locate,
+  };
+};
+
+const createWindowLocator = ({ getInputBridge }, platform = process.platform) => {
+  if (platform === "win32") return createBridgeWindowLocator({ getInputBridge });
+  if (platform === "linux") return createX11WindowLocator();
+  return null;
+};
+
+module.exports = {
+  createWindowLocator,
+};
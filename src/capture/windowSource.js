@@ -0,0 +1,70 @@
+const { cropDisplayFrame } = require("../displays");
+const { createLogger } = require("../logging");
+const { createDisplayCaptureSource } = require("./displaySource");
+
+const log = createLogger("capture");
+
+const WINDOW_REFRESH_MS = 1000;
+
+const containsPoint = (bounds, x, y) =>
+  x >= bounds.left &&
+  x < bounds.left + bounds.width &&
+  y >= bounds.top &&
+  y < bounds.top + bounds.height;
+
+const formatWindow = ({ title, bounds }) =>
+  `"${title}" ${bounds.width}x${bounds.height} @(${bounds.left},${bounds.top})`;
+
+// One application window, looked up by title (or process) at most once a second so
+// frames and input follow it when it moves. The display under the window's centre is
+// captured and cropped to the window; parts on other displays are cut off.
+const createWindowCaptureSource = ({ title, process: processName, locator }) => {
+  const displaySource = createDisplayCaptureSource();
+  let located = null;
+  let lookedUpAt = 0;
+  let missingReported = false;
+
+  const describe = () => (title ? `window titled "${title}"` : `window of ${processName}`);
+
+  const refresh = async () => {
+    lookedUpAt = Date.now();
+    const previous = located;
+    located = await locator.locate({ title, process: processName });
+    if (!located) {
+      if (!missingReported) log.warn(`${describe()} not found; no frames are sent.`);
+      missingReported = true;
+      return;
+    }
+    missingReported = false;
+    if (previous?.id !== located.id) log.info(`capturing window ${formatWindow(located)}`);
+  };
+
+  const capture = async (target) => {
+    if (!located || Date.now() - lookedUpAt >= WINDOW_REFRESH_MS) await refresh();
+    if (!located) return null;
+
+    const { bounds } = located;
+    const centreX = bounds.left + bounds.width / 2;
+    const centreY = bounds.top + bounds.height / 2;
+    const display = target.displays.find(
+      (candidate) => candidate.bounds && containsPoint(candidate.bounds, centreX, centreY)
+    );
+    const frame = await displaySource.capture(
+      display
+        ? { displayId: display.id, displayBounds: display.bounds, displays: target.displays }
+        : target
+    );
+    if (!frame.image || frame.image.length === 0) return null;
+    return cropDisplayFrame(frame.image, frame.bounds, bounds);
+  };
+
+  return {
+    name: "window",
+    capture,
+    describe,
+  };
+};
+
+module.exports = {
+  createWindowCaptureSource,
+};
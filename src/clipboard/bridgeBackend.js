@@ -0,0 +1,56 @@
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+// Clipboard access through the running input bridge (windowsInputBridge.ps1), which
+// owns an STA thread and already talks JSON lines with the agent.
+const createBridgeClipboardBackend = ({ getInputBridge }) => {
+  let removeListener = null;
+
+  const getBridge = () => {
+    const bridge = getInputBridge();
+    if (!bridge || !bridge.isRunning() || !bridge.addMessageListener) return null;
+    return bridge;
+  };
+
+  const start = async (onChange) => {
+    const bridge = getBridge();
+    if (!bridge) return false;
+
+    stop();
+    removeListener = bridge.addMessageListener((message) => {
+      if (message?.type === "clipboard-changed") {
+        onChange(String(message.text || ""));
+      } else if (message?.type === "clipboard-error") {
+        log.warn(`clipboard update failed: ${message.message || "unknown error"}`);
+      }
+    });
+    bridge.send({ type: "clipboard-watch", enabled: true });
+    return true;
+  };
+
+  const stop = () => {
+    if (!removeListener) return;
+    removeListener();
+    removeListener = null;
+    getBridge()?.send({ type: "clipboard-watch", enabled: false });
+  };
+
+  const setText = async (text) => {
+    const bridge = getBridge();
+    if (!bridge) return false;
+    bridge.send({ type: "clipboard-set", text });
+    return true;
+  };
+
+  return {
+    name: "windows-bridge",
+    start,
+    stop,
+    setText,
+  };
+};
+
+module.exports = {
+  createBridgeClipboardBackend,
+};
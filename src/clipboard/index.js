@@ -0,0 +1,89 @@
+const { createBridgeClipboardBackend } = require("./bridgeBackend");
+const { createX11ClipboardBackend } = require("./x11Backend");
+
+// Clipboard backends expose:
+//   name                 backend identifier for logs/status
+//   start(onChange)      resolves true once host clipboard changes are reported
+//   stop()               stops watching the host clipboard
+//   setText(text)        resolves true once text is on the host clipboard
+const createClipboardBackend = ({ inputBackendName, getInputBridge }) => {
+  if (inputBackendName === "windows") {
+    return createBridgeClipboardBackend({ getInputBridge });
+  }
+  if (inputBackendName === "x11") {
+    return createX11ClipboardBackend();
+  }
+  return null;
+};
+
+// Session-level clipboard policy on top of a backend: on/off state and size limits.
+const createClipboardSync = ({ backend, maxBytes, onHostChange, onHostRejected }) => {
+  let enabled = false;
+  // Bumped by disable() so a start that resolves afterwards knows it is no longer wanted.
+  let generation = 0;
+  let pendingStart = null;
+
+  const enable = async () => {
+    if (enabled) return true;
+    if (!backend) return false;
+    if (pendingStart) {
+      if (pendingStart.generation === generation) return pendingStart.promise;
+      // A start from before the last disable() is still running; let it wind down first.
+      return pendingStart.promise.then(() => enable());
+    }
+    const startGeneration = generation;
+    const promise = backend
+      .start((text) => {
+        if (!enabled) return;
+        const byteLength = Buffer.byteLength(text, "utf8");
+        if (byteLength > maxBytes) {
+          onHostRejected({ reason: "too-large", bytes: byteLength, maxBytes });
+          return;
+        }
+        onHostChange(text);
+      })
+      .then((started) => {
+        if (!started) return false;
+        if (startGeneration !== generation) {
+          backend.stop();
+          return false;
+        }
+        enabled = true;
+        return true;
+      })
+      .finally(() => {
+        pendingStart = null;
+      });
+    pendingStart = { generation: startGeneration, promise };
+    return promise;
+  };
+
+  const disable = () => {
+    generation += 1;
+    if (!enabled) return;
+    enabled = false;
+    backend?.stop();
+  };
+
+  // Returns a reason code when the controller's text is refused, "" on success.
+  const pushFromController = async (text) => {
+    if (!enabled || !backend) return "disabled";
+    if (typeof text !== "string") return "invalid";
+    if (Buffer.byteLength(text, "utf8") > maxBytes) return "too-large";
+    const applied = await backend.setText(text);
+    return applied ? "" : "unavailable";
+  };
+
+  return {
+    enable,
+    disable,
+    pushFromController,
+    isEnabled: () => enabled,
+    maxBytes,
+  };
+};
+
+module.exports = {
+  createClipboardBackend,
+  createClipboardSync,
+};
@@ -0,0 +1,114 @@
+const { execFile, spawn } = require("child_process");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+const XCLIP_TIMEOUT_MS = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+const readClipboard = (env) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      "xclip",
+      ["-selection", "clipboard", "-out"],
+      { env, timeout: XCLIP_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 },
+      (err, stdout) => {
+        // xclip exits non-zero while the clipboard is empty or holds no text.
+        if (err) {
+          if (err.code === "ENOENT") reject(err);
+          else resolve("");
+          return;
+        }
+        resolve(String(stdout || ""));
+      }
+    );
+  });
+
+const writeClipboard = (text, env) =>
+  new Promise((resolve, reject) => {
+    // xclip forks to keep serving the selection; ignore its stdout so we do not wait on it.
+    const child = spawn("xclip", ["-selection", "clipboard", "-in"], {
+      env,
+      stdio: ["pipe", "ignore", "ignore"],
+    });
+    child.on("error", reject);
+    // A missing or crashed xclip closes the pipe (EPIPE); the exit/error above reports it.
+    child.stdin.on("error", reject);
+    child.on("exit", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`xclip exited with code ${code}`));
+    });
+    child.stdin.end(text, "utf8");
+  });
+
+// Polls the X11 CLIPBOARD selection through xclip; X offers no portable change event.
+const createX11ClipboardBackend = ({
+  xDisplay = process.env.DISPLAY,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+} = {}) => {
+  const env = { ...process.env, DISPLAY: String(xDisplay || "").trim() };
+  let pollTimer = null;
+  let lastText = null;
+  let polling = false;
+
+  const poll = async (onChange) => {
+    if (polling) return;
+    polling = true;
+    try {
+      const text = await readClipboard(env);
+      if (lastText !== null && text !== lastText) {
+        onChange(text);
+      }
+      lastText = text;
+    } catch (err) {
+      log.warn(`clipboard read failed: ${err?.message || err}`);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const start = async (onChange) => {
+    if (!env.DISPLAY) return false;
+    try {
+      lastText = await readClipboard(env);
+    } catch (err) {
+      log.warn(`xclip unavailable: ${err?.message || err}. Clipboard sync is disabled.`);
+      return false;
+    }
+
+    stop();
+    pollTimer = setInterval(() => {
+      void poll(onChange);
+    }, Math.max(200, Number(pollIntervalMs) || DEFAULT_POLL_INTERVAL_MS));
+    return true;
+  };
+
+  const stop = () => {
+    if (!pollTimer) return;
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const setText = async (text) => {
+    try {
+      await writeClipboard(text, env);
+      // Remember the pushed text so the poller does not echo it back.
+      lastText = text;
+      return true;
+    } catch (err) {
+      log.warn(`clipboard write failed: ${err?.message || err}`);
+      return false;
+    }
+  };
+
+  return {
+    name: "x11",
+    start,
+    stop,
+    setText,
+  };
+};
+
+module.exports = {
+  createX11ClipboardBackend,
+};
@@ -0,0 +1,451 @@
+const path = require("path");
+const fs = require("fs");
+const dotenv = require("dotenv");
+const { CONFIG_SCHEMA } = require("./schema");
+
+const CONFIG_FILE_NAME = "agent.config.json";
+const META_FLAGS = new Set(["config", "print-config"]);
+const APP_ROOT = path.join(__dirname, "..", "..");
+
+const sanitizeHostId = (value, maxLength = 64) =>
+  String(value || "")
+    .trim()
+    .replace(/[^a-zA-Z0-9_-]/g, "")
+    .slice(0, maxLength);
+
+const sanitizeToken = (value, maxLength = 256) =>
+  String(value || "")
+    .trim()
+    .slice(0, maxLength);
+
+const normalizeServerUrl = (value) => {
+  const raw = String(value || "").trim();
+  if (!raw) return "";
+
+  try {
+    const parsed = new URL(raw);
+    const protocol = String(parsed.protocol || "").toLowerCase();
+    if (protocol !== "http:" && protocol !== "https:") return "";
+    parsed.hash = "";
+    return parsed.toString().replace(/\/$/, "");
+  } catch {
+    return "";
+  }
+};
+
+const toKebabCase = (key) => key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+// `.env` and `agent.config.json` are looked up in the working directory, next to the
+// executable, then next to the app sources.
+const getSearchDirs = () => [process.cwd(), path.dirname(process.execPath), APP_ROOT];
+
+const findFirstFile = (fileName) => {
+  for (const dir of getSearchDirs()) {
+    const candidate = path.join(dir, fileName);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return "";
+};
+
+const resolveEnvPath = () => findFirstFile(".env");
+
+const FLAG_ENTRIES = new Map();
+for (const entry of CONFIG_SCHEMA) {
+  FLAG_ENTRIES.set(toKebabCase(entry.key), entry);
+  for (const alias of entry.cli || []) FLAG_ENTRIES.set(alias, entry);
+}
+
+// Splits argv into `--flag=value` settings and hostapp:// launch URLs. `--flag value`
+// is not supported: protocol handlers pass the URL as a bare argument.
+const parseArgv = (argv = []) => {
+  const parsed = {
+    flags: {},
+    meta: {},
+    launchUrl: "",
+    protocolParams: null,
+    unknown: [],
+    errors: [],
+  };
+
+  for (const rawArg of argv) {
+    const arg = String(rawArg || "").trim();
+    if (!arg) continue;
+
+    if (/^hostapp:/i.test(arg)) {
+      parsed.launchUrl = arg;
+      parsed.protocolParams = null;
+      try {
+        parsed.protocolParams = new URL(arg).searchParams;
+      } catch {
+        parsed.unknown.push(arg);
+      }
+      continue;
+    }
+
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/is.exec(arg);
+    if (!match) {
+      parsed.unknown.push(arg);
+      continue;
+    }
+
+    const [, flag, value] = match;
+    const flagName = flag.toLowerCase();
+    const entry = FLAG_ENTRIES.get(flagName);
+    if (META_FLAGS.has(flagName)) {
+      parsed.meta[flagName] = value ?? "";
+    } else if (!entry) {
+      parsed.unknown.push(arg);
+    } else if (value === undefined && entry.type !== "boolean") {
+      parsed.errors.push(`--${flagName} needs a value (--${flagName}=<value>)`);
+    } else {
+      parsed.flags[entry.key] = { value: value ?? "1", name: `--${flagName}` };
+    }
+  }
+
+  return parsed;
+};
+
+const readConfigFile = (filePath) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    return { values: {}, errors: [`config file ${filePath}: ${err.message}`] };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { values: {}, errors: [`config file ${filePath}: expected a JSON object`] };
+  }
+
+  const knownKeys = new Set(CONFIG_SCHEMA.map((entry) => entry.key));
+  const errors = Object.keys(parsed)
+    .filter((key) => !knownKeys.has(key))
+    .map((key) => `config file ${filePath}: unknown key '${key}'`);
+  return { values: parsed, errors };
+};
+
+const readEnvFile = (filePath) => {
+  try {
+    return { values: dotenv.parse(fs.readFileSync(filePath)), errors: [] };
+  } catch (err) {
+    return { values: {}, errors: [`env file ${filePath}: ${err.message}`] };
+  }
+};
+
+const BOOLEAN_VALUES = new Map([
+  ["1", true],
+  ["true", true],
+  ["yes", true],
+  ["on", true],
+  ["0", false],
+  ["false", false],
+  ["no", false],
+  ["off", false],
+]);
+
+const resolveBound = (bound, values) => (typeof bound === "function" ? bound(values) : bound);
+
+// Returns `{ value }` or `{ error }` describing why `raw` is not acceptable for `entry`.
+const coerceValue = (entry, raw, values) => {
+  switch (entry.type) {
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const normalized = String(raw).trim().toLowerCase();
+      if (BOOLEAN_VALUES.has(normalized)) return { value: BOOLEAN_VALUES.get(normalized) };
+      return { error: "must be 1/0, true/false, yes/no or on/off" };
+    }
+    case "number":
+    case "integer": {
+      const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) return { error: "must be a number" };
+      if (entry.type === "integer" && !Number.isInteger(value)) {
+        return { error: "must be a whole number" };
+      }
+      const min = resolveBound(entry.min, values);
+      const max = resolveBound(entry.max, values);
+      if (min !== undefined && value < min) return { error: `must be at least ${min}` };
+      if (max !== undefined && value > max) return { error: `must be at most ${max}` };
+      return { value };
+    }
+    case "enum": {
+      const value = String(raw).trim().toLowerCase();
+      if (entry.values.includes(value)) return { value };
+      return { error: `must be one of ${entry.values.join(", ")}` };
+    }
+    case "url": {
+      const value = normalizeServerUrl(raw);
+      if (value) return { value };
+      return { error: "must be an http:// or https:// URL" };
+    }
+    case "list": {
+      const items = Array.isArray(raw) ? raw : String(raw).split(entry.separator);
+      return { value: items.map((item) => String(item).trim()).filter((item) => !!item) };
+    }
+    case "path":
+      return { value: String(raw).trim() };
+    default: {
+      const value = String(raw).trim();
+      if (entry.maxLength && value.length > entry.maxLength) {
+        if (entry.truncate) {
+          return {
+            value: value.slice(0, entry.maxLength),
+            warning: `truncated to ${entry.maxLength} characters`,
+          };
+        }
+        return { error: `must be at most ${entry.maxLength} characters` };
+      }
+      return { value };
+    }
+  }
+};
+
+const isUnset = (raw) => raw === undefined || raw === null || raw === "";
+
+const describeSource = ({ source, name }) => (name ? `${source} ${name}` : source);
+
+const resolveDefault = (entry, values) =>
+  typeof entry.default === "function" ? entry.default(values) : entry.default;
+
+// Resolves every schema key from, highest first: hostapp:// launch URL, command-line
+// flags, process environment, `.env`, JSON config file, then the declared default.
+// Invalid values are reported in `errors` and fall back to the default so callers can
+// still configure logging before they exit.
+const loadConfig = ({ argv = [], env = process.env, envFilePath = "", configFilePath } = {}) => {
+  const args = parseArgv(argv);
+  const errors = [...args.errors];
+  const warnings = args.unknown.map((arg) => `ignoring unknown argument '${arg}'`);
+
+  const explicitConfigPath = String(
+    args.meta.config || configFilePath || env.REMOTE_CONFIG_FILE || ""
+  ).trim();
+  const filePath = explicitConfigPath
+    ? path.resolve(explicitConfigPath)
+    : findFirstFile(CONFIG_FILE_NAME);
+  let fileValues = {};
+  if (filePath) {
+    if (!fs.existsSync(filePath)) {
+      errors.push(`config file ${filePath} does not exist`);
+    } else {
+      const fileResult = readConfigFile(filePath);
+      fileValues = fileResult.values;
+      errors.push(...fileResult.errors);
+    }
+  }
+
+  let envFileValues = {};
+  if (envFilePath) {
+    const envFileResult = readEnvFile(envFilePath);
+    envFileValues = envFileResult.values;
+    errors.push(...envFileResult.errors);
+  }
+
+  const candidatesFor = (entry) => {
+    const protocolName = (entry.protocol || []).find(
+      (name) => !isUnset(args.protocolParams?.get(name))
+    );
+    return [
+      protocolName && {
+        source: "protocol",
+        name: protocolName,
+        raw: args.protocolParams.get(protocolName),
+      },
+      args.flags[entry.key] && {
+        source: "cli",
+        name: args.flags[entry.key].name,
+        raw: args.flags[entry.key].value,
+      },
+      { source: "env", name: entry.env, raw: env[entry.env] },
+      { source: ".env", name: entry.env, raw: envFileValues[entry.env] },
+      { source: "file", name: entry.key, raw: fileValues[entry.key] },
+    ].filter((candidate) => candidate && !isUnset(candidate.raw));
+  };
+
+  const values = {};
+  const sources = {};
+  for (const entry of CONFIG_SCHEMA) {
+    let resolved = false;
+    for (const candidate of candidatesFor(entry)) {
+      const result = coerceValue(entry, candidate.raw, values);
+      const shownValue = entry.secret ? "(secret)" : JSON.stringify(candidate.raw);
+      if (!("error" in result)) {
+        if (result.warning) {
+          warnings.push(`${entry.key} from ${describeSource(candidate)} ${result.warning}`);
+        }
+        values[entry.key] = result.value;
+        sources[entry.key] = { source: candidate.source, name: candidate.name };
+        resolved = true;
+        break;
+      }
+      const problem = `invalid ${entry.key} from ${describeSource(candidate)}: ${shownValue} ${
+        result.error
+      }`;
+      // hostapp:// parameters come from whoever wrote the link, not the operator, so a bad
+      // one must not keep the agent from starting.
+      if (!entry.fallback && candidate.source !== "protocol") {
+        errors.push(problem);
+        break;
+      }
+      warnings.push(`ignoring ${problem}`);
+    }
+    if (resolved) continue;
+    values[entry.key] = resolveDefault(entry, values);
+    sources[entry.key] = { source: "default", name: "" };
+  }
+
+  return {
+    values,
+    sources,
+    errors,
+    warnings,
+    envFilePath,
+    filePath,
+    launchUrl: args.launchUrl,
+    launchSource: args.protocolParams
+      ? "protocol"
+      : Object.keys(args.flags).length > 0
+      ? "cli"
+      : "",
+    printConfig: args.meta["print-config"] !== undefined,
+  };
+};
+
+const SCHEMA_BY_KEY = new Map(CONFIG_SCHEMA.map((entry) => [entry.key, entry]));
+
+const isSameValue = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+const diffValues = (previous, next) =>
+  CONFIG_SCHEMA.filter((entry) => !isSameValue(previous[entry.key], next[entry.key])).map(
+    (entry) => ({ key: entry.key, from: previous[entry.key], to: next[entry.key] })
+  );
+
+// Validates a runtime change (e.g. from the server) against the running config. The
+// update is all-or-nothing: any unknown, restart-only or invalid key rejects it and
+// `rejected` says why. Live keys still on their default are re-derived, so a new `fps`
+// moves the adaptive rates with it.
+const applyConfigUpdate = (current, updates, source) => {
+  const rejected = [];
+  if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+    return { rejected: [{ key: "", reason: "invalid-update", message: "expected an object" }] };
+  }
+
+  for (const key of Object.keys(updates)) {
+    const entry = SCHEMA_BY_KEY.get(key);
+    if (!entry) {
+      rejected.push({ key, reason: "unknown-setting", message: `unknown setting '${key}'` });
+    } else if (!entry.live) {
+      rejected.push({
+        key,
+        reason: "restart-required",
+        message: `${key} cannot change while the agent runs`,
+      });
+    }
+  }
+  if (rejected.length > 0) return { rejected };
+
+  const values = { ...current.values };
+  const sources = { ...current.sources };
+  for (const entry of CONFIG_SCHEMA) {
+    if (!entry.live) continue;
+    if (entry.key in updates) {
+      const result = coerceValue(entry, updates[entry.key], values);
+      if ("error" in result) {
+        rejected.push({
+          key: entry.key,
+          reason: "invalid-value",
+          message: `${JSON.stringify(updates[entry.key])} ${result.error}`,
+        });
+        continue;
+      }
+      values[entry.key] = result.value;
+      sources[entry.key] = { source, name: "" };
+    } else if (sources[entry.key].source === "default") {
+      values[entry.key] = resolveDefault(entry, values);
+    }
+  }
+  if (rejected.length > 0) return { rejected };
+
+  return { config: { ...current, values, sources }, changes: diffValues(current.values, values) };
+};
+
+// Compares a fresh `loadConfig` result with the running config after `.env` or the
+// config file changed. Live keys are taken over unless the server set them; the rest
+// are listed in `restartRequired` and keep their running value.
+const mergeReloadedConfig = (current, reloaded) => {
+  const values = { ...current.values };
+  const sources = { ...current.sources };
+  const restartRequired = [];
+
+  for (const entry of CONFIG_SCHEMA) {
+    if (!entry.live) {
+      if (!isSameValue(current.values[entry.key], reloaded.values[entry.key])) {
+        restartRequired.push(entry.key);
+      }
+      continue;
+    }
+    if (current.sources[entry.key].source === "server") continue;
+    sources[entry.key] = reloaded.sources[entry.key];
+    // Defaults follow the merged values, which may include server-set ones.
+    values[entry.key] =
+      sources[entry.key].source === "default"
+        ? resolveDefault(entry, values)
+        : reloaded.values[entry.key];
+  }
+
+  return {
+    config: { ...current, values, sources },
+    changes: diffValues(current.values, values),
+    restartRequired,
+  };
+};
+
+const formatChanges = (changes) =>
+  changes
+    .map(({ key, from, to }) => {
+      const entry = SCHEMA_BY_KEY.get(key);
+      return `${key} ${formatValue(entry, from) || "(empty)"} -> ${formatValue(entry, to) || "(empty)"}`;
+    })
+    .join(", ");
+
+const maskSecret = (value) => (value ? `******** (${value.length} chars)` : "");
+
+const formatValue = (entry, value) => {
+  if (entry.secret) return maskSecret(value);
+  if (Array.isArray(value)) return value.join(entry.separator);
+  return String(value);
+};
+
+// Text table for `--print-config`: every key with its effective value and source.
+const formatConfigReport = (config) => {
+  const rows = CONFIG_SCHEMA.map((entry) => [
+    entry.key,
+    formatValue(entry, config.values[entry.key]) || "(empty)",
+    describeSource(config.sources[entry.key]),
+  ]);
+  const widths = [0, 1].map((column) =>
+    Math.max(...rows.map((row) => row[column].length), column === 0 ? 3 : 5)
+  );
+  const lines = [
+    `env file:    ${config.envFilePath || "(none)"}`,
+    `config file: ${config.filePath || "(none)"}`,
+    "",
+    `${"key".padEnd(widths[0])}  ${"value".padEnd(widths[1])}  source`,
+    ...rows.map(
+      ([key, value, source]) => `${key.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${source}`
+    ),
+  ];
+  for (const warning of config.warnings) lines.push(`warning: ${warning}`);
+  for (const error of config.errors) lines.push(`error: ${error}`);
+  return lines.join("\n");
+};
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  sanitizeHostId,
+  sanitizeToken,
+  normalizeServerUrl,
+  resolveEnvPath,
+  loadConfig,
+  applyConfigUpdate,
+  mergeReloadedConfig,
+  formatChanges,
+  formatConfigReport,
+};
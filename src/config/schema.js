@@ -0,0 +1,447 @@
+const os = require("os");
+const path = require("path");
+const { LOG_LEVELS, LOG_FORMATS } = require("../logging");
+const { LOG_ROTATIONS } = require("../logging/rotatingFile");
+const { PERMISSION_LEVELS } = require("../permissions");
+const { CONSENT_POLICIES } = require("../consent");
+const { E2E_MODES, E2E_VERIFY_MODES } = require("../e2e");
+const { AUTH_MODES } = require("../auth");
+const { UNTRUSTED_LAUNCH_ACTIONS } = require("../launch");
+const { CAPTURE_SOURCES } = require("../capture");
+
+const MAX_FRAME_BASE64_LENGTH = 1_200_000;
+const MAX_FRAME_BYTES = Math.floor((MAX_FRAME_BASE64_LENGTH * 3) / 4);
+const DEFAULT_SERVER_URL = "https://calling-app-backend-1.onrender.com";
+const LOCALHOST_SERVER_URL = "http://localhost:5000";
+
+// Every setting the agent reads, in resolution order: a `default` function sees the
+// values resolved above it. Each key is also accepted as `--kebab-case=value` on the
+// command line and by its camelCase name in the JSON config file. `cli` lists extra
+// flag names, `protocol` the hostapp:// query parameters that may set it. `live` keys
+// may be changed while the agent runs; everything else needs a restart. An invalid value
+// is a startup error, except that `fallback` keys (and every hostapp:// parameter) skip to
+// the next source with a warning and `truncate` keys are cut to `maxLength` with a warning,
+// as older agents did.
+const CONFIG_SCHEMA = [
+  { key: "useLocalhost", env: "REMOTE_USE_LOCALHOST", type: "boolean", default: false },
+  {
+    key: "serverUrl",
+    env: "REMOTE_SERVER_URL",
+    type: "url",
+    cli: ["server"],
+    protocol: ["server", "serverUrl", "url"],
+    fallback: true,
+    default: (values) => (values.useLocalhost ? LOCALHOST_SERVER_URL : DEFAULT_SERVER_URL),
+  },
+  {
+    key: "hostId",
+    env: "REMOTE_HOST_ID",
+    type: "string",
+    maxLength: 256,
+    protocol: ["hostId", "hostid", "id"],
+    default: "",
+  },
+  {
+    key: "remoteControlToken",
+    env: "REMOTE_CONTROL_TOKEN",
+    type: "string",
+    maxLength: 256,
+    truncate: true,
+    secret: true,
+    cli: ["token"],
+    protocol: ["token", "authToken", "auth"],
+    default: "",
+  },
+  { key: "authMode", env: "REMOTE_AUTH_MODE", type: "enum", values: AUTH_MODES, default: "static" },
+  {
+    key: "authTokenTtlSec",
+    env: "REMOTE_AUTH_TOKEN_TTL_SEC",
+    type: "integer",
+    min: 60,
+    max: 24 * 60 * 60,
+    default: 15 * 60,
+  },
+  { key: "launchAllowedServers", env: "REMOTE_LAUNCH_ALLOWED_SERVERS", type: "list", separator: ",", default: [] },
+  { key: "launchPublisherKeys", env: "REMOTE_LAUNCH_PUBLISHER_KEYS", type: "list", separator: ",", default: [] },
+  {
+    key: "launchUntrusted",
+    env: "REMOTE_LAUNCH_UNTRUSTED",
+    type: "enum",
+    values: UNTRUSTED_LAUNCH_ACTIONS,
+    default: "reject",
+  },
+  {
+    key: "launchSignatureMaxAgeSec",
+    env: "REMOTE_LAUNCH_SIGNATURE_MAX_AGE_SEC",
+    type: "integer",
+    min: 10,
+    max: 24 * 60 * 60,
+    default: 300,
+  },
+  { key: "launchAuditLog", env: "REMOTE_LAUNCH_AUDIT_LOG", type: "path", default: "" },
+  {
+    key: "displayId",
+    env: "REMOTE_DISPLAY_ID",
+    type: "string",
+    protocol: ["displayId", "display"],
+    live: true,
+    default: "",
+  },
+  {
+    key: "captureSource",
+    env: "REMOTE_CAPTURE_SOURCE",
+    type: "enum",
+    values: CAPTURE_SOURCES,
+    cli: ["capture"],
+    protocol: ["capture"],
+    default: "display",
+  },
+  {
+    key: "captureRegion",
+    env: "REMOTE_CAPTURE_REGION",
+    type: "string",
+    cli: ["region"],
+    protocol: ["region"],
+    default: "",
+  },
+  {
+    key: "captureWindowTitle",
+    env: "REMOTE_CAPTURE_WINDOW_TITLE",
+    type: "string",
+    maxLength: 256,
+    cli: ["window"],
+    protocol: ["window"],
+    default: "",
+  },
+  {
+    key: "captureWindowProcess",
+    env: "REMOTE_CAPTURE_WINDOW_PROCESS",
+    type: "string",
+    maxLength: 256,
+    cli: ["process"],
+    protocol: ["process"],
+    default: "",
+  },
+  {
+    key: "captureSyntheticSize",
+    env: "REMOTE_CAPTURE_SYNTHETIC_SIZE",
+    type: "string",
+    default: "1280x720",
+  },
+  { key: "captureFile", env: "REMOTE_CAPTURE_FILE", type: "path", default: "" },
+  { key: "cursorStream", env: "REMOTE_CURSOR_STREAM", type: "boolean", default: false },
+  { key: "cursorRate", env: "REMOTE_CURSOR_RATE", type: "integer", min: 1, max: 120, default: 30 },
+  {
+    key: "perfMode",
+    env: "REMOTE_PERF_MODE",
+    type: "enum",
+    values: ["auto", "off"],
+    live: true,
+    default: "auto",
+  },
+  {
+    key: "fps",
+    env: "REMOTE_FPS",
+    type: "number",
+    min: 1,
+    max: 60,
+    protocol: ["fps"],
+    live: true,
+    default: 10,
+  },
+  {
+    key: "minFps",
+    env: "REMOTE_MIN_FPS",
+    type: "number",
+    min: 1,
+    max: 60,
+    live: true,
+    default: ({ fps }) => Math.max(2, Math.min(fps, Math.round(fps * 0.6))),
+  },
+  {
+    key: "activeInputFps",
+    env: "REMOTE_ACTIVE_INPUT_FPS",
+    type: "number",
+    min: 1,
+    max: 60,
+    live: true,
+    default: ({ fps, minFps }) => Math.max(minFps, Math.min(fps, Math.round(fps))),
+  },
+  {
+    key: "typingFps",
+    env: "REMOTE_TYPING_FPS",
+    type: "number",
+    min: 1,
+    max: 60,
+    live: true,
+    default: ({ fps, minFps, activeInputFps }) =>
+      Math.max(minFps, Math.min(activeInputFps, Math.round(fps * 0.9))),
+  },
+  {
+    key: "inputWindowMs",
+    env: "REMOTE_INPUT_WINDOW_MS",
+    type: "integer",
+    min: 0,
+    max: 60_000,
+    live: true,
+    default: 1200,
+  },
+  {
+    key: "typingWindowMs",
+    env: "REMOTE_TYPING_WINDOW_MS",
+    type: "integer",
+    min: 0,
+    max: 60_000,
+    live: true,
+    default: 2200,
+  },
+  { key: "slowCaptureMs", env: "REMOTE_SLOW_CAPTURE_MS", type: "integer", min: 50, max: 60_000, default: 450 },
+  { key: "configWatch", env: "REMOTE_CONFIG_WATCH", type: "boolean", default: true },
+  { key: "debug", env: "REMOTE_DEBUG", type: "boolean", default: false },
+  {
+    key: "logLevel",
+    env: "REMOTE_LOG_LEVEL",
+    type: "enum",
+    values: LOG_LEVELS,
+    default: ({ debug }) => (debug ? "debug" : "info"),
+  },
+  { key: "logFormat", env: "REMOTE_LOG_FORMAT", type: "enum", values: LOG_FORMATS, default: "text" },
+  { key: "logFile", env: "REMOTE_LOG_FILE", type: "enum", values: ["auto", "1", "0"], default: "auto" },
+  { key: "logDir", env: "REMOTE_LOG_DIR", type: "path", default: "" },
+  { key: "logRotate", env: "REMOTE_LOG_ROTATE", type: "enum", values: LOG_ROTATIONS, default: "size" },
+  {
+    key: "logMaxBytes",
+    env: "REMOTE_LOG_MAX_BYTES",
+    type: "integer",
+    min: 64 * 1024,
+    default: 10 * 1024 * 1024,
+  },
+  { key: "logMaxFiles", env: "REMOTE_LOG_MAX_FILES", type: "integer", min: 1, max: 1000, default: 5 },
+  {
+    key: "frameEncoding",
+    env: "REMOTE_FRAME_ENCODING",
+    type: "enum",
+    values: ["auto", "full"],
+    default: "full",
+  },
+  { key: "tileSize", env: "REMOTE_TILE_SIZE", type: "integer", min: 8, max: 1024, default: 64 },
+  { key: "tileQuality", env: "REMOTE_TILE_QUALITY", type: "integer", min: 1, max: 100, default: 70 },
+  {
+    key: "keyframeIntervalMs",
+    env: "REMOTE_KEYFRAME_INTERVAL_MS",
+    type: "integer",
+    min: 1000,
+    default: 10_000,
+  },
+  {
+    key: "maxFrameBytes",
+    env: "REMOTE_MAX_FRAME_BYTES",
+    type: "integer",
+    min: 1024,
+    max: MAX_FRAME_BYTES,
+    default: MAX_FRAME_BYTES,
+  },
+  {
+    key: "minFrameBytes",
+    env: "REMOTE_MIN_FRAME_BYTES",
+    type: "integer",
+    min: 1024,
+    max: ({ maxFrameBytes }) => maxFrameBytes,
+    default: ({ maxFrameBytes }) => Math.min(maxFrameBytes, 48_000),
+  },
+  { key: "frameAckWindow", env: "REMOTE_FRAME_ACK_WINDOW", type: "integer", min: 1, max: 64, default: 3 },
+  {
+    key: "frameAckTimeoutMs",
+    env: "REMOTE_FRAME_ACK_TIMEOUT_MS",
+    type: "integer",
+    min: 100,
+    default: 3000,
+  },
+  { key: "clipboard", env: "REMOTE_CLIPBOARD", type: "boolean", default: true },
+  {
+    key: "clipboardMaxBytes",
+    env: "REMOTE_CLIPBOARD_MAX_BYTES",
+    type: "integer",
+    min: 1,
+    default: 64 * 1024,
+  },
+  { key: "fileTransfer", env: "REMOTE_FILE_TRANSFER", type: "boolean", default: false },
+  {
+    key: "fileInboxDir",
+    env: "REMOTE_FILE_INBOX_DIR",
+    type: "path",
+    default: () => path.join(os.homedir(), "RemoteAgentInbox"),
+  },
+  {
+    key: "fileAllowedRoots",
+    env: "REMOTE_FILE_ALLOWED_ROOTS",
+    type: "list",
+    separator: path.delimiter,
+    default: [],
+  },
+  {
+    key: "fileMaxBytes",
+    env: "REMOTE_FILE_MAX_BYTES",
+    type: "integer",
+    min: 1,
+    default: 100 * 1024 * 1024,
+  },
+  {
+    key: "fileChunkBytes",
+    env: "REMOTE_FILE_CHUNK_BYTES",
+    type: "integer",
+    min: 1024,
+    max: 16 * 1024 * 1024,
+    default: 256 * 1024,
+  },
+  {
+    key: "filePartialMaxAgeHours",
+    env: "REMOTE_FILE_PARTIAL_MAX_AGE_HOURS",
+    type: "number",
+    min: 0,
+    default: 24,
+  },
+  {
+    key: "filePartialMaxTotalBytes",
+    env: "REMOTE_FILE_PARTIAL_MAX_TOTAL_BYTES",
+    type: "integer",
+    min: 0,
+    default: 1024 * 1024 * 1024,
+  },
+  { key: "controlApi", env: "REMOTE_CONTROL_API", type: "boolean", default: false },
+  { key: "controlApiPort", env: "REMOTE_CONTROL_API_PORT", type: "integer", min: 0, max: 65535, default: 47800 },
+  {
+    key: "controlApiSecret",
+    env: "REMOTE_CONTROL_API_SECRET",
+    type: "string",
+    maxLength: 256,
+    secret: true,
+    default: "",
+  },
+  { key: "metrics", env: "REMOTE_METRICS", type: "boolean", default: false },
+  { key: "metricsPort", env: "REMOTE_METRICS_PORT", type: "integer", min: 0, max: 65535, default: 9464 },
+  {
+    key: "metricsPushIntervalMs",
+    env: "REMOTE_METRICS_PUSH_INTERVAL_MS",
+    type: "integer",
+    min: 0,
+    default: 0,
+  },
+  { key: "recording", env: "REMOTE_RECORDING", type: "boolean", default: false },
+  {
+    key: "recordingDir",
+    env: "REMOTE_RECORDING_DIR",
+    type: "path",
+    default: () => path.join(os.homedir(), "RemoteAgentRecordings"),
+  },
+  {
+    key: "recordingMaxSessionBytes",
+    env: "REMOTE_RECORDING_MAX_SESSION_BYTES",
+    type: "integer",
+    min: 0,
+    default: 1024 * 1024 * 1024,
+  },
+  {
+    key: "recordingRetentionDays",
+    env: "REMOTE_RECORDING_RETENTION_DAYS",
+    type: "number",
+    min: 0,
+    default: 30,
+  },
+  {
+    key: "recordingMaxTotalBytes",
+    env: "REMOTE_RECORDING_MAX_TOTAL_BYTES",
+    type: "integer",
+    min: 0,
+    default: 10 * 1024 * 1024 * 1024,
+  },
+  {
+    key: "defaultPermission",
+    env: "REMOTE_DEFAULT_PERMISSION",
+    type: "enum",
+    values: PERMISSION_LEVELS,
+    default: "full-control",
+  },
+  { key: "maxSessions", env: "REMOTE_MAX_SESSIONS", type: "integer", min: 1, max: 32, default: 4 },
+  {
+    key: "resumeGraceMs",
+    env: "REMOTE_RESUME_GRACE_MS",
+    type: "integer",
+    min: 0,
+    max: 600_000,
+    default: 30_000,
+  },
+  { key: "inputRate", env: "REMOTE_INPUT_RATE", type: "number", min: 1, default: 200 },
+  {
+    key: "inputBurst",
+    env: "REMOTE_INPUT_BURST",
+    type: "number",
+    min: 1,
+    default: ({ inputRate }) => inputRate * 2,
+  },
+  {
+    key: "inputBackend",
+    env: "REMOTE_INPUT_BACKEND",
+    type: "enum",
+    values: ["auto", "windows", "x11", "none"],
+    default: "auto",
+  },
+  {
+    key: "consentPolicy",
+    env: "REMOTE_CONSENT_POLICY",
+    type: "enum",
+    values: CONSENT_POLICIES,
+    default: "auto",
+  },
+  { key: "consentAllowlist", env: "REMOTE_CONSENT_ALLOWLIST", type: "list", separator: ",", default: [] },
+  {
+    key: "consentTimeoutMs",
+    env: "REMOTE_CONSENT_TIMEOUT_MS",
+    type: "integer",
+    min: 1000,
+    default: 30_000,
+  },
+  {
+    key: "consentPrompt",
+    env: "REMOTE_CONSENT_PROMPT",
+    type: "enum",
+    values: ["auto", "dialog", "headless"],
+    default: "auto",
+  },
+  {
+    key: "consentHeadlessResponse",
+    env: "REMOTE_CONSENT_HEADLESS_RESPONSE",
+    type: "enum",
+    values: ["reject", "accept", "timeout"],
+    default: "reject",
+  },
+  {
+    key: "consentHeadlessDelayMs",
+    env: "REMOTE_CONSENT_HEADLESS_DELAY_MS",
+    type: "integer",
+    min: 0,
+    default: 0,
+  },
+  { key: "e2e", env: "REMOTE_E2E", type: "enum", values: E2E_MODES, default: "optional" },
+  {
+    key: "e2eVerify",
+    env: "REMOTE_E2E_VERIFY",
+    type: "enum",
+    values: E2E_VERIFY_MODES,
+    default: "pairing-code",
+  },
+  { key: "e2eControllerKeys", env: "REMOTE_E2E_CONTROLLER_KEYS", type: "list", separator: ",", default: [] },
+  {
+    key: "e2eHandshakeTimeoutMs",
+    env: "REMOTE_E2E_HANDSHAKE_TIMEOUT_MS",
+    type: "integer",
+    min: 1000,
+    default: 120_000,
+  },
+];
+
+module.exports = {
+  CONFIG_SCHEMA,
+  MAX_FRAME_BASE64_LENGTH,
+  MAX_FRAME_BYTES,
+};
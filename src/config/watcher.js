@@ -0,0 +1,41 @@
+const fs = require("fs");
+
+// Polls `paths` for modification; `fs.watch` misses editors that save by replacing
+// the file. Bursts of writes are coalesced into one `onChange` call.
+const createConfigFileWatcher = ({ paths, onChange, intervalMs = 2000, debounceMs = 300 }) => {
+  const watchedPaths = [...new Set(paths.filter((filePath) => !!filePath))];
+  let debounceTimer = null;
+
+  const handleStat = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      onChange();
+    }, debounceMs);
+  };
+
+  const start = () => {
+    for (const filePath of watchedPaths) {
+      fs.watchFile(filePath, { interval: intervalMs, persistent: false }, handleStat);
+    }
+    return watchedPaths;
+  };
+
+  const stop = () => {
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = null;
+    for (const filePath of watchedPaths) {
+      fs.unwatchFile(filePath, handleStat);
+    }
+  };
+
+  return {
+    start,
+    stop,
+  };
+};
+
+module.exports = {
+  createConfigFileWatcher,
+};
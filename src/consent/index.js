@@ -0,0 +1,74 @@
+const { createDialogPrompt, createHeadlessPrompt } = require("./prompts");
+
+const CONSENT_POLICIES = ["auto", "allowlist", "prompt"];
+
+const normalizeControllerId = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const resolvePrompt = ({ promptMode, headlessResponse, headlessDelayMs }) => {
+  if (promptMode !== "headless") {
+    const dialogPrompt = createDialogPrompt();
+    if (dialogPrompt) return { name: "dialog", ask: dialogPrompt };
+    if (promptMode === "dialog") return null;
+  }
+  return {
+    name: "headless",
+    ask: createHeadlessPrompt({ response: headlessResponse, delayMs: headlessDelayMs }),
+  };
+};
+
+// Decides whether a controller may start (or widen) a session. `evaluate` resolves to
+// `{ approved, reason }`; reason codes are sent back to the server on rejection.
+const createConsentPolicy = ({
+  policy = "auto",
+  allowlist = [],
+  timeoutMs = 30_000,
+  promptMode = "auto",
+  headlessResponse = "reject",
+  headlessDelayMs = 0,
+} = {}) => {
+  const normalizedPolicy = CONSENT_POLICIES.includes(policy) ? policy : "prompt";
+  const allowedControllers = new Set(allowlist.map(normalizeControllerId).filter(Boolean));
+  const prompt =
+    normalizedPolicy === "prompt"
+      ? resolvePrompt({ promptMode, headlessResponse, headlessDelayMs })
+      : null;
+
+  const evaluate = async ({ controllerId = "", controllerName = "", purpose = "", signal }) => {
+    if (normalizedPolicy === "auto") {
+      return { approved: true, reason: "auto-accepted" };
+    }
+
+    if (normalizedPolicy === "allowlist") {
+      return allowedControllers.has(normalizeControllerId(controllerId))
+        ? { approved: true, reason: "allowlisted" }
+        : { approved: false, reason: "not-allowlisted" };
+    }
+
+    if (!prompt) {
+      return { approved: false, reason: "prompt-unavailable" };
+    }
+
+    const who = String(controllerName || controllerId || "").trim() || "A remote controller";
+    const message = `${who} wants to ${purpose || "view this screen"}. Allow?`;
+    const decision = await prompt.ask(message, timeoutMs, signal);
+    if (decision === "accept") return { approved: true, reason: "user-accepted" };
+    if (decision === "timeout") return { approved: false, reason: "prompt-timeout" };
+    if (decision === "cancelled") return { approved: false, reason: "cancelled" };
+    if (decision === "unavailable") return { approved: false, reason: "prompt-unavailable" };
+    return { approved: false, reason: "user-declined" };
+  };
+
+  return {
+    evaluate,
+    policy: normalizedPolicy,
+    promptName: prompt?.name || "",
+  };
+};
+
+module.exports = {
+  CONSENT_POLICIES,
+  createConsentPolicy,
+};
@@ -0,0 +1,147 @@
+const { spawn, spawnSync } = require("child_process");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+const DIALOG_TITLE = "Remote session request";
+
+// Windows: WScript.Shell Popup has a built-in timeout (6 = Yes, 7 = No, -1 = timed out).
+// The message and title carry server- and link-supplied text, so they reach the script
+// as environment variables and are never part of the command line PowerShell parses.
+const buildWindowsDialog = (message, timeoutSeconds, title = DIALOG_TITLE) => {
+  const script = [
+    "$shell = New-Object -ComObject WScript.Shell",
+    `$answer = $shell.Popup($env:REMOTE_DIALOG_MESSAGE, ${Math.floor(
+      Number(timeoutSeconds) || 0
+    )}, $env:REMOTE_DIALOG_TITLE, 0x4 + 0x20 + 0x1000)`,
+    "if ($answer -eq 6) { exit 0 }",
+    "if ($answer -eq -1) { exit 5 }",
+    "exit 1",
+  ].join("; ");
+  return {
+    command: "powershell",
+    args: ["-NoProfile", "-ExecutionPolicy", "Bypass", "-Command", script],
+    env: { REMOTE_DIALOG_MESSAGE: String(message), REMOTE_DIALOG_TITLE: String(title) },
+  };
+};
+
+// zenity renders --text as Pango markup.
+const escapeMarkup = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Linux: zenity exits 0 = Yes, 1 = No, 5 = timed out.
+const buildZenityDialog = (message, timeoutSeconds, title = DIALOG_TITLE) => ({
+  command: "zenity",
+  args: [
+    "--question",
+    `--title=${title}`,
+    `--text=${escapeMarkup(message)}`,
+    `--timeout=${timeoutSeconds}`,
+    "--ok-label=Allow",
+    "--cancel-label=Deny",
+  ],
+});
+
+const runDialog = ({ command, args, env }, timeoutMs, signal) =>
+  new Promise((resolve) => {
+    let settled = false;
+    const finish = (decision) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutTimer);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(decision);
+    };
+
+    const child = spawn(command, args, {
+      stdio: "ignore",
+      windowsHide: false,
+      env: { ...process.env, ...env },
+    });
+    const onAbort = () => {
+      child.kill();
+      finish("cancelled");
+    };
+    // The dialogs time out on their own; this only guards against a hung helper.
+    const timeoutTimer = setTimeout(() => {
+      child.kill();
+      finish("timeout");
+    }, timeoutMs + 5000);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    child.on("error", () => finish("unavailable"));
+    child.on("exit", (code) => {
+      if (code === 0) finish("accept");
+      else if (code === 5) finish("timeout");
+      else finish("reject");
+    });
+  });
+
+// Same exit codes as `runDialog`, but blocks the process until the dialog closes.
+const runDialogSync = ({ command, args, env }, timeoutMs) => {
+  const result = spawnSync(command, args, {
+    stdio: "ignore",
+    windowsHide: false,
+    env: { ...process.env, ...env },
+    timeout: timeoutMs + 5000,
+  });
+  if (result.error?.code === "ETIMEDOUT") return "timeout";
+  if (result.error) return "unavailable";
+  if (result.status === 0) return "accept";
+  if (result.status === 5) return "timeout";
+  return "reject";
+};
+
+const selectDialogBuilder = (platform) => {
+  if (platform === "win32") return buildWindowsDialog;
+  if (platform === "linux" && String(process.env.DISPLAY || "").trim()) {
+    return buildZenityDialog;
+  }
+  return null;
+};
+
+const createDialogPrompt = (platform = process.platform) => {
+  const buildDialog = selectDialogBuilder(platform);
+  if (!buildDialog) return null;
+  return (message, timeoutMs, signal) =>
+    runDialog(buildDialog(message, Math.ceil(timeoutMs / 1000)), timeoutMs, signal);
+};
+
+// For questions that must be answered before the agent starts anything else.
+const createBlockingDialogPrompt = (platform = process.platform) => {
+  const buildDialog = selectDialogBuilder(platform);
+  if (!buildDialog) return null;
+  return (message, timeoutMs, title) =>
+    runDialogSync(buildDialog(message, Math.ceil(timeoutMs / 1000), title), timeoutMs);
+};
+
+// Stand-in for machines without a desktop session (CI, kiosks under test): answers
+// with a fixed decision after an optional delay, honouring the same timeout.
+const createHeadlessPrompt = ({ response = "reject", delayMs = 0 } = {}) => {
+  const normalizedResponse = ["accept", "reject", "timeout"].includes(response)
+    ? response
+    : "reject";
+
+  return (message, timeoutMs, signal) =>
+    new Promise((resolve) => {
+      log.info(`consent prompt (headless, answering '${normalizedResponse}'): ${message}`);
+      const waitMs = normalizedResponse === "timeout" ? timeoutMs : Math.min(delayMs, timeoutMs);
+      const decision = delayMs > timeoutMs ? "timeout" : normalizedResponse;
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(decision);
+      }, waitMs);
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve("cancelled");
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+};
+
+module.exports = {
+  buildWindowsDialog,
+  createDialogPrompt,
+  createBlockingDialogPrompt,
+  createHeadlessPrompt,
+};
@@ -0,0 +1,148 @@
+const http = require("http");
+const { timingSafeEqual } = require("crypto");
+
+const CONTROL_API_HOST = "127.0.0.1";
+const LOCAL_HOST_NAMES = new Set(["127.0.0.1", "localhost", "[::1]"]);
+
+const sendJson = (res, statusCode, body) => {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control": "no-store",
+  });
+  res.end(payload);
+};
+
+const readBearerSecret = (req) => {
+  const authorization = String(req.headers.authorization || "");
+  if (authorization.toLowerCase().startsWith("bearer ")) {
+    return authorization.slice("bearer ".length).trim();
+  }
+  return String(req.headers["x-agent-secret"] || "").trim();
+};
+
+const secretsMatch = (expected, provided) => {
+  const expectedBuffer = Buffer.from(expected, "utf8");
+  const providedBuffer = Buffer.from(provided, "utf8");
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+// `new URL` throws on request targets such as `http://[`; those are answered with 400.
+const readPathname = (req) => {
+  try {
+    return new URL(req.url || "/", "http://localhost").pathname;
+  } catch {
+    return null;
+  }
+};
+
+// A Host header naming anything but loopback means the request came through DNS
+// rebinding or a proxy, not from a local client.
+const isLocalHostHeader = (req) => {
+  const hostHeader = String(req.headers.host || "").toLowerCase();
+  const hostName = hostHeader.startsWith("[")
+    ? hostHeader.slice(0, hostHeader.indexOf("]") + 1)
+    : hostHeader.split(":")[0];
+  return LOCAL_HOST_NAMES.has(hostName);
+};
+
+// Loopback-only HTTP API for local tooling. `/health` is open; every other route needs
+// the shared secret as `Authorization: Bearer <secret>` (or `X-Agent-Secret`).
+// `actions` handlers return a JSON body or throw an error with a `statusCode`.
+const createControlApiServer = ({ port, secret, getStatus, actions = {} }) => {
+  const routes = {
+    "GET /status": () => getStatus(),
+    "POST /session/end": actions.endSession,
+    "POST /streaming/pause": actions.pauseStreaming,
+    "POST /streaming/resume": actions.resumeStreaming,
+    "POST /reconnect": actions.reconnect,
+  };
+
+  const handleRequest = async (req, res) => {
+    if (!isLocalHostHeader(req)) {
+      sendJson(res, 403, { error: "forbidden" });
+      return;
+    }
+
+    const pathname = readPathname(req);
+    if (pathname === null) {
+      sendJson(res, 400, { error: "bad-request" });
+      return;
+    }
+    const routePath = pathname.replace(/\/+$/, "") || "/";
+    if (req.method === "GET" && routePath === "/health") {
+      sendJson(res, 200, { ok: true, uptimeSec: Math.round(process.uptime()) });
+      return;
+    }
+
+    if (!secretsMatch(secret, readBearerSecret(req))) {
+      sendJson(res, 401, { error: "unauthorized" });
+      return;
+    }
+
+    const handler = routes[`${req.method} ${routePath}`];
+    if (!handler) {
+      const knownPath = Object.keys(routes).some((route) => route.endsWith(` ${routePath}`));
+      if (knownPath) sendJson(res, 405, { error: "method-not-allowed" });
+      else sendJson(res, 404, { error: "not-found" });
+      return;
+    }
+
+    try {
+      sendJson(res, 200, (await handler()) || { ok: true });
+    } catch (err) {
+      sendJson(res, err.statusCode || 500, { error: err.message || "internal-error" });
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    // Requests carry no body; drain anything sent so the socket can be reused.
+    req.resume();
+    handleRequest(req, res).catch(() => {
+      if (!res.headersSent) sendJson(res, 500, { error: "internal-error" });
+      else res.destroy();
+    });
+  });
+
+  const start = () =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, CONTROL_API_HOST, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      if (!server.listening) {
+        resolve();
+        return;
+      }
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+
+  return {
+    start,
+    stop,
+  };
+};
+
+// Lets action handlers reject with a specific HTTP status (e.g. 409 for "no session").
+const createControlApiError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+module.exports = {
+  CONTROL_API_HOST,
+  createControlApiServer,
+  createControlApiError,
+  isLocalHostHeader,
+};
@@ -0,0 +1,46 @@
+const { requestFromBridge } = require("../input/bridgeRequest");
+
+// Cursor sampling through the running input bridge (windowsInputBridge.ps1):
+// GetCursorInfo for the position and handle, the cursor drawn into a PNG for the shape.
+const createBridgeCursorBackend = ({ getInputBridge }) => {
+  const sample = async () => {
+    const reply = await requestFromBridge(
+      getInputBridge(),
+      { type: "cursor-sample" },
+      "cursor-state"
+    );
+    if (!reply?.found) return null;
+    return {
+      x: Number(reply.x),
+      y: Number(reply.y),
+      visible: reply.visible === true,
+      handle: String(reply.handle || ""),
+    };
+  };
+
+  const getShape = async (handle) => {
+    const reply = await requestFromBridge(
+      getInputBridge(),
+      { type: "cursor-shape", handle },
+      "cursor-shape-data"
+    );
+    if (!reply?.found || !reply.image) return null;
+    return {
+      image: Buffer.from(String(reply.image), "base64"),
+      width: Number(reply.width) || 0,
+      height: Number(reply.height) || 0,
+      hotspotX: Number(reply.hotspotX) || 0,
+      hotspotY: Number(reply.hotspotY) || 0,
+    };
+  };
+
+  return {
+    name: "windows-bridge",
+    sample,
+    getShape,
+  };
+};
+
+module.exports = {
+  createBridgeCursorBackend,
+};
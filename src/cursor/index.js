@@ -0,0 +1,105 @@
+const { createHash } = require("crypto");
+const { createBridgeCursorBackend } = require("./bridgeBackend");
+const { createX11CursorBackend } = require("./x11Backend");
+const { createLogger } = require("../logging");
+
+const log = createLogger("cursor");
+
+const MAX_CACHED_SHAPES = 64;
+const POSITION_DECIMALS = 4;
+
+// Every cursor backend exposes the same surface:
+//   name               backend identifier for logs/status
+//   sample()           resolves `{ x, y, visible, handle }` in desktop pixels, or null;
+//                      `handle` names the current shape ("" when unknown)
+//   getShape(handle)   resolves `{ image (PNG), width, height, hotspotX, hotspotY }` or null
+//   maxRateHz          optional; the fastest the backend can sample without hogging the host
+const createCursorBackend = ({ getInputBridge }, platform = process.platform) => {
+  if (platform === "win32") return createBridgeCursorBackend({ getInputBridge });
+  if (platform === "linux") return createX11CursorBackend();
+  return null;
+};
+
+const roundPosition = (value) => Number(value.toFixed(POSITION_DECIMALS));
+
+// Samples the pointer `rateHz` times a second while started and calls `onCursor` with
+// `{ x, y, visible, shape }` whenever it changes. `x`/`y` are normalized to `getBounds()`
+// like remote input; `shape` is the hash of the shape image, whose data `getShape(hash)`
+// returns, or null when the backend cannot read shapes.
+const createCursorStream = ({ backend, rateHz: requestedRateHz, getBounds, onCursor }) => {
+  const rateHz = Math.min(requestedRateHz, backend.maxRateHz || requestedRateHz);
+  const hashByHandle = new Map();
+  const shapesByHash = new Map();
+  let sampleTimer = null;
+  let sampling = false;
+  let lastReported = "";
+
+  const resolveShape = async (handle) => {
+    if (!handle) return null;
+    if (hashByHandle.has(handle)) return hashByHandle.get(handle);
+    const shape = await backend.getShape(handle);
+    if (hashByHandle.size >= MAX_CACHED_SHAPES) {
+      hashByHandle.clear();
+      shapesByHash.clear();
+    }
+    const hash = shape
+      ? createHash("sha256").update(shape.image).digest("hex").slice(0, 16)
+      : null;
+    if (hash) shapesByHash.set(hash, { hash, ...shape });
+    hashByHandle.set(handle, hash);
+    return hash;
+  };
+
+  const sample = async () => {
+    if (sampling) return;
+    sampling = true;
+    try {
+      const bounds = getBounds();
+      const position = bounds ? await backend.sample() : null;
+      if (!position) return;
+      const x = (position.x - bounds.left) / bounds.width;
+      const y = (position.y - bounds.top) / bounds.height;
+      const cursor = {
+        x: roundPosition(Math.min(1, Math.max(0, x))),
+        y: roundPosition(Math.min(1, Math.max(0, y))),
+        visible: position.visible && x >= 0 && x <= 1 && y >= 0 && y <= 1,
+        shape: await resolveShape(position.handle),
+      };
+      const reported = `${cursor.x},${cursor.y},${cursor.visible},${cursor.shape}`;
+      if (!sampleTimer || reported === lastReported) return;
+      lastReported = reported;
+      onCursor(cursor);
+    } catch (err) {
+      log.debug(`cursor sample failed: ${err?.message || err}`);
+    } finally {
+      sampling = false;
+    }
+  };
+
+  // Safe to call while running: the next sample is reported even if nothing moved, so a
+  // viewer that just joined gets the cursor straight away.
+  const start = () => {
+    lastReported = "";
+    if (sampleTimer) return;
+    sampleTimer = setInterval(sample, Math.max(1, Math.round(1000 / rateHz)));
+  };
+
+  const stop = () => {
+    if (sampleTimer) clearInterval(sampleTimer);
+    sampleTimer = null;
+  };
+
+  return {
+    name: backend.name,
+    rateHz,
+    start,
+    stop,
+    isRunning: () => !!sampleTimer,
+    getShape: (hash) => shapesByHash.get(hash) || null,
+  };
+};
+
+module.exports = {
+  createCursorBackend,
+  createCursorStream,
+};
@@ -0,0 +1,48 @@
+const { execFile } = require("child_process");
+
+const XDOTOOL_TIMEOUT_MS = 1000;
+// Every sample starts an xdotool process, so the stream is held to this rate on X11.
+const MAX_SAMPLE_RATE_HZ = 10;
+
+// Position only: reading the cursor image needs XFixes, which xdotool does not expose,
+// so controllers draw their default pointer.
+const createX11CursorBackend = ({ xDisplay = process.env.DISPLAY } = {}) => {
+  const env = { ...process.env, DISPLAY: String(xDisplay || "").trim() };
+
+  const sample = () =>
+    new Promise((resolve) => {
+      execFile(
+        "xdotool",
+        ["getmouselocation", "--shell"],
+        { env, timeout: XDOTOOL_TIMEOUT_MS },
+        (err, stdout) => {
+          if (err) {
+            resolve(null);
+            return;
+          }
+          const values = Object.fromEntries(
+            String(stdout || "")
+              .split("\n")
+              .map((line) => line.trim().split("="))
+              .filter((pair) => pair.length === 2)
+          );
+          const x = Number(values.X);
+          const y = Number(values.Y);
+          resolve(
+            Number.isFinite(x) && Number.isFinite(y) ? { x, y, visible: true, handle: "" } : null
+          );
+        }
+      );
+    });
+
+  return {
+    name: "x11",
+    maxRateHz: MAX_SAMPLE_RATE_HZ,
+    sample,
+    getShape: async () => null,
+  };
+};
+
+module.exports = {
+  createX11CursorBackend,
+};
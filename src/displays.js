@@ -0,0 +1,165 @@
+const jpeg = require("jpeg-js");
+
+const ALL_DISPLAYS_ID = "all";
+const STITCHED_FRAME_QUALITY = 75;
+
+const toFiniteNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const toDisplayBounds = (display) => {
+  if (!display) return null;
+  const left = toFiniteNumber(display.left);
+  const top = toFiniteNumber(display.top);
+  const width = toFiniteNumber(display.width);
+  const height = toFiniteNumber(display.height);
+
+  if (
+    !Number.isFinite(left) ||
+    !Number.isFinite(top) ||
+    !Number.isFinite(width) ||
+    !Number.isFinite(height) ||
+    width <= 0 ||
+    height <= 0
+  ) {
+    return null;
+  }
+
+  return { left, top, width, height };
+};
+
+// screenshot-desktop only reports `primary` on some platforms; the display at the
+// desktop origin is primary everywhere else.
+const normalizeDisplayList = (displays) => {
+  if (!Array.isArray(displays)) return [];
+
+  const normalizedDisplays = displays
+    .map((display) => ({
+      id: String(display?.id || "").trim(),
+      name: String(display?.name || "").trim(),
+      bounds: toDisplayBounds(display),
+      reportedPrimary: display?.primary === true,
+    }))
+    .filter((display) => !!display.id);
+
+  const hasReportedPrimary = normalizedDisplays.some((display) => display.reportedPrimary);
+  return normalizedDisplays.map(({ reportedPrimary, ...display }) => ({
+    ...display,
+    primary: hasReportedPrimary
+      ? reportedPrimary
+      : display.bounds?.left === 0 && display.bounds?.top === 0,
+  }));
+};
+
+const getVirtualDisplayBounds = (displays) => {
+  const bounded = displays.filter((display) => !!display.bounds);
+  if (bounded.length === 0) return null;
+
+  const left = Math.min(...bounded.map((display) => display.bounds.left));
+  const top = Math.min(...bounded.map((display) => display.bounds.top));
+  const right = Math.max(
+    ...bounded.map((display) => display.bounds.left + display.bounds.width)
+  );
+  const bottom = Math.max(
+    ...bounded.map((display) => display.bounds.top + display.bounds.height)
+  );
+  return { left, top, width: right - left, height: bottom - top };
+};
+
+const decodeJpeg = (buffer) => {
+  const decoded = jpeg.decode(buffer, { useTArray: false, formatAsRGBA: true });
+  return {
+    width: decoded.width,
+    height: decoded.height,
+    data: Buffer.isBuffer(decoded.data) ? decoded.data : Buffer.from(decoded.data),
+  };
+};
+
+// Paints each display capture at its desktop position on one canvas. Captures whose
+// pixel size differs from their bounds (DPI scaling) are resampled to the bounds.
+const stitchDisplayFrames = (captures, virtualBounds, quality = STITCHED_FRAME_QUALITY) => {
+  const canvasWidth = Math.round(virtualBounds.width);
+  const canvasHeight = Math.round(virtualBounds.height);
+  const canvas = Buffer.alloc(canvasWidth * canvasHeight * 4);
+
+  for (const { bounds, image } of captures) {
+    if (!bounds || !image) continue;
+    const decoded = decodeJpeg(image);
+    const offsetX = Math.round(bounds.left - virtualBounds.left);
+    const offsetY = Math.round(bounds.top - virtualBounds.top);
+    const targetWidth = Math.min(Math.round(bounds.width), canvasWidth - offsetX);
+    const targetHeight = Math.min(Math.round(bounds.height), canvasHeight - offsetY);
+    const xRatio = decoded.width / Math.round(bounds.width);
+    const yRatio = decoded.height / Math.round(bounds.height);
+
+    for (let y = 0; y < targetHeight; y += 1) {
+      const sourceY = Math.min(decoded.height - 1, Math.floor(y * yRatio));
+      for (let x = 0; x < targetWidth; x += 1) {
+        const sourceX = Math.min(decoded.width - 1, Math.floor(x * xRatio));
+        const sourceOffset = (sourceY * decoded.width + sourceX) * 4;
+        const targetOffset = ((offsetY + y) * canvasWidth + offsetX + x) * 4;
+        decoded.data.copy(canvas, targetOffset, sourceOffset, sourceOffset + 4);
+      }
+    }
+  }
+
+  return jpeg.encode({ data: canvas, width: canvasWidth, height: canvasHeight }, quality).data;
+};
+
+const intersectBounds = (a, b) => {
+  const left = Math.max(a.left, b.left);
+  const top = Math.max(a.top, b.top);
+  const right = Math.min(a.left + a.width, b.left + b.width);
+  const bottom = Math.min(a.top + a.height, b.top + b.height);
+  if (right <= left || bottom <= top) return null;
+  return { left, top, width: right - left, height: bottom - top };
+};
+
+// Cuts the desktop rectangle `rect` out of a capture covering `frameBounds`, scaling for
+// captures whose pixel size differs from their bounds (DPI scaling). Without
+// `frameBounds`, `rect` is in image pixels. Returns `{ image, bounds }` with the part of
+// `rect` that was on the capture, or null when none of it was.
+const cropDisplayFrame = (image, frameBounds, rect, quality = STITCHED_FRAME_QUALITY) => {
+  const decoded = decodeJpeg(image);
+  const sourceBounds = frameBounds || {
+    left: 0,
+    top: 0,
+    width: decoded.width,
+    height: decoded.height,
+  };
+  const bounds = intersectBounds(sourceBounds, rect);
+  if (!bounds) return null;
+
+  const xRatio = decoded.width / sourceBounds.width;
+  const yRatio = decoded.height / sourceBounds.height;
+  const sourceLeft = Math.floor((bounds.left - sourceBounds.left) * xRatio);
+  const sourceTop = Math.floor((bounds.top - sourceBounds.top) * yRatio);
+  const width = Math.max(
+    1,
+    Math.min(decoded.width - sourceLeft, Math.round(bounds.width * xRatio))
+  );
+  const height = Math.max(
+    1,
+    Math.min(decoded.height - sourceTop, Math.round(bounds.height * yRatio))
+  );
+  const cropped = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    const sourceOffset = ((sourceTop + y) * decoded.width + sourceLeft) * 4;
+    decoded.data.copy(cropped, y * width * 4, sourceOffset, sourceOffset + width * 4);
+  }
+
+  return {
+    image: jpeg.encode({ data: cropped, width, height }, quality).data,
+    bounds: frameBounds ? bounds : null,
+  };
+};
+
+module.exports = {
+  ALL_DISPLAYS_ID,
+  toDisplayBounds,
+  normalizeDisplayList,
+  getVirtualDisplayBounds,
+  stitchDisplayFrames,
+  cropDisplayFrame,
+};
@@ -0,0 +1,120 @@
+const { createCipheriv, createDecipheriv } = require("crypto");
+
+const E2E_CIPHER = "aes-256-gcm";
+const TAG_BYTES = 16;
+
+const createE2eError = (reason, message = "") => {
+  const err = new Error(message || reason);
+  err.reason = reason;
+  return err;
+};
+
+// Payloads are JSON with every Buffer moved out into a binary tail:
+// u32BE headerLength | header JSON `{ p: payload, b: [bufferLengths] }` | buffers.
+// A Buffer's place in `p` holds `{ "$bin": index }`.
+const packPayload = (payload) => {
+  const buffers = [];
+  // `this[key]` is the value before Buffer#toJSON turned it into a byte array.
+  const payloadJson = JSON.stringify(payload, function replacer(key, value) {
+    if (!Buffer.isBuffer(this[key])) return value;
+    buffers.push(this[key]);
+    return { $bin: buffers.length - 1 };
+  });
+  const lengths = JSON.stringify(buffers.map((buffer) => buffer.length));
+  const headerBuffer = Buffer.from(`{"p":${payloadJson},"b":${lengths}}`, "utf8");
+  const lengthBuffer = Buffer.alloc(4);
+  lengthBuffer.writeUInt32BE(headerBuffer.length, 0);
+  return Buffer.concat([lengthBuffer, headerBuffer, ...buffers]);
+};
+
+const unpackPayload = (buffer) => {
+  const headerLength = buffer.readUInt32BE(0);
+  const header = buffer.subarray(4, 4 + headerLength).toString("utf8");
+  const { p: payload, b: lengths } = JSON.parse(header);
+  const buffers = [];
+  let offset = 4 + headerLength;
+  for (const length of lengths) {
+    buffers.push(buffer.subarray(offset, offset + length));
+    offset += length;
+  }
+  const revive = (value) => {
+    if (Array.isArray(value)) return value.map(revive);
+    if (!value || typeof value !== "object") return value;
+    if (Number.isInteger(value.$bin)) return buffers[value.$bin];
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, revive(item)]));
+  };
+  return revive(payload);
+};
+
+// 96-bit GCM nonce: four zero bytes and the 64-bit message sequence number. Each
+// direction has its own key, so a (key, nonce) pair is never reused.
+const buildNonce = (seq) => {
+  const nonce = Buffer.alloc(12);
+  nonce.writeBigUInt64BE(BigInt(seq), 4);
+  return nonce;
+};
+
+// The session id, event name and sequence number are bound as associated data, so a
+// sealed message cannot be replayed into another session or event.
+const buildAad = (sessionId, eventName, seq) => Buffer.from(`${sessionId}\n${eventName}\n${seq}`);
+
+// AEAD channel for one session. `seal` returns `{ seq, box }`; `open` throws unless the
+// box authenticates and its sequence number is above every one accepted before.
+const createE2eChannel = ({ sessionId, sendKey, receiveKey }) => {
+  let sendSeq = 0;
+  let lastReceivedSeq = 0;
+
+  const seal = (eventName, payload) => {
+    sendSeq += 1;
+    const cipher = createCipheriv(E2E_CIPHER, sendKey, buildNonce(sendSeq));
+    cipher.setAAD(buildAad(sessionId, eventName, sendSeq));
+    const ciphertext = Buffer.concat([cipher.update(packPayload(payload)), cipher.final()]);
+    return { seq: sendSeq, box: Buffer.concat([ciphertext, cipher.getAuthTag()]) };
+  };
+
+  const open = (eventName, sealed) => {
+    const seq = Number(sealed?.seq);
+    if (!Number.isSafeInteger(seq) || seq < 1) {
+      throw createE2eError("e2e-invalid", "missing sequence number");
+    }
+    if (seq <= lastReceivedSeq) {
+      throw createE2eError("e2e-replay", `sequence ${seq} already seen`);
+    }
+    const box = Buffer.isBuffer(sealed.box)
+      ? sealed.box
+      : Buffer.from(String(sealed.box || ""), "base64");
+    if (box.length <= TAG_BYTES) throw createE2eError("e2e-invalid", "box too short");
+
+    let plaintext;
+    try {
+      const decipher = createDecipheriv(E2E_CIPHER, receiveKey, buildNonce(seq));
+      decipher.setAAD(buildAad(sessionId, eventName, seq));
+      decipher.setAuthTag(box.subarray(box.length - TAG_BYTES));
+      plaintext = Buffer.concat([
+        decipher.update(box.subarray(0, box.length - TAG_BYTES)),
+        decipher.final(),
+      ]);
+    } catch {
+      throw createE2eError("e2e-invalid", "message failed authentication");
+    }
+    lastReceivedSeq = seq;
+    try {
+      return unpackPayload(plaintext);
+    } catch {
+      throw createE2eError("e2e-invalid", "malformed payload");
+    }
+  };
+
+  return {
+    seal,
+    open,
+  };
+};
+
+module.exports = {
+  E2E_CIPHER,
+  createE2eError,
+  createE2eChannel,
+  packPayload,
+  unpackPayload,
+};
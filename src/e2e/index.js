@@ -0,0 +1,199 @@
+const path = require("path");
+const fs = require("fs");
+const {
+  createHash,
+  createHmac,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomBytes,
+  randomInt,
+  scrypt,
+  sign,
+  timingSafeEqual,
+  verify,
+} = require("crypto");
+const { createE2eError, createE2eChannel } = require("./channel");
+const { createLogger } = require("../logging");
+
+const log = createLogger("e2e");
+
+const E2E_PROTOCOL = "rdesk-e2e-v1";
+const E2E_MODES = ["off", "optional", "required"];
+const E2E_VERIFY_MODES = ["pairing-code", "pinned-key"];
+// Every guess at a pairing code costs one scrypt run (~32 MiB, tens of ms), so a relay
+// holding a controller's MAC cannot try all million codes before the handshake times out.
+const PAIRING_KDF_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Public keys travel as the base64url raw key, the JWK `x` member.
+const exportRawPublicKey = (keyObject) => keyObject.export({ format: "jwk" }).x;
+
+const importRawPublicKey = (value, curve) => {
+  const encoded = String(value || "").trim();
+  if (!/^[A-Za-z0-9_-]{43}$/.test(encoded)) return null;
+  try {
+    return createPublicKey({ key: { kty: "OKP", crv: curve, x: encoded }, format: "jwk" });
+  } catch {
+    return null;
+  }
+};
+
+const decodeNonce = (value) => {
+  const nonce = Buffer.from(String(value || ""), "base64url");
+  return nonce.length >= 16 && nonce.length <= 64 ? nonce : null;
+};
+
+const createIdentity = (privateKey) => ({
+  publicKey: exportRawPublicKey(createPublicKey(privateKey)),
+  sign: (data) => sign(null, data, privateKey).toString("base64url"),
+});
+
+// The host's long-term Ed25519 key, kept (owner-only) so controllers can pin it. Falls
+// back to a key for this run when the file cannot be written; an unreadable file is
+// left alone rather than replacing a key controllers may have pinned.
+const loadOrCreateIdentity = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      return {
+        ...createIdentity(createPrivateKey(fs.readFileSync(filePath, "utf8"))),
+        persisted: true,
+      };
+    } catch (err) {
+      log.warn(
+        `could not read e2e identity key ${filePath}: ${err.message}. Using a temporary key.`
+      );
+      return { ...createIdentity(generateKeyPairSync("ed25519").privateKey), persisted: false };
+    }
+  }
+
+  const { privateKey } = generateKeyPairSync("ed25519");
+  if (!filePath) return { ...createIdentity(privateKey), persisted: false };
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, privateKey.export({ format: "pem", type: "pkcs8" }), {
+      encoding: "utf8",
+      mode: 0o600,
+    });
+    return { ...createIdentity(privateKey), persisted: true };
+  } catch (err) {
+    log.warn(`could not save e2e identity key: ${err.message}. It changes after restart.`);
+    return { ...createIdentity(privateKey), persisted: false };
+  }
+};
+
+const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+
+const derivePairingKey = (pairingCode, transcript) =>
+  new Promise((resolve, reject) => {
+    scrypt(pairingCode, transcript, 32, PAIRING_KDF_OPTIONS, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+
+// What the controller sends as `mac` after its user types the code shown on the host.
+const computeConfirmMac = async ({ confirmKey, transcript, pairingCode }) =>
+  hmac(
+    confirmKey,
+    Buffer.concat([Buffer.from("confirm:"), await derivePairingKey(pairingCode, transcript)])
+  );
+
+// Host side of the key exchange for one session. `offer` is the controller's
+// `{ publicKey, nonce, identityKey? }` (X25519 / Ed25519, base64url). Throws an error
+// with a `reason` when the offer is unusable or the controller key is not trusted.
+const createE2eHandshake = ({
+  sessionId,
+  identity,
+  offer,
+  verifyMode = "pairing-code",
+  trustedControllerKeys = [],
+}) => {
+  const controllerKey = importRawPublicKey(offer?.publicKey, "X25519");
+  const controllerNonce = decodeNonce(offer?.nonce);
+  if (!controllerKey || !controllerNonce) {
+    throw createE2eError("e2e-invalid-offer", "offer needs an X25519 publicKey and a nonce");
+  }
+
+  const controllerIdentityKey = String(offer?.identityKey || "").trim();
+  let controllerVerifyKey = null;
+  if (verifyMode === "pinned-key") {
+    controllerVerifyKey = importRawPublicKey(controllerIdentityKey, "Ed25519");
+    if (!controllerVerifyKey || !trustedControllerKeys.includes(controllerIdentityKey)) {
+      throw createE2eError("e2e-untrusted-controller", "controller identity key is not pinned");
+    }
+  }
+
+  const ephemeral = generateKeyPairSync("x25519");
+  const hostPublicKey = exportRawPublicKey(ephemeral.publicKey);
+  const hostNonce = randomBytes(16).toString("base64url");
+  const transcript = createHash("sha256")
+    .update(
+      JSON.stringify([
+        E2E_PROTOCOL,
+        sessionId,
+        offer.publicKey,
+        offer.nonce,
+        controllerIdentityKey,
+        hostPublicKey,
+        hostNonce,
+        identity.publicKey,
+      ])
+    )
+    .digest();
+  let sharedSecret;
+  try {
+    sharedSecret = diffieHellman({ privateKey: ephemeral.privateKey, publicKey: controllerKey });
+  } catch {
+    // Low-order points yield no usable secret.
+    throw createE2eError("e2e-invalid-offer", "key agreement failed");
+  }
+  const keyMaterial = Buffer.from(hkdfSync("sha256", sharedSecret, transcript, E2E_PROTOCOL, 96));
+  const hostToControllerKey = keyMaterial.subarray(0, 32);
+  const controllerToHostKey = keyMaterial.subarray(32, 64);
+  const confirmKey = keyMaterial.subarray(64, 96);
+  // Random and only ever shown at the host: nothing on the wire reveals it, so a relay
+  // that completed the key exchange itself still cannot produce the MAC.
+  const pairingCode = String(randomInt(0, 1_000_000)).padStart(6, "0");
+
+  // Pairing code: the controller user types the code shown on the host and proves it
+  // with `mac`, bound to this transcript. Pinned key: the controller signs the transcript
+  // with its pinned key. Resolves true when the controller is verified.
+  const verifyConfirm = async ({ mac, signature } = {}) => {
+    if (verifyMode === "pinned-key") {
+      const signatureBuffer = Buffer.from(String(signature || ""), "base64url");
+      return verify(null, transcript, controllerVerifyKey, signatureBuffer);
+    }
+    const provided = Buffer.from(String(mac || ""), "base64url");
+    const expected = await computeConfirmMac({ confirmKey, transcript, pairingCode });
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  };
+
+  return {
+    pairingCode,
+    accept: {
+      protocol: E2E_PROTOCOL,
+      verify: verifyMode,
+      publicKey: hostPublicKey,
+      nonce: hostNonce,
+      identityKey: identity.publicKey,
+      signature: identity.sign(transcript),
+    },
+    verifyConfirm,
+    createChannel: () =>
+      createE2eChannel({
+        sessionId,
+        sendKey: hostToControllerKey,
+        receiveKey: controllerToHostKey,
+      }),
+  };
+};
+
+module.exports = {
+  E2E_PROTOCOL,
+  E2E_MODES,
+  E2E_VERIFY_MODES,
+  loadOrCreateIdentity,
+  computeConfirmMac,
+  createE2eHandshake,
+};
@@ -0,0 +1,564 @@
+const path = require("path");
+const fs = require("fs");
+const { createHash } = require("crypto");
+const { createLogger } = require("./logging");
+
+const log = createLogger();
+
+const DEFAULT_CHUNK_BYTES = 256 * 1024;
+const DOWNLOAD_WINDOW_CHUNKS = 4;
+const DEFAULT_MAX_CONCURRENT_UPLOADS = 4;
+const PARTIAL_DIR_NAME = ".partial";
+const HOUR_MS = 60 * 60 * 1000;
+
+const sanitizeTransferId = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/[^a-zA-Z0-9_-]/g, "")
+    .slice(0, 64);
+
+// Reduces a controller-supplied name to a single safe path segment.
+const sanitizeFileName = (value) => {
+  const baseName = String(value || "")
+    .replace(/\\/g, "/")
+    .split("/")
+    .pop()
+    .replace(/[\u0000-\u001f<>:"|?*]/g, "")
+    .replace(/^[.\s]+/, "")
+    .trim()
+    .slice(0, 200);
+  return baseName || "file";
+};
+
+const isPathInside = (parentPath, candidatePath) => {
+  const relativePath = path.relative(parentPath, candidatePath);
+  return !!relativePath && !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+};
+
+const sha256Hex = (buffer) => createHash("sha256").update(buffer).digest("hex");
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+const toChunkBuffer = (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (typeof data === "string") return Buffer.from(data, "base64");
+  return null;
+};
+
+const pathExists = async (candidatePath) => {
+  try {
+    await fs.promises.access(candidatePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Never overwrite an existing inbox file: "report.pdf" becomes "report (1).pdf".
+const resolveFreeInboxPath = async (inboxDir, fileName) => {
+  const extension = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - extension.length);
+  for (let attempt = 0; attempt < 1000; attempt += 1) {
+    const candidateName = attempt === 0 ? fileName : `${stem} (${attempt})${extension}`;
+    const candidatePath = path.join(inboxDir, candidateName);
+    if (!(await pathExists(candidatePath))) return candidatePath;
+  }
+  throw new Error("no free file name in inbox");
+};
+
+// Deletes partial uploads (`<id>.part` plus `<id>.json`) not touched for `maxAgeHours`,
+// then the least recently written ones until the rest fit in `maxTotalBytes`. Uploads in
+// `keepIds` are in progress and never removed. A limit of 0 disables that rule.
+const prunePartialUploads = async (
+  partialDir,
+  { maxAgeHours = 0, maxTotalBytes = 0, keepIds = new Set() }
+) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(partialDir);
+  } catch {
+    return [];
+  }
+
+  const partials = new Map();
+  for (const entry of entries) {
+    const extension = path.extname(entry);
+    if (extension !== ".part" && extension !== ".json") continue;
+    const transferId = path.basename(entry, extension);
+    if (keepIds.has(transferId)) continue;
+    const partial = partials.get(transferId) || { transferId, size: 0, mtimeMs: 0, paths: [] };
+    const filePath = path.join(partialDir, entry);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) continue;
+      partial.size += stats.size;
+      partial.mtimeMs = Math.max(partial.mtimeMs, stats.mtimeMs);
+      partial.paths.push(filePath);
+      partials.set(transferId, partial);
+    } catch {
+      // removed concurrently
+    }
+  }
+  const sorted = [...partials.values()].sort((left, right) => right.mtimeMs - left.mtimeMs);
+
+  const now = Date.now();
+  let keptBytes = 0;
+  const removed = [];
+  for (const partial of sorted) {
+    const expired = maxAgeHours > 0 && now - partial.mtimeMs > maxAgeHours * HOUR_MS;
+    const overBudget = maxTotalBytes > 0 && keptBytes + partial.size > maxTotalBytes;
+    if (!expired && !overBudget) {
+      keptBytes += partial.size;
+      continue;
+    }
+    try {
+      await Promise.all(partial.paths.map((filePath) => fs.promises.rm(filePath, { force: true })));
+      removed.push(partial.transferId);
+    } catch {
+      // locked; retried on the next upload
+    }
+  }
+  return removed;
+};
+
+// Errors carrying a `reason` code are reported to the controller as-is; anything
+// else is an unexpected I/O failure.
+const createTransferError = (reason, message = "", details = {}) => {
+  const err = new Error(message || reason);
+  err.reason = reason;
+  err.details = details;
+  return err;
+};
+
+// Chunked, resumable file transfers in both directions. Uploads land only in the inbox
+// directory; downloads are served only from inside the allowed roots. `emit(event, payload)`
+// sends to the controller of the current session, which may run `maxConcurrentUploads`
+// uploads at once.
+const createFileTransferManager = ({
+  inboxDir,
+  allowedRoots = [],
+  maxBytes,
+  chunkBytes = DEFAULT_CHUNK_BYTES,
+  partialMaxAgeHours = 0,
+  partialMaxTotalBytes = 0,
+  maxConcurrentUploads = DEFAULT_MAX_CONCURRENT_UPLOADS,
+  emit,
+  encodeChunk = (buffer) => buffer,
+}) => {
+  const normalizedInboxDir = path.resolve(inboxDir);
+  const partialDir = path.join(normalizedInboxDir, PARTIAL_DIR_NAME);
+  const normalizedChunkBytes = Math.max(16 * 1024, Math.floor(Number(chunkBytes) || 0));
+  const normalizedMaxConcurrentUploads = Math.max(
+    1,
+    Math.floor(Number(maxConcurrentUploads) || DEFAULT_MAX_CONCURRENT_UPLOADS)
+  );
+  const uploads = new Map();
+  // Uploads between `remote-file-upload-start` and their entry in `uploads`.
+  const startingUploads = new Set();
+  const downloads = new Map();
+  // Every start of an upload gets a new generation, so chunks queued for an earlier
+  // attempt with the same id are never written into the restarted file.
+  let uploadGeneration = 0;
+  let resolvedAllowedRoots = null;
+
+  const getAllowedRoots = async () => {
+    if (resolvedAllowedRoots) return resolvedAllowedRoots;
+    const roots = [];
+    for (const root of [normalizedInboxDir, ...allowedRoots]) {
+      try {
+        roots.push(await fs.promises.realpath(path.resolve(root)));
+      } catch {
+        // missing roots simply grant nothing
+      }
+    }
+    resolvedAllowedRoots = [...new Set(roots)];
+    return resolvedAllowedRoots;
+  };
+
+  const getPartialPaths = (transferId) => ({
+    dataPath: path.join(partialDir, `${transferId}.part`),
+    metaPath: path.join(partialDir, `${transferId}.json`),
+  });
+
+  const emitError = (transferId, direction, err) => {
+    const reason = err?.reason || "io-error";
+    if (!err?.reason) {
+      log.error(`file transfer ${transferId} failed:`, err?.message || err);
+    }
+    emit("remote-file-error", {
+      transferId,
+      direction,
+      reason,
+      message: err?.message || reason,
+      ...(err?.details || {}),
+    });
+  };
+
+  // `keepId` is the upload being (re)started, whose partial must survive to resume.
+  const cleanUpPartials = (keepId = "") =>
+    prunePartialUploads(partialDir, {
+      maxAgeHours: partialMaxAgeHours,
+      maxTotalBytes: partialMaxTotalBytes,
+      keepIds: new Set([...uploads.keys(), keepId]),
+    })
+      .then((removed) => {
+        if (removed.length) {
+          log.info(`removed ${removed.length} partial upload(s) past retention limits.`);
+        }
+      })
+      .catch((err) => {
+        log.warn(`partial upload cleanup failed: ${err.message}`);
+      });
+
+  // Serializes work per transfer so chunks are written strictly in order.
+  const enqueue = (transfer, task) => {
+    transfer.queue = transfer.queue.then(task, task);
+    return transfer.queue;
+  };
+
+  const startUpload = async ({ transferId: rawTransferId, name, size, sha256 }) => {
+    const transferId = sanitizeTransferId(rawTransferId);
+    if (!transferId) return;
+
+    const activeUploadIds = new Set([...uploads.keys(), ...startingUploads]);
+    activeUploadIds.delete(transferId);
+    if (activeUploadIds.size >= normalizedMaxConcurrentUploads) {
+      emitError(
+        transferId,
+        "upload",
+        createTransferError("too-many-uploads", "too many uploads in progress", {
+          maxConcurrentUploads: normalizedMaxConcurrentUploads,
+        })
+      );
+      return;
+    }
+    uploadGeneration += 1;
+    const generation = uploadGeneration;
+    startingUploads.add(transferId);
+
+    try {
+      // Chunks still queued for an earlier attempt are skipped; wait for the one being
+      // written before the partial file is truncated.
+      const previous = uploads.get(transferId);
+      if (previous) {
+        uploads.delete(transferId);
+        await previous.queue;
+      }
+
+      const normalizedSize = Number(size);
+      const normalizedHash = String(sha256 || "")
+        .trim()
+        .toLowerCase();
+      if (!Number.isInteger(normalizedSize) || normalizedSize < 0) {
+        throw createTransferError("invalid-size", "file size must be a non-negative integer");
+      }
+      if (normalizedSize > maxBytes) {
+        throw createTransferError("too-large", `file exceeds ${maxBytes} bytes`, { maxBytes });
+      }
+      if (!/^[a-f0-9]{64}$/.test(normalizedHash)) {
+        throw createTransferError("invalid-checksum", "sha256 must be 64 hex characters");
+      }
+
+      const fileName = sanitizeFileName(name);
+      await fs.promises.mkdir(partialDir, { recursive: true });
+      await cleanUpPartials(transferId);
+      const { dataPath, metaPath } = getPartialPaths(transferId);
+
+      // A matching partial upload (same name, size and checksum) resumes where it stopped.
+      let offset = 0;
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(metaPath, "utf8"));
+        if (
+          meta.name === fileName &&
+          meta.size === normalizedSize &&
+          meta.sha256 === normalizedHash
+        ) {
+          offset = Math.min(normalizedSize, (await fs.promises.stat(dataPath)).size);
+        }
+      } catch {
+        offset = 0;
+      }
+
+      if (offset === 0) {
+        await fs.promises.writeFile(dataPath, Buffer.alloc(0));
+        await fs.promises.writeFile(
+          metaPath,
+          JSON.stringify({ name: fileName, size: normalizedSize, sha256: normalizedHash })
+        );
+      } else {
+        await fs.promises.truncate(dataPath, offset);
+      }
+
+      uploads.set(transferId, {
+        transferId,
+        generation,
+        fileName,
+        size: normalizedSize,
+        sha256: normalizedHash,
+        offset,
+        dataPath,
+        metaPath,
+        queue: Promise.resolve(),
+      });
+
+      if (offset > 0) {
+        log.info(`resuming upload ${transferId} at ${offset}/${normalizedSize} bytes.`);
+      }
+      emit("remote-file-upload-ready", {
+        transferId,
+        name: fileName,
+        offset,
+        chunkBytes: normalizedChunkBytes,
+      });
+      if (offset === normalizedSize) {
+        await finishUpload(uploads.get(transferId));
+      }
+    } catch (err) {
+      emitError(transferId, "upload", err);
+    } finally {
+      startingUploads.delete(transferId);
+    }
+  };
+
+  const finishUpload = async (upload) => {
+    uploads.delete(upload.transferId);
+    const fileHash = await hashFile(upload.dataPath);
+    if (fileHash !== upload.sha256) {
+      await fs.promises.rm(upload.dataPath, { force: true });
+      await fs.promises.rm(upload.metaPath, { force: true });
+      throw createTransferError("file-checksum", "whole-file checksum mismatch");
+    }
+
+    const targetPath = await resolveFreeInboxPath(normalizedInboxDir, upload.fileName);
+    if (!isPathInside(normalizedInboxDir, targetPath)) {
+      throw createTransferError("invalid-path", "target escapes the inbox directory");
+    }
+    await fs.promises.rename(upload.dataPath, targetPath);
+    await fs.promises.rm(upload.metaPath, { force: true });
+
+    log.info(`received file ${path.basename(targetPath)} (${upload.size} bytes).`);
+    emit("remote-file-complete", {
+      transferId: upload.transferId,
+      direction: "upload",
+      name: path.basename(targetPath),
+      size: upload.size,
+      sha256: fileHash,
+    });
+  };
+
+  const receiveChunk = ({ transferId: rawTransferId, offset, data, sha256 }) => {
+    const transferId = sanitizeTransferId(rawTransferId);
+    const upload = uploads.get(transferId);
+    if (!upload) {
+      emitError(transferId, "upload", createTransferError("unknown-transfer"));
+      return Promise.resolve();
+    }
+
+    return enqueue(upload, async () => {
+      if (uploads.get(transferId)?.generation !== upload.generation) return;
+      try {
+        const chunk = toChunkBuffer(data);
+        if (!chunk || chunk.length === 0 || chunk.length > normalizedChunkBytes) {
+          throw createTransferError("invalid-chunk", "chunk is empty or too large");
+        }
+        if (Number(offset) !== upload.offset) {
+          throw createTransferError("offset-mismatch", "unexpected chunk offset", {
+            expectedOffset: upload.offset,
+          });
+        }
+        if (sha256Hex(chunk) !== String(sha256 || "").toLowerCase()) {
+          throw createTransferError("chunk-checksum", "chunk checksum mismatch", {
+            expectedOffset: upload.offset,
+          });
+        }
+        if (upload.offset + chunk.length > upload.size) {
+          throw createTransferError("invalid-chunk", "chunk runs past the declared size");
+        }
+
+        await fs.promises.appendFile(upload.dataPath, chunk);
+        upload.offset += chunk.length;
+        emit("remote-file-progress", {
+          transferId,
+          direction: "upload",
+          bytes: upload.offset,
+          size: upload.size,
+        });
+
+        if (upload.offset === upload.size) {
+          await finishUpload(upload);
+        }
+      } catch (err) {
+        emitError(transferId, "upload", err);
+      }
+    });
+  };
+
+  const closeDownload = async (download) => {
+    downloads.delete(download.transferId);
+    try {
+      await download.handle.close();
+    } catch {
+      // already closed
+    }
+  };
+
+  const pumpDownload = (download) =>
+    enqueue(download, async () => {
+      if (!downloads.has(download.transferId)) return;
+      const windowBytes = normalizedChunkBytes * DOWNLOAD_WINDOW_CHUNKS;
+      while (download.offset < download.size && download.offset - download.acked < windowBytes) {
+        const length = Math.min(normalizedChunkBytes, download.size - download.offset);
+        const chunk = Buffer.alloc(length);
+        const { bytesRead } = await download.handle.read(chunk, 0, length, download.offset);
+        if (bytesRead !== length) {
+          throw createTransferError("io-error", "file changed while downloading");
+        }
+        emit("remote-file-download-chunk", {
+          transferId: download.transferId,
+          offset: download.offset,
+          data: encodeChunk(chunk),
+          sha256: sha256Hex(chunk),
+        });
+        download.offset += length;
+      }
+    }).catch(async (err) => {
+      await closeDownload(download);
+      emitError(download.transferId, "download", err);
+    });
+
+  const startDownload = async ({ transferId: rawTransferId, path: requestedPath, offset = 0 }) => {
+    const transferId = sanitizeTransferId(rawTransferId);
+    if (!transferId) return;
+
+    try {
+      const existing = downloads.get(transferId);
+      if (existing) await closeDownload(existing);
+
+      let realPath = "";
+      try {
+        realPath = await fs.promises.realpath(path.resolve(String(requestedPath || "")));
+      } catch {
+        throw createTransferError("not-found", "file not found");
+      }
+      const roots = await getAllowedRoots();
+      if (!roots.some((root) => isPathInside(root, realPath))) {
+        throw createTransferError("forbidden-path", "path is outside the allowed roots");
+      }
+
+      const stat = await fs.promises.stat(realPath);
+      if (!stat.isFile()) {
+        throw createTransferError("not-a-file", "path is not a regular file");
+      }
+      if (stat.size > maxBytes) {
+        throw createTransferError("too-large", `file exceeds ${maxBytes} bytes`, { maxBytes });
+      }
+
+      const resumeOffset = Math.max(0, Math.min(stat.size, Math.floor(Number(offset) || 0)));
+      const sha256 = await hashFile(realPath);
+      const download = {
+        transferId,
+        size: stat.size,
+        offset: resumeOffset,
+        acked: resumeOffset,
+        handle: await fs.promises.open(realPath, "r"),
+        queue: Promise.resolve(),
+      };
+      downloads.set(transferId, download);
+
+      emit("remote-file-download-start", {
+        transferId,
+        name: path.basename(realPath),
+        size: stat.size,
+        sha256,
+        offset: resumeOffset,
+        chunkBytes: normalizedChunkBytes,
+      });
+      if (download.size === resumeOffset) {
+        await acknowledgeDownload({ transferId, offset: resumeOffset });
+        return;
+      }
+      void pumpDownload(download);
+    } catch (err) {
+      emitError(transferId, "download", err);
+    }
+  };
+
+  const acknowledgeDownload = async ({ transferId: rawTransferId, offset }) => {
+    const transferId = sanitizeTransferId(rawTransferId);
+    const download = downloads.get(transferId);
+    if (!download) return;
+
+    const ackedOffset = Math.min(download.offset, Math.floor(Number(offset) || 0));
+    if (ackedOffset <= download.acked && download.acked < download.size) return;
+    download.acked = Math.max(download.acked, ackedOffset);
+    emit("remote-file-progress", {
+      transferId,
+      direction: "download",
+      bytes: download.acked,
+      size: download.size,
+    });
+
+    if (download.acked >= download.size) {
+      await closeDownload(download);
+      emit("remote-file-complete", {
+        transferId,
+        direction: "download",
+        size: download.size,
+      });
+      return;
+    }
+    void pumpDownload(download);
+  };
+
+  const cancel = async ({ transferId: rawTransferId }) => {
+    const transferId = sanitizeTransferId(rawTransferId);
+    const download = downloads.get(transferId);
+    if (download) {
+      await closeDownload(download);
+    }
+    const upload = uploads.get(transferId);
+    if (upload) {
+      uploads.delete(transferId);
+      try {
+        await fs.promises.rm(upload.dataPath, { force: true });
+        await fs.promises.rm(upload.metaPath, { force: true });
+      } catch (err) {
+        emitError(transferId, "upload", err);
+      }
+    }
+  };
+
+  // Drops in-memory state when the session goes away. Partial uploads stay on disk
+  // and downloads can be re-requested with an offset, so both resume later.
+  const suspendAll = async () => {
+    uploads.clear();
+    await Promise.all([...downloads.values()].map((download) => closeDownload(download)));
+  };
+
+  void cleanUpPartials();
+
+  return {
+    startUpload,
+    receiveChunk,
+    startDownload,
+    acknowledgeDownload,
+    cancel,
+    suspendAll,
+    inboxDir: normalizedInboxDir,
+  };
+};
+
+module.exports = {
+  createFileTransferManager,
+  prunePartialUploads,
+  sanitizeFileName,
+};
@@ -0,0 +1,114 @@
+const jpeg = require("jpeg-js");
+
+// Tried in order until a frame fits its byte budget: quality drops first, then resolution.
+const ENCODE_LEVELS = [
+  { scale: 1, quality: 75 },
+  { scale: 1, quality: 55 },
+  { scale: 0.75, quality: 60 },
+  { scale: 0.75, quality: 45 },
+  { scale: 0.5, quality: 55 },
+  { scale: 0.5, quality: 40 },
+  { scale: 0.35, quality: 45 },
+  { scale: 0.25, quality: 40 },
+];
+
+// Box-filter downscale so thin UI text survives better than with nearest-neighbour.
+const downscalePixels = (pixels, width, height, scale) => {
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  if (targetWidth === width && targetHeight === height) {
+    return { data: pixels, width, height };
+  }
+
+  const output = Buffer.alloc(targetWidth * targetHeight * 4);
+  const xRatio = width / targetWidth;
+  const yRatio = height / targetHeight;
+
+  for (let targetY = 0; targetY < targetHeight; targetY += 1) {
+    const sourceTop = Math.floor(targetY * yRatio);
+    const sourceBottom = Math.max(sourceTop + 1, Math.floor((targetY + 1) * yRatio));
+    for (let targetX = 0; targetX < targetWidth; targetX += 1) {
+      const sourceLeft = Math.floor(targetX * xRatio);
+      const sourceRight = Math.max(sourceLeft + 1, Math.floor((targetX + 1) * xRatio));
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      let count = 0;
+      for (let sourceY = sourceTop; sourceY < sourceBottom; sourceY += 1) {
+        let offset = (sourceY * width + sourceLeft) * 4;
+        for (let sourceX = sourceLeft; sourceX < sourceRight; sourceX += 1) {
+          red += pixels[offset];
+          green += pixels[offset + 1];
+          blue += pixels[offset + 2];
+          count += 1;
+          offset += 4;
+        }
+      }
+      const targetOffset = (targetY * targetWidth + targetX) * 4;
+      output[targetOffset] = Math.round(red / count);
+      output[targetOffset + 1] = Math.round(green / count);
+      output[targetOffset + 2] = Math.round(blue / count);
+      output[targetOffset + 3] = 255;
+    }
+  }
+
+  return { data: output, width: targetWidth, height: targetHeight };
+};
+
+// Re-encodes oversized JPEG captures until they fit the byte budget. The level that
+// last worked is remembered, and each frame probes one level better so quality
+// recovers once the content or the link allows it.
+const createAdaptiveFrameEncoder = () => {
+  let lastLevelIndex = 0;
+
+  const fit = (jpegBuffer, budgetBytes) => {
+    const normalizedBudget = Math.max(1, Math.floor(Number(budgetBytes) || 0));
+    if (jpegBuffer.length <= normalizedBudget) {
+      lastLevelIndex = 0;
+      return { image: jpegBuffer, scale: 1, quality: null };
+    }
+
+    const decoded = jpeg.decode(jpegBuffer, { useTArray: false, formatAsRGBA: true });
+    const pixels = Buffer.isBuffer(decoded.data) ? decoded.data : Buffer.from(decoded.data);
+    let scaled = null;
+
+    for (
+      let levelIndex = Math.max(0, lastLevelIndex - 1);
+      levelIndex < ENCODE_LEVELS.length;
+      levelIndex += 1
+    ) {
+      const level = ENCODE_LEVELS[levelIndex];
+      if (!scaled || scaled.scale !== level.scale) {
+        scaled = {
+          scale: level.scale,
+          ...downscalePixels(pixels, decoded.width, decoded.height, level.scale),
+        };
+      }
+
+      const encoded = jpeg.encode(
+        { data: scaled.data, width: scaled.width, height: scaled.height },
+        level.quality
+      ).data;
+      if (encoded.length <= normalizedBudget) {
+        lastLevelIndex = levelIndex;
+        return { image: encoded, scale: level.scale, quality: level.quality };
+      }
+    }
+
+    lastLevelIndex = ENCODE_LEVELS.length - 1;
+    return null;
+  };
+
+  const reset = () => {
+    lastLevelIndex = 0;
+  };
+
+  return {
+    fit,
+    reset,
+  };
+};
+
+module.exports = {
+  createAdaptiveFrameEncoder,
+};
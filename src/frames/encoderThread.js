@@ -0,0 +1,31 @@
+const { parentPort, workerData } = require("worker_threads");
+const { createTileFrameEncoder } = require("./tileEncoder");
+const { createAdaptiveFrameEncoder } = require("./adaptiveEncoder");
+
+// Worker side of createFrameEncoderWorker: owns the encoder state and runs the jpeg-js
+// decode/encode work off the agent's event loop.
+const tileEncoder = createTileFrameEncoder(workerData);
+const adaptiveEncoder = createAdaptiveFrameEncoder();
+
+// Buffers arrive as plain Uint8Arrays after the structured clone.
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const handlers = {
+  fit: ({ image, budgetBytes }) => adaptiveEncoder.fit(toBuffer(image), budgetBytes),
+  encodeTiles: ({ image }) => tileEncoder.encode(toBuffer(image)),
+  requestKeyframe: () => tileEncoder.requestKeyframe(),
+  resetFit: () => adaptiveEncoder.reset(),
+  reset: () => {
+    tileEncoder.reset();
+    adaptiveEncoder.reset();
+  },
+};
+
+parentPort.on("message", ({ requestId, type, ...args }) => {
+  try {
+    const result = handlers[type](args);
+    if (requestId) parentPort.postMessage({ requestId, result });
+  } catch (err) {
+    if (requestId) parentPort.postMessage({ requestId, error: err?.message || String(err) });
+  }
+});
@@ -0,0 +1,149 @@
+const path = require("path");
+const { createHash } = require("crypto");
+const { Worker } = require("worker_threads");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+// Matches the tile encoder's default keyframe interval.
+const DEFAULT_FULL_RESEND_INTERVAL_MS = 10_000;
+
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// Runs the tile and adaptive encoders in a worker thread. jpeg-js is pure JavaScript: a
+// 1080p decode takes about 400 ms and every encode rebuilds its tables, so on the event
+// loop it would stall input, acks and pings for seconds. The worker starts on first use
+// and again after a crash, in which case the next tile frame is a keyframe.
+const createFrameEncoderWorker = ({ tileSize, tileQuality, keyframeIntervalMs } = {}) => {
+  const pending = new Map();
+  let worker = null;
+  let nextRequestId = 0;
+  // Lets frames that already fit skip the round trip while the worker still learns that
+  // full quality worked again.
+  let fitReduced = false;
+  // Full-frame mode skips captures identical to the last frame sent, so an idle screen costs
+  // neither a re-encode nor bandwidth. As with tile keyframes, the frame is sent again on
+  // request and at least every `keyframeIntervalMs`.
+  const fullResendIntervalMs = Number(keyframeIntervalMs) || DEFAULT_FULL_RESEND_INTERVAL_MS;
+  let lastFullHash = "";
+  let lastFullSentAt = 0;
+  let fullResendRequested = true;
+
+  const failPending = (err) => {
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+  };
+
+  const ensureWorker = () => {
+    if (worker) return worker;
+    const child = new Worker(path.join(__dirname, "encoderThread.js"), {
+      workerData: { tileSize, tileQuality, keyframeIntervalMs },
+    });
+    child.on("message", ({ requestId, result, error }) => {
+      const request = pending.get(requestId);
+      if (!request) return;
+      pending.delete(requestId);
+      if (pending.size === 0) child.unref();
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    });
+    child.on("error", (err) => {
+      log.error(`frame encoder worker failed: ${err?.message || err}`);
+    });
+    child.on("exit", (code) => {
+      if (worker !== child) return;
+      worker = null;
+      fitReduced = false;
+      failPending(new Error(`frame encoder worker exited (code=${code})`));
+    });
+    worker = child;
+    return child;
+  };
+
+  const request = (type, args = {}) =>
+    new Promise((resolve, reject) => {
+      nextRequestId += 1;
+      pending.set(nextRequestId, { resolve, reject });
+      const child = ensureWorker();
+      // Only a worker with work in flight keeps the process alive.
+      child.ref();
+      child.postMessage({ requestId: nextRequestId, type, ...args });
+    });
+
+  // State changes need no reply; a worker that has not started yet begins from a clean
+  // state anyway.
+  const post = (type) => worker?.postMessage({ type });
+
+  // Same contract as createAdaptiveFrameEncoder().fit, but asynchronous.
+  const fit = async (jpegBuffer, budgetBytes) => {
+    if (jpegBuffer.length <= Math.max(1, Math.floor(Number(budgetBytes) || 0))) {
+      if (fitReduced) post("resetFit");
+      fitReduced = false;
+      return { image: jpegBuffer, scale: 1, quality: null };
+    }
+    const fitted = await request("fit", { image: jpegBuffer, budgetBytes });
+    fitReduced = true;
+    return fitted && { ...fitted, image: toBuffer(fitted.image) };
+  };
+
+  // Same contract as createTileFrameEncoder().encode, but asynchronous.
+  const encodeTiles = async (jpegBuffer) => {
+    const update = await request("encodeTiles", { image: jpegBuffer });
+    if (!update) return null;
+    if (update.kind === "keyframe") return { ...update, image: toBuffer(update.image) };
+    return {
+      ...update,
+      tiles: update.tiles.map((tile) => ({ ...tile, image: toBuffer(tile.image) })),
+    };
+  };
+
+  // Returns the capture's hash, or null when it repeats the last full frame sent and no
+  // resend is due. The hash only counts as sent once passed to markFullFrameSent.
+  const hashFullFrame = (jpegBuffer, now = Date.now()) => {
+    const hash = createHash("sha1").update(jpegBuffer).digest("hex");
+    const resendDue = fullResendRequested || now - lastFullSentAt >= fullResendIntervalMs;
+    return !resendDue && hash === lastFullHash ? null : hash;
+  };
+
+  const markFullFrameSent = (hash, now = Date.now()) => {
+    lastFullHash = hash;
+    lastFullSentAt = now;
+    fullResendRequested = false;
+  };
+
+  const requestKeyframe = () => {
+    fullResendRequested = true;
+    post("requestKeyframe");
+  };
+
+  // Only called on shutdown: frames still being encoded are abandoned, not failed.
+  const stop = async () => {
+    const child = worker;
+    worker = null;
+    pending.clear();
+    await child?.terminate();
+  };
+
+  return {
+    fit,
+    encodeTiles,
+    hashFullFrame,
+    markFullFrameSent,
+    requestKeyframe,
+    resetFit: () => {
+      fitReduced = false;
+      post("resetFit");
+    },
+    reset: () => {
+      fitReduced = false;
+      lastFullHash = "";
+      fullResendRequested = true;
+      post("reset");
+    },
+    stop,
+  };
+};
+
+module.exports = {
+  createFrameEncoderWorker,
+};
@@ -0,0 +1,108 @@
+const DEFAULT_WINDOW_SIZE = 3;
+const DEFAULT_ACK_TIMEOUT_MS = 3000;
+const ACK_LATENCY_SMOOTHING = 0.3;
+// Acks faster than this mostly measure scheduling noise, not link throughput.
+const MIN_THROUGHPUT_SAMPLE_MS = 20;
+
+// Tracks sent frame sequence numbers until the viewer acknowledges them.
+// Acks are cumulative: acknowledging `seq` also settles every earlier frame.
+// Flow control stays inactive until the first ack of a session arrives, so
+// servers that never ack keep the old fire-and-forget behaviour.
+const createFrameFlowController = ({
+  windowSize = DEFAULT_WINDOW_SIZE,
+  ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS,
+} = {}) => {
+  const normalizedWindowSize = Math.max(1, Math.floor(Number(windowSize) || DEFAULT_WINDOW_SIZE));
+  const normalizedAckTimeoutMs = Math.max(250, Number(ackTimeoutMs) || DEFAULT_ACK_TIMEOUT_MS);
+
+  let lastSeq = 0;
+  let active = false;
+  let ackLatencyMs = 0;
+  let throughputBytesPerSec = 0;
+  const unacked = new Map();
+
+  const nextSeq = () => {
+    lastSeq += 1;
+    return lastSeq;
+  };
+
+  const expireStale = (now) => {
+    for (const [seq, { sentAt }] of unacked) {
+      if (now - sentAt < normalizedAckTimeoutMs) break;
+      unacked.delete(seq);
+    }
+  };
+
+  const track = (seq, now = Date.now(), bytes = 0) => {
+    unacked.set(seq, { sentAt: now, bytes: Math.max(0, Number(bytes) || 0) });
+    if (active) return;
+    // Nothing settles frames until the first ack, and a server may never send one: keep
+    // only the latest window so the first ack still measures latency.
+    expireStale(now);
+    while (unacked.size > normalizedWindowSize) unacked.delete(unacked.keys().next().value);
+  };
+
+  const ack = (seq, now = Date.now()) => {
+    const ackedSeq = Number(seq);
+    if (!Number.isInteger(ackedSeq) || ackedSeq <= 0 || ackedSeq > lastSeq) return null;
+
+    active = true;
+    const settled = unacked.get(ackedSeq);
+    for (const pendingSeq of unacked.keys()) {
+      if (pendingSeq > ackedSeq) break;
+      unacked.delete(pendingSeq);
+    }
+
+    if (!settled) return null;
+    const latencyMs = Math.max(0, now - settled.sentAt);
+    ackLatencyMs = ackLatencyMs
+      ? ackLatencyMs + (latencyMs - ackLatencyMs) * ACK_LATENCY_SMOOTHING
+      : latencyMs;
+
+    if (settled.bytes > 0 && latencyMs >= MIN_THROUGHPUT_SAMPLE_MS) {
+      const sample = (settled.bytes * 1000) / latencyMs;
+      throughputBytesPerSec = throughputBytesPerSec
+        ? throughputBytesPerSec + (sample - throughputBytesPerSec) * ACK_LATENCY_SMOOTHING
+        : sample;
+    }
+    return latencyMs;
+  };
+
+  const isWindowFull = (now = Date.now()) => {
+    if (!active) return false;
+    expireStale(now);
+    return unacked.size >= normalizedWindowSize;
+  };
+
+  // Highest frame rate the link sustains with `windowSize` frames in flight.
+  const getAckLimitedFps = () => {
+    if (!active || ackLatencyMs <= 0) return Infinity;
+    return (normalizedWindowSize * 1000) / ackLatencyMs;
+  };
+
+  const reset = () => {
+    active = false;
+    ackLatencyMs = 0;
+    throughputBytesPerSec = 0;
+    unacked.clear();
+  };
+
+  return {
+    nextSeq,
+    track,
+    ack,
+    isWindowFull,
+    getAckLimitedFps,
+    getAckLatencyMs: () => ackLatencyMs,
+    getThroughputBytesPerSec: () => throughputBytesPerSec,
+    getUnackedCount: () => unacked.size,
+    getLastSeq: () => lastSeq,
+    reset,
+    windowSize: normalizedWindowSize,
+    ackTimeoutMs: normalizedAckTimeoutMs,
+  };
+};
+
+module.exports = {
+  createFrameFlowController,
+};
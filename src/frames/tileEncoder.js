@@ -0,0 +1,170 @@
+const { createHash } = require("crypto");
+const jpeg = require("jpeg-js");
+
+const DEFAULT_TILE_SIZE = 64;
+const DEFAULT_TILE_QUALITY = 70;
+const DEFAULT_KEYFRAME_INTERVAL_MS = 10_000;
+// Past this share of changed tiles a single full JPEG is smaller than the tile set.
+const KEYFRAME_CHANGED_RATIO = 0.5;
+// jpeg-js rebuilds its tables for every encode, about 40 ms per tile on one core, while a
+// keyframe resends the captured JPEG as it is. Past this many changed tiles that is cheaper.
+const MAX_DELTA_TILES = 16;
+
+const hashBuffer = (buffer) => createHash("sha1").update(buffer).digest("hex");
+
+const copyTilePixels = (pixels, frameWidth, x, y, width, height) => {
+  const tilePixels = Buffer.alloc(width * height * 4);
+  const rowBytes = width * 4;
+  for (let row = 0; row < height; row += 1) {
+    const sourceStart = ((y + row) * frameWidth + x) * 4;
+    pixels.copy(tilePixels, row * rowBytes, sourceStart, sourceStart + rowBytes);
+  }
+  return tilePixels;
+};
+
+const isTileEqual = (current, previous, frameWidth, x, y, width, height) => {
+  const rowBytes = width * 4;
+  for (let row = 0; row < height; row += 1) {
+    const start = ((y + row) * frameWidth + x) * 4;
+    if (current.compare(previous, start, start + rowBytes, start, start + rowBytes) !== 0) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Turns successive full-display JPEG captures into keyframe/delta updates whose
+// images are JPEG buffers. `encode` returns null when nothing changed.
+const createTileFrameEncoder = ({
+  tileSize = DEFAULT_TILE_SIZE,
+  tileQuality = DEFAULT_TILE_QUALITY,
+  keyframeIntervalMs = DEFAULT_KEYFRAME_INTERVAL_MS,
+} = {}) => {
+  const normalizedTileSize = Math.max(16, Math.floor(Number(tileSize) || DEFAULT_TILE_SIZE));
+  const normalizedTileQuality = Math.min(
+    100,
+    Math.max(10, Math.floor(Number(tileQuality) || DEFAULT_TILE_QUALITY))
+  );
+  const normalizedKeyframeIntervalMs = Math.max(
+    1000,
+    Number(keyframeIntervalMs) || DEFAULT_KEYFRAME_INTERVAL_MS
+  );
+
+  let previousHash = "";
+  let previousPixels = null;
+  let previousWidth = 0;
+  let previousHeight = 0;
+  let lastKeyframeAt = 0;
+  let keyframeRequested = true;
+  let frameId = 0;
+
+  const encodeTile = (pixels, frameWidth, tile) =>
+    jpeg.encode(
+      {
+        data: copyTilePixels(pixels, frameWidth, tile.x, tile.y, tile.width, tile.height),
+        width: tile.width,
+        height: tile.height,
+      },
+      normalizedTileQuality
+    ).data;
+
+  const buildKeyframe = (jpegBuffer, width, height, now) => {
+    lastKeyframeAt = now;
+    keyframeRequested = false;
+    frameId += 1;
+    return {
+      kind: "keyframe",
+      frameId,
+      width,
+      height,
+      image: jpegBuffer,
+    };
+  };
+
+  const encode = (jpegBuffer, now = Date.now()) => {
+    const frameHash = hashBuffer(jpegBuffer);
+    const keyframeDue =
+      keyframeRequested || now - lastKeyframeAt >= normalizedKeyframeIntervalMs;
+
+    if (!keyframeDue && frameHash === previousHash) {
+      return null;
+    }
+    previousHash = frameHash;
+
+    const decoded = jpeg.decode(jpegBuffer, { useTArray: false, formatAsRGBA: true });
+    const pixels = Buffer.isBuffer(decoded.data) ? decoded.data : Buffer.from(decoded.data);
+    const { width, height } = decoded;
+
+    const sizeChanged = width !== previousWidth || height !== previousHeight;
+    const comparePixels = previousPixels;
+    previousPixels = pixels;
+    previousWidth = width;
+    previousHeight = height;
+
+    if (keyframeDue || sizeChanged || !comparePixels) {
+      return buildKeyframe(jpegBuffer, width, height, now);
+    }
+
+    const changedTiles = [];
+    let tileCount = 0;
+    for (let y = 0; y < height; y += normalizedTileSize) {
+      for (let x = 0; x < width; x += normalizedTileSize) {
+        tileCount += 1;
+        const tileWidth = Math.min(normalizedTileSize, width - x);
+        const tileHeight = Math.min(normalizedTileSize, height - y);
+        if (!isTileEqual(pixels, comparePixels, width, x, y, tileWidth, tileHeight)) {
+          changedTiles.push({ x, y, width: tileWidth, height: tileHeight });
+        }
+      }
+    }
+
+    if (changedTiles.length === 0) {
+      return null;
+    }
+
+    if (
+      changedTiles.length > MAX_DELTA_TILES ||
+      changedTiles.length / tileCount >= KEYFRAME_CHANGED_RATIO
+    ) {
+      return buildKeyframe(jpegBuffer, width, height, now);
+    }
+
+    const baseFrameId = frameId;
+    frameId += 1;
+    return {
+      kind: "delta",
+      frameId,
+      baseFrameId,
+      width,
+      height,
+      tileSize: normalizedTileSize,
+      tiles: changedTiles.map((tile) => ({
+        ...tile,
+        image: encodeTile(pixels, width, tile),
+      })),
+    };
+  };
+
+  const requestKeyframe = () => {
+    keyframeRequested = true;
+  };
+
+  const reset = () => {
+    previousHash = "";
+    previousPixels = null;
+    previousWidth = 0;
+    previousHeight = 0;
+    lastKeyframeAt = 0;
+    keyframeRequested = true;
+  };
+
+  return {
+    encode,
+    requestKeyframe,
+    reset,
+  };
+};
+
+module.exports = {
+  createTileFrameEncoder,
+};
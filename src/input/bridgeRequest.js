@@ -0,0 +1,43 @@
+const DEFAULT_REQUEST_TIMEOUT_MS = 2000;
+
+let nextRequestId = 0;
+
+// One request/reply exchange with an input bridge that reports back through
+// `addMessageListener` (windowsInputBridge.ps1). The reply of type `replyType` carries
+// the request's `requestId`. Resolves the reply, or null when the bridge is not running,
+// does not answer in time or `signal` aborts the wait.
+const requestFromBridge = (
+  bridge,
+  message,
+  replyType,
+  timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+  signal = null
+) =>
+  new Promise((resolve) => {
+    if (!bridge || !bridge.isRunning() || !bridge.addMessageListener || signal?.aborted) {
+      resolve(null);
+      return;
+    }
+
+    nextRequestId += 1;
+    const requestId = nextRequestId;
+    let timeoutTimer = null;
+    let removeListener = null;
+    const finish = (reply) => {
+      clearTimeout(timeoutTimer);
+      removeListener?.();
+      signal?.removeEventListener("abort", handleAbort);
+      resolve(reply);
+    };
+    const handleAbort = () => finish(null);
+    signal?.addEventListener("abort", handleAbort);
+    removeListener = bridge.addMessageListener((reply) => {
+      if (reply?.type === replyType && reply.requestId === requestId) finish(reply);
+    });
+    timeoutTimer = setTimeout(() => finish(null), timeoutMs);
+    bridge.send({ ...message, requestId });
+  });
+
+module.exports = {
+  requestFromBridge,
+};
@@ -0,0 +1,120 @@
+// Keys whose `key` value is also their `code`.
+const SAME_NAME_CODES = new Set([
+  "Enter",
+  "Tab",
+  "Escape",
+  "Backspace",
+  "Delete",
+  "Insert",
+  "Home",
+  "End",
+  "PageUp",
+  "PageDown",
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "CapsLock",
+  "NumLock",
+  "ScrollLock",
+  "Pause",
+  "PrintScreen",
+]);
+
+// `key` values that only name a physical key on a US layout, unshifted and shifted.
+const KEY_CODES = {
+  Shift: "ShiftLeft",
+  Control: "ControlLeft",
+  Alt: "AltLeft",
+  Meta: "MetaLeft",
+  " ": "Space",
+  "`": "Backquote",
+  "~": "Backquote",
+  "-": "Minus",
+  _: "Minus",
+  "=": "Equal",
+  "+": "Equal",
+  "[": "BracketLeft",
+  "{": "BracketLeft",
+  "]": "BracketRight",
+  "}": "BracketRight",
+  "\\": "Backslash",
+  "|": "Backslash",
+  ";": "Semicolon",
+  ":": "Semicolon",
+  "'": "Quote",
+  '"': "Quote",
+  ",": "Comma",
+  "<": "Comma",
+  ".": "Period",
+  ">": "Period",
+  "/": "Slash",
+  "?": "Slash",
+  "!": "Digit1",
+  "@": "Digit2",
+  "#": "Digit3",
+  $: "Digit4",
+  "%": "Digit5",
+  "^": "Digit6",
+  "&": "Digit7",
+  "*": "Digit8",
+  "(": "Digit9",
+  ")": "Digit0",
+};
+
+// One id per physical key, so a key-down sent with `code` and its key-up sent with only
+// `key` (or with the shifted character) still pair up. Keys with no known code fall back
+// to their `key` value.
+const toHeldKeyId = ({ key, code }) => {
+  if (code) return code;
+  if (/^[a-z]$/i.test(key)) return `Key${key.toUpperCase()}`;
+  if (/^[0-9]$/.test(key)) return `Digit${key}`;
+  if (SAME_NAME_CODES.has(key) || /^F([1-9]|1[0-2])$/.test(key)) return key;
+  return KEY_CODES[key] || `key:${key}`;
+};
+
+// Keys and mouse buttons one session has pressed but not yet released. When it goes away
+// mid-gesture, `releaseAll` returns the key-up and mouse-up events that put the host back
+// in a neutral state. `type-text` and `key-combo` release their own keys, so they are not
+// tracked.
+const createHeldInputTracker = () => {
+  const keys = new Map();
+  const buttons = new Set();
+
+  const track = (event) => {
+    if (event.type === "key-down" || event.type === "key-up") {
+      const id = toHeldKeyId(event);
+      if (event.type === "key-down") {
+        const { key, code } = event;
+        keys.set(id, { ...(key ? { key } : {}), ...(code ? { code } : {}) });
+      } else {
+        keys.delete(id);
+      }
+      return;
+    }
+    if (event.type === "mouse-down") buttons.add(event.button);
+    if (event.type === "mouse-up") buttons.delete(event.button);
+  };
+
+  // Mouse-up events carry no coordinates, so the pointer stays where it is.
+  const releaseAll = () => {
+    const events = [
+      ...[...keys.values()].map((keyFields) => ({ type: "key-up", ...keyFields })),
+      ...[...buttons].map((button) => ({ type: "mouse-up", button })),
+    ];
+    keys.clear();
+    buttons.clear();
+    return events;
+  };
+
+  return {
+    track,
+    releaseAll,
+    size: () => keys.size + buttons.size,
+  };
+};
+
+module.exports = {
+  createHeldInputTracker,
+  toHeldKeyId,
+};
@@ -0,0 +1,53 @@
+const { createWindowsInputBackend } = require("./windowsBackend");
+const { createX11InputBackend } = require("./x11Backend");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+// Every input backend exposes the same surface:
+//   name                         backend identifier for logs/status
+//   start({ displayBounds, onExit })
+//                                resolves true once events can be injected; `onExit` is
+//                                called if the backend dies on its own afterwards
+//   send(event)                  injects one remote-input event (may carry __display)
+//   flush()                      resolves once every event sent so far has been injected
+//   stop()                       releases the backend
+//   isRunning()                  whether events are currently being accepted
+//   ping()                       resolves true when the backend still answers
+//   addMessageListener(fn)       optional; messages reported back by the backend
+const INPUT_BACKEND_FACTORIES = {
+  windows: createWindowsInputBackend,
+  x11: createX11InputBackend,
+};
+
+const resolveInputBackendName = (requested = "", platform = process.platform) => {
+  const normalizedRequested = String(requested || "")
+    .trim()
+    .toLowerCase();
+
+  if (normalizedRequested && normalizedRequested !== "auto") {
+    return normalizedRequested;
+  }
+
+  if (platform === "win32") return "windows";
+  if (platform === "linux") return "x11";
+  return "none";
+};
+
+const createInputBackend = (requested = "", platform = process.platform) => {
+  const backendName = resolveInputBackendName(requested, platform);
+  if (backendName === "none") return null;
+
+  const factory = INPUT_BACKEND_FACTORIES[backendName];
+  if (!factory) {
+    log.warn(`unknown input backend '${backendName}'. Control input is disabled.`);
+    return null;
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createInputBackend,
+  resolveInputBackendName,
+};
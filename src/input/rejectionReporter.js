@@ -0,0 +1,54 @@
+const DEFAULT_REPORT_INTERVAL_MS = 1000;
+
+// Batches rejected remote-input events so a flood of refused input produces one report
+// per interval instead of one message per event. `report` receives the reason, the
+// number of events rejected since the last report and the session total.
+const createInputRejectionReporter = ({ report, intervalMs = DEFAULT_REPORT_INTERVAL_MS }) => {
+  const pendingByReason = new Map();
+  let totalRejected = 0;
+  let reportTimer = null;
+
+  const flush = () => {
+    reportTimer = null;
+    for (const [reason, pending] of pendingByReason) {
+      report({
+        reason,
+        count: pending.count,
+        types: [...pending.types],
+        totalRejected,
+      });
+    }
+    pendingByReason.clear();
+  };
+
+  const record = (reason, eventType = "") => {
+    totalRejected += 1;
+    const pending = pendingByReason.get(reason) || { count: 0, types: new Set() };
+    pending.count += 1;
+    if (eventType) pending.types.add(eventType);
+    pendingByReason.set(reason, pending);
+
+    if (!reportTimer) {
+      reportTimer = setTimeout(flush, intervalMs);
+    }
+  };
+
+  const reset = () => {
+    if (reportTimer) {
+      clearTimeout(reportTimer);
+      reportTimer = null;
+    }
+    pendingByReason.clear();
+    totalRejected = 0;
+  };
+
+  return {
+    record,
+    reset,
+    getTotalRejected: () => totalRejected,
+  };
+};
+
+module.exports = {
+  createInputRejectionReporter,
+};
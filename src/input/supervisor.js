@@ -0,0 +1,185 @@
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+const RESTART_BASE_DELAY_MS = 500;
+const RESTART_MAX_DELAY_MS = 30_000;
+// A backend that stays up this long starts over from the shortest restart delay.
+const STABLE_AFTER_MS = 60_000;
+const HEALTH_CHECK_INTERVAL_MS = 5000;
+const MAX_MISSED_PINGS = 2;
+const MAX_QUEUED_EVENTS = 64;
+// Input older than this is dropped rather than replayed into whatever is on screen now.
+const MAX_QUEUED_EVENT_AGE_MS = 5000;
+// Releases are replayed however old they are, and never pushed out of a full queue: the
+// matching press already counts as released, so dropping them would leave it held.
+const RELEASE_EVENT_TYPES = new Set(["key-up", "mouse-up"]);
+
+const isRelease = ({ event }) => RELEASE_EVENT_TYPES.has(event?.type);
+
+// Keeps an input backend alive once it has started: restarts it with exponential backoff
+// when it exits or stops answering pings, and holds up to MAX_QUEUED_EVENTS input events
+// while it is down. `onUnavailable(reason)` and `onAvailable({ attempts })` report the
+// transitions; `getStartOptions()` supplies `start()` options for every (re)start.
+const createInputSupervisor = ({ backend, getStartOptions, onUnavailable, onAvailable }) => {
+  // stopped -> running <-> restarting -> stopped
+  let state = "stopped";
+  let restartAttempts = 0;
+  let restartCount = 0;
+  let lastFailure = null;
+  let restartTimer = null;
+  let stableTimer = null;
+  let healthTimer = null;
+  let missedPings = 0;
+  let pinging = false;
+  let queue = [];
+
+  const clearTimers = () => {
+    clearTimeout(restartTimer);
+    clearTimeout(stableTimer);
+    clearInterval(healthTimer);
+    restartTimer = null;
+    stableTimer = null;
+    healthTimer = null;
+  };
+
+  const startBackend = () =>
+    backend.start({
+      ...getStartOptions(),
+      onExit: ({ code, signal }) =>
+        fail(`exited (code=${code ?? "unknown"}, signal=${signal || "none"})`),
+    });
+
+  const checkHealth = async () => {
+    if (state !== "running" || pinging) return;
+    if (!backend.isRunning()) {
+      fail("not running");
+      return;
+    }
+    pinging = true;
+    try {
+      const answered = backend.ping ? await backend.ping() : true;
+      if (state !== "running") return;
+      missedPings = answered ? 0 : missedPings + 1;
+      if (missedPings >= MAX_MISSED_PINGS) fail(`missed ${missedPings} pings`);
+    } finally {
+      pinging = false;
+    }
+  };
+
+  const markRunning = () => {
+    state = "running";
+    missedPings = 0;
+    healthTimer = setInterval(checkHealth, HEALTH_CHECK_INTERVAL_MS);
+    stableTimer = setTimeout(() => {
+      restartAttempts = 0;
+    }, STABLE_AFTER_MS);
+  };
+
+  const flushQueue = () => {
+    const now = Date.now();
+    const queued = queue;
+    queue = [];
+    const fresh = queued.filter(
+      (entry) => isRelease(entry) || now - entry.queuedAt <= MAX_QUEUED_EVENT_AGE_MS
+    );
+    if (fresh.length < queued.length) {
+      log.warn(
+        `dropped ${queued.length - fresh.length} queued input event(s) older than ${MAX_QUEUED_EVENT_AGE_MS} ms.`
+      );
+    }
+    for (const { event } of fresh) {
+      backend.send(event);
+    }
+  };
+
+  const scheduleRestart = () => {
+    const delayMs = Math.min(RESTART_MAX_DELAY_MS, RESTART_BASE_DELAY_MS * 2 ** restartAttempts);
+    restartAttempts += 1;
+    log.info(
+      `restarting input backend ${backend.name} in ${delayMs} ms (attempt ${restartAttempts}).`
+    );
+    restartTimer = setTimeout(async () => {
+      restartTimer = null;
+      let started = false;
+      try {
+        started = await startBackend();
+      } catch (err) {
+        log.error(`input backend ${backend.name} failed to start: ${err?.message || err}`);
+      }
+      if (state !== "restarting") {
+        if (started) backend.stop();
+        return;
+      }
+      if (!started) {
+        scheduleRestart();
+        return;
+      }
+      restartCount += 1;
+      markRunning();
+      log.info(`input backend ${backend.name} restarted.`);
+      flushQueue();
+      onAvailable({ attempts: restartAttempts });
+    }, delayMs);
+  };
+
+  const fail = (reason) => {
+    if (state !== "running") return;
+    state = "restarting";
+    lastFailure = { reason, at: new Date().toISOString() };
+    clearTimers();
+    log.error(`input backend ${backend.name} ${reason}. Input is unavailable until it restarts.`);
+    backend.stop();
+    onUnavailable(reason);
+    scheduleRestart();
+  };
+
+  // Resolves false when the first start fails; that is a setup problem, not a crash, so
+  // it is not retried.
+  const start = async () => {
+    if (state !== "stopped") return true;
+    if (!(await startBackend())) return false;
+    markRunning();
+    return true;
+  };
+
+  const stop = () => {
+    state = "stopped";
+    clearTimers();
+    queue = [];
+    backend.stop();
+  };
+
+  // Returns true when the event was injected or queued for the restarted backend.
+  const send = (event) => {
+    if (state === "running" && backend.isRunning()) {
+      backend.send(event);
+      return true;
+    }
+    if (state !== "restarting") return false;
+    queue.push({ event, queuedAt: Date.now() });
+    if (queue.length > MAX_QUEUED_EVENTS) {
+      const oldestPress = queue.findIndex((entry) => !isRelease(entry));
+      queue.splice(Math.max(0, oldestPress), 1);
+    }
+    return true;
+  };
+
+  return {
+    name: backend.name,
+    start,
+    stop,
+    send,
+    isAvailable: () => state === "running" && backend.isRunning(),
+    getStatus: () => ({
+      state,
+      restarts: restartCount,
+      queued: queue.length,
+      lastFailure,
+    }),
+  };
+};
+
+module.exports = {
+  createInputSupervisor,
+};
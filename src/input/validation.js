@@ -0,0 +1,266 @@
+const MAX_WHEEL_DELTA = 10_000;
+const MAX_KEY_LENGTH = 32;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_COMBO_KEYS = 6;
+
+const NAMED_CODES = new Set([
+  "Enter",
+  "NumpadEnter",
+  "Tab",
+  "Escape",
+  "Backspace",
+  "Delete",
+  "Insert",
+  "Home",
+  "End",
+  "PageUp",
+  "PageDown",
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "ShiftLeft",
+  "ShiftRight",
+  "ControlLeft",
+  "ControlRight",
+  "AltLeft",
+  "AltRight",
+  "MetaLeft",
+  "MetaRight",
+  "Space",
+  "CapsLock",
+  "NumLock",
+  "ScrollLock",
+  "Pause",
+  "PrintScreen",
+  "Backquote",
+  "Minus",
+  "Equal",
+  "BracketLeft",
+  "BracketRight",
+  "Backslash",
+  "Semicolon",
+  "Quote",
+  "Comma",
+  "Period",
+  "Slash",
+  "NumpadMultiply",
+  "NumpadAdd",
+  "NumpadSubtract",
+  "NumpadDecimal",
+  "NumpadDivide",
+]);
+
+const NAMED_KEYS = new Set([
+  "Shift",
+  "Control",
+  "Alt",
+  "Meta",
+  "CapsLock",
+  "Enter",
+  "Tab",
+  "Escape",
+  "Backspace",
+  "Delete",
+  "Insert",
+  "Home",
+  "End",
+  "PageUp",
+  "PageDown",
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "NumLock",
+  "ScrollLock",
+  "Pause",
+  "PrintScreen",
+]);
+
+const MOUSE_BUTTONS = new Set(["left", "right", "middle"]);
+
+const isAllowedCode = (code) =>
+  NAMED_CODES.has(code) ||
+  /^F([1-9]|1[0-2])$/.test(code) ||
+  /^Key[A-Z]$/.test(code) ||
+  /^Digit[0-9]$/.test(code) ||
+  /^Numpad[0-9]$/.test(code);
+
+// Named keys, F-keys, or exactly one printable character.
+const isAllowedKey = (key) =>
+  NAMED_KEYS.has(key) ||
+  /^F([1-9]|1[0-2])$/.test(key) ||
+  ([...key].length === 1 && !/[\u0000-\u001f\u007f]/.test(key));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toFiniteNumber = (value) => {
+  if (value === null || value === undefined || value === "" || typeof value === "boolean") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const invalid = (reason) => ({ event: null, reason });
+
+// Coordinates are normalized to the captured display, so clamping to [0, 1] keeps the
+// pointer on it.
+const readPointer = (event, required) => {
+  const hasX = event.x !== undefined && event.x !== null;
+  const hasY = event.y !== undefined && event.y !== null;
+  if (!hasX && !hasY) {
+    return required ? { reason: "missing-coordinates" } : { pointer: {} };
+  }
+
+  const x = toFiniteNumber(event.x);
+  const y = toFiniteNumber(event.y);
+  if (x === null || y === null) return { reason: "invalid-coordinates" };
+  return { pointer: { x: clamp(x, 0, 1), y: clamp(y, 0, 1) } };
+};
+
+const readButton = (event) => {
+  if (event.button === undefined || event.button === null || event.button === "") {
+    return { button: "left" };
+  }
+  const button = String(event.button).trim().toLowerCase();
+  return MOUSE_BUTTONS.has(button) ? { button } : { reason: "invalid-button" };
+};
+
+const readKey = (event) => {
+  const key = typeof event.key === "string" ? event.key : "";
+  const code = typeof event.code === "string" ? event.code.trim() : "";
+  const allowedKey = key && key.length <= MAX_KEY_LENGTH && isAllowedKey(key) ? key : "";
+  const allowedCode = code && code.length <= MAX_KEY_LENGTH && isAllowedCode(code) ? code : "";
+  if (!allowedKey && !allowedCode) return { reason: "unknown-key" };
+
+  const keyFields = {};
+  if (allowedKey) keyFields.key = allowedKey;
+  if (allowedCode) keyFields.code = allowedCode;
+  return { keyFields };
+};
+
+// Strings name a key by `code` when it is one, else by `key`: ["ControlLeft", "KeyC"] or
+// ["Control", "c"].
+const readComboKey = (value) => {
+  if (typeof value === "string") {
+    const code = value.trim();
+    if (code.length <= MAX_KEY_LENGTH && isAllowedCode(code)) return { keyFields: { code } };
+    return readKey({ key: value });
+  }
+  return value && typeof value === "object" ? readKey(value) : { reason: "unknown-key" };
+};
+
+const EVENT_SCHEMAS = {
+  move: (event) => {
+    const { pointer, reason } = readPointer(event, true);
+    if (reason) return invalid(reason);
+    return { event: { type: "move", ...pointer } };
+  },
+  click: (event) => {
+    const { pointer, reason } = readPointer(event, false);
+    if (reason) return invalid(reason);
+    const { button, reason: buttonReason } = readButton(event);
+    if (buttonReason) return invalid(buttonReason);
+    return { event: { type: "click", ...pointer, button } };
+  },
+  wheel: (event) => {
+    const { pointer, reason } = readPointer(event, false);
+    if (reason) return invalid(reason);
+    const deltaY = toFiniteNumber(event.deltaY);
+    if (deltaY === null) return invalid("invalid-delta");
+    const deltaX = toFiniteNumber(event.deltaX);
+    return {
+      event: {
+        type: "wheel",
+        ...pointer,
+        deltaY: clamp(deltaY, -MAX_WHEEL_DELTA, MAX_WHEEL_DELTA),
+        ...(deltaX === null ? {} : { deltaX: clamp(deltaX, -MAX_WHEEL_DELTA, MAX_WHEEL_DELTA) }),
+      },
+    };
+  },
+};
+
+EVENT_SCHEMAS["mouse-down"] = (event) => {
+  const result = EVENT_SCHEMAS.click(event);
+  return result.event ? { event: { ...result.event, type: "mouse-down" } } : result;
+};
+EVENT_SCHEMAS["mouse-up"] = (event) => {
+  const result = EVENT_SCHEMAS.click(event);
+  return result.event ? { event: { ...result.event, type: "mouse-up" } } : result;
+};
+
+for (const type of ["key-down", "key-up"]) {
+  EVENT_SCHEMAS[type] = (event) => {
+    const { keyFields, reason } = readKey(event);
+    if (reason) return invalid(reason);
+    return { event: { type, ...keyFields } };
+  };
+}
+
+// Unicode text typed as-is, independent of the host keyboard layout. Newlines and tabs
+// are typed as Enter and Tab; other control characters are refused.
+EVENT_SCHEMAS["type-text"] = (event) => {
+  if (typeof event.text !== "string" || event.text.length === 0) return invalid("invalid-text");
+  const text = event.text.replace(/\r\n?/g, "\n");
+  if (text.length > MAX_TEXT_LENGTH) return invalid("text-too-long");
+  if (/[\u0000-\u0008\u000b-\u001f\u007f]/.test(text)) return invalid("invalid-text");
+  return { event: { type: "type-text", text } };
+};
+
+// A shortcut pressed in order and released in reverse by the backend in one go, so no
+// modifier is left down if the connection drops halfway through.
+EVENT_SCHEMAS["key-combo"] = (event) => {
+  const keys = Array.isArray(event.keys) ? event.keys : [];
+  if (keys.length === 0 || keys.length > MAX_COMBO_KEYS) return invalid("invalid-combo");
+  const comboKeys = [];
+  for (const value of keys) {
+    const { keyFields, reason } = readComboKey(value);
+    if (reason) return invalid(reason);
+    comboKeys.push(keyFields);
+  }
+  return { event: { type: "key-combo", keys: comboKeys } };
+};
+
+// Returns `{ event }` with a fresh object holding only the schema's fields, or
+// `{ event: null, reason }` when the event must not reach the input bridge.
+const sanitizeInputEvent = (rawEvent) => {
+  if (!rawEvent || typeof rawEvent !== "object" || Array.isArray(rawEvent)) {
+    return invalid("invalid-event");
+  }
+  const schema = EVENT_SCHEMAS[String(rawEvent.type || "")];
+  if (!schema) return invalid("unknown-type");
+  return schema(rawEvent);
+};
+
+// Classic token bucket: `ratePerSec` sustained events with bursts up to `burst`.
+const createTokenBucket = ({ ratePerSec, burst }) => {
+  const normalizedRate = Math.max(1, Number(ratePerSec) || 1);
+  const normalizedBurst = Math.max(1, Number(burst) || normalizedRate);
+  let tokens = normalizedBurst;
+  let refilledAt = Date.now();
+
+  const take = (now = Date.now()) => {
+    tokens = Math.min(normalizedBurst, tokens + ((now - refilledAt) / 1000) * normalizedRate);
+    refilledAt = now;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+
+  const reset = () => {
+    tokens = normalizedBurst;
+    refilledAt = Date.now();
+  };
+
+  return {
+    take,
+    reset,
+  };
+};
+
+module.exports = {
+  EVENT_SCHEMAS,
+  sanitizeInputEvent,
+  createTokenBucket,
+};
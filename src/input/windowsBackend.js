@@ -0,0 +1,191 @@
+const path = require("path");
+const fs = require("fs");
+const readline = require("readline");
+const { spawn } = require("child_process");
+const { requestFromBridge } = require("./bridgeRequest");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+const bridgeLog = createLogger("bridge");
+
+const resolveBridgeScriptPath = () => {
+  const scriptCandidates = [
+    path.join(process.cwd(), "scripts", "windowsInputBridge.ps1"),
+    path.join(path.dirname(process.execPath), "scripts", "windowsInputBridge.ps1"),
+    path.join(__dirname, "..", "..", "scripts", "windowsInputBridge.ps1"),
+  ];
+
+  return scriptCandidates.find((candidate) => fs.existsSync(candidate)) || "";
+};
+
+const PING_TIMEOUT_MS = 2000;
+// PowerShell compiles the bridge's C# helpers before it reads stdin; a cold start can take
+// several seconds.
+const STARTUP_TIMEOUT_MS = 20_000;
+
+const createWindowsInputBackend = () => {
+  let bridge = null;
+  const messageListeners = new Set();
+
+  // The bridge reports back with one JSON object per stdout line; anything else is
+  // passed through as log output.
+  const handleBridgeLine = (line) => {
+    const trimmedLine = String(line || "").trim();
+    if (!trimmedLine) return;
+
+    let message = null;
+    try {
+      message = JSON.parse(trimmedLine);
+    } catch {
+      bridgeLog.info(trimmedLine);
+      return;
+    }
+
+    for (const listener of messageListeners) {
+      try {
+        listener(message);
+      } catch (err) {
+        log.error("input bridge listener failed:", err?.message || err);
+      }
+    }
+  };
+
+  const start = async ({ displayBounds = null, onExit = null } = {}) => {
+    const scriptPath = resolveBridgeScriptPath();
+    if (!scriptPath) {
+      log.error("windowsInputBridge.ps1 not found. Input control is unavailable.");
+      return false;
+    }
+
+    const bridgeEnv = { ...process.env };
+    if (displayBounds) {
+      bridgeEnv.REMOTE_DISPLAY_LEFT = String(displayBounds.left);
+      bridgeEnv.REMOTE_DISPLAY_TOP = String(displayBounds.top);
+      bridgeEnv.REMOTE_DISPLAY_WIDTH = String(displayBounds.width);
+      bridgeEnv.REMOTE_DISPLAY_HEIGHT = String(displayBounds.height);
+    }
+
+    const child = spawn(
+      "powershell",
+      ["-NoProfile", "-ExecutionPolicy", "Bypass", "-File", scriptPath],
+      {
+        stdio: ["pipe", "pipe", "inherit"],
+        env: bridgeEnv,
+      }
+    );
+    bridge = child;
+
+    readline.createInterface({ input: child.stdout }).on("line", handleBridgeLine);
+
+    // A child that `stop()` killed, or that a restart already replaced, is no longer
+    // `bridge`; only the current one reports its exit.
+    const handleExit = (code, signal) => {
+      if (bridge !== child) return;
+      bridge = null;
+      const exit = { code: Number.isInteger(code) ? code : null, signal: signal || null };
+      if (onExit) {
+        onExit(exit);
+        return;
+      }
+      log.error(
+        `input bridge exited unexpectedly (code=${exit.code ?? "unknown"}, signal=${exit.signal || "none"}).`
+      );
+    };
+
+    child.on("error", (err) => {
+      log.error(`input bridge failed: ${err?.message || err}`);
+      // A bridge that never spawned emits no `exit`.
+      if (child.pid === undefined) handleExit(null, null);
+    });
+
+    child.on("exit", handleExit);
+    // Writes to a bridge that failed to spawn or already died must not crash the agent.
+    child.stdin.on("error", (err) => {
+      log.error(`input bridge stdin failed: ${err?.message || err}`);
+    });
+
+    // A spawned process is not yet a working bridge (powershell may be missing, or the
+    // script may fail to load): only its first pong is.
+    const earlyEnd = new AbortController();
+    const handleEarlyEnd = () => earlyEnd.abort();
+    child.once("error", handleEarlyEnd);
+    child.once("exit", handleEarlyEnd);
+    const started = await ping(STARTUP_TIMEOUT_MS, earlyEnd.signal);
+    child.off("error", handleEarlyEnd);
+    child.off("exit", handleEarlyEnd);
+    if (!started) {
+      if (bridge === child) {
+        log.error(`input bridge did not answer within ${STARTUP_TIMEOUT_MS} ms of starting.`);
+        stop();
+      }
+      return false;
+    }
+    return true;
+  };
+
+  const stop = () => {
+    if (!bridge) return;
+    const child = bridge;
+    bridge = null;
+    try {
+      child.kill();
+    } catch (e) {
+      // noop
+    }
+  };
+
+  const isRunning = () => !!bridge && !bridge.killed && bridge.exitCode === null;
+
+  const send = (event) => {
+    if (!isRunning()) return;
+    if (
+      !bridge.stdin ||
+      bridge.stdin.destroyed ||
+      bridge.stdin.writableEnded ||
+      !bridge.stdin.writable
+    ) {
+      return;
+    }
+    try {
+      bridge.stdin.write(`${JSON.stringify(event)}\n`);
+    } catch (err) {
+      log.error("failed writing to input bridge:", err.message);
+    }
+  };
+
+  const addMessageListener = (listener) => {
+    messageListeners.add(listener);
+    return () => messageListeners.delete(listener);
+  };
+
+  // The bridge handles events in order, so its reply means everything sent before has
+  // been injected.
+  const flush = async () => {
+    await requestFromBridge({ isRunning, send, addMessageListener }, { type: "flush" }, "flushed");
+  };
+
+  // A bridge stuck in a native call still looks alive; only a reply proves it reads stdin.
+  const ping = async (timeoutMs = PING_TIMEOUT_MS, signal = null) =>
+    !!(await requestFromBridge(
+      { isRunning, send, addMessageListener },
+      { type: "ping" },
+      "pong",
+      timeoutMs,
+      signal
+    ));
+
+  return {
+    name: "windows",
+    start,
+    stop,
+    send,
+    flush,
+    ping,
+    isRunning,
+    addMessageListener,
+  };
+};
+
+module.exports = {
+  createWindowsInputBackend,
+};
@@ -0,0 +1,344 @@
+const { execFile } = require("child_process");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+const XDOTOOL_TIMEOUT_MS = 2000;
+const FLUSH_TIMEOUT_MS = 2000;
+
+const CODE_KEYSYMS = {
+  Enter: "Return",
+  NumpadEnter: "KP_Enter",
+  Tab: "Tab",
+  Escape: "Escape",
+  Backspace: "BackSpace",
+  Delete: "Delete",
+  Insert: "Insert",
+  Home: "Home",
+  End: "End",
+  PageUp: "Prior",
+  PageDown: "Next",
+  ArrowUp: "Up",
+  ArrowDown: "Down",
+  ArrowLeft: "Left",
+  ArrowRight: "Right",
+  ShiftLeft: "Shift_L",
+  ShiftRight: "Shift_R",
+  ControlLeft: "Control_L",
+  ControlRight: "Control_R",
+  AltLeft: "Alt_L",
+  AltRight: "Alt_R",
+  MetaLeft: "Super_L",
+  MetaRight: "Super_R",
+  Space: "space",
+  CapsLock: "Caps_Lock",
+  NumLock: "Num_Lock",
+  ScrollLock: "Scroll_Lock",
+  Pause: "Pause",
+  PrintScreen: "Print",
+  Backquote: "grave",
+  Minus: "minus",
+  Equal: "equal",
+  BracketLeft: "bracketleft",
+  BracketRight: "bracketright",
+  Backslash: "backslash",
+  Semicolon: "semicolon",
+  Quote: "apostrophe",
+  Comma: "comma",
+  Period: "period",
+  Slash: "slash",
+  NumpadMultiply: "KP_Multiply",
+  NumpadAdd: "KP_Add",
+  NumpadSubtract: "KP_Subtract",
+  NumpadDecimal: "KP_Decimal",
+  NumpadDivide: "KP_Divide",
+};
+
+// Shifted characters resolve to their unshifted key, matching the Windows bridge
+// (the controller sends Shift as its own key-down/key-up).
+const KEY_KEYSYMS = {
+  " ": "space",
+  Shift: "Shift_L",
+  Control: "Control_L",
+  Alt: "Alt_L",
+  Meta: "Super_L",
+  CapsLock: "Caps_Lock",
+  "-": "minus",
+  _: "minus",
+  "=": "equal",
+  "+": "equal",
+  "[": "bracketleft",
+  "{": "bracketleft",
+  "]": "bracketright",
+  "}": "bracketright",
+  "\\": "backslash",
+  "|": "backslash",
+  ";": "semicolon",
+  ":": "semicolon",
+  "'": "apostrophe",
+  ",": "comma",
+  "<": "comma",
+  ".": "period",
+  ">": "period",
+  "/": "slash",
+  "?": "slash",
+};
+
+const MOUSE_BUTTONS = {
+  left: "1",
+  middle: "2",
+  right: "3",
+};
+
+const clamp01 = (value) => {
+  if (value < 0) return 0;
+  if (value > 1) return 1;
+  return value;
+};
+
+const toFiniteNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const resolveDisplayBounds = (candidate) => {
+  if (!candidate) return null;
+  const left = toFiniteNumber(candidate.left);
+  const top = toFiniteNumber(candidate.top);
+  const width = toFiniteNumber(candidate.width);
+  const height = toFiniteNumber(candidate.height);
+  if (left === null || top === null || width === null || height === null) return null;
+  if (width <= 0 || height <= 0) return null;
+  return { left, top, width, height };
+};
+
+const resolveKeysym = (key, code) => {
+  const normalizedCode = String(code || "").trim();
+  if (normalizedCode) {
+    if (CODE_KEYSYMS[normalizedCode]) return CODE_KEYSYMS[normalizedCode];
+
+    const functionKeyMatch = normalizedCode.match(/^F([1-9]|1[0-2])$/);
+    if (functionKeyMatch) return normalizedCode;
+
+    const letterMatch = normalizedCode.match(/^Key([A-Z])$/);
+    if (letterMatch) return letterMatch[1].toLowerCase();
+
+    const digitMatch = normalizedCode.match(/^Digit([0-9])$/);
+    if (digitMatch) return digitMatch[1];
+
+    const numpadMatch = normalizedCode.match(/^Numpad([0-9])$/);
+    if (numpadMatch) return `KP_${numpadMatch[1]}`;
+  }
+
+  const normalizedKey = String(key || "");
+  if (!normalizedKey) return "";
+  if (KEY_KEYSYMS[normalizedKey]) return KEY_KEYSYMS[normalizedKey];
+
+  if (normalizedKey.length === 1) {
+    const upper = normalizedKey.toUpperCase();
+    if (/^[0-9]$/.test(upper)) return upper;
+    if (/^[A-Z]$/.test(upper)) return upper.toLowerCase();
+  }
+
+  return "";
+};
+
+const runXdotool = (args, env) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      "xdotool",
+      args,
+      { env, timeout: XDOTOOL_TIMEOUT_MS, windowsHide: true },
+      (err, stdout) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(String(stdout || ""));
+      }
+    );
+  });
+
+// Injects events through xdotool (XTest) against the X server named by DISPLAY,
+// so the same backend runs against an Xvfb display for testing.
+const createX11InputBackend = ({ xDisplay = process.env.DISPLAY } = {}) => {
+  const normalizedXDisplay = String(xDisplay || "").trim();
+  const xdotoolEnv = { ...process.env, DISPLAY: normalizedXDisplay };
+  let running = false;
+  let displayBounds = null;
+  let screenBounds = null;
+  let pending = [];
+  let draining = false;
+  let flushWaiters = [];
+
+  const getScreenCoordinates = (xNorm, yNorm) => {
+    const bounds = displayBounds || screenBounds || { left: 0, top: 0, width: 1, height: 1 };
+    const x = Math.round(bounds.left + clamp01(xNorm) * Math.max(1, bounds.width - 1));
+    const y = Math.round(bounds.top + clamp01(yNorm) * Math.max(1, bounds.height - 1));
+    return [x, y];
+  };
+
+  const buildMoveArgs = (event) => {
+    const xNorm = toFiniteNumber(event.x);
+    const yNorm = toFiniteNumber(event.y);
+    if (xNorm === null || yNorm === null) return [];
+    const [x, y] = getScreenCoordinates(xNorm, yNorm);
+    return ["mousemove", String(x), String(y)];
+  };
+
+  const buildArgs = (event) => {
+    const type = String(event.type || "");
+
+    if (type === "move") {
+      return buildMoveArgs(event);
+    }
+
+    if (type === "wheel") {
+      const deltaY = toFiniteNumber(event.deltaY) || 0;
+      if (Math.abs(deltaY) < 0.001) return buildMoveArgs(event);
+      return [...buildMoveArgs(event), "click", deltaY > 0 ? "5" : "4"];
+    }
+
+    const button = MOUSE_BUTTONS[String(event.button || "")] || MOUSE_BUTTONS.left;
+
+    if (type === "click") {
+      return [...buildMoveArgs(event), "click", button];
+    }
+
+    if (type === "mouse-down" || type === "mouse-up") {
+      return [...buildMoveArgs(event), type === "mouse-down" ? "mousedown" : "mouseup", button];
+    }
+
+    if (type === "key-down" || type === "key-up") {
+      const keysym = resolveKeysym(event.key, event.code);
+      if (!keysym) return [];
+      return [type === "key-down" ? "keydown" : "keyup", keysym];
+    }
+
+    // xdotool maps characters missing from the keyboard layout onto a spare keycode.
+    if (type === "type-text") {
+      return event.text ? ["type", "--delay", "0", "--", String(event.text)] : [];
+    }
+
+    if (type === "key-combo") {
+      const keysyms = (event.keys || []).map((key) => resolveKeysym(key.key, key.code));
+      if (keysyms.length === 0 || keysyms.includes("")) return [];
+      return ["key", keysyms.join("+")];
+    }
+
+    return [];
+  };
+
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      while (running && pending.length > 0) {
+        const next = pending.shift();
+        try {
+          await runXdotool(next.args, xdotoolEnv);
+        } catch (err) {
+          log.error(`x11 input injection failed: ${err?.message || err}`);
+        }
+      }
+    } finally {
+      draining = false;
+      const waiters = flushWaiters;
+      flushWaiters = [];
+      waiters.forEach((resolve) => resolve());
+    }
+  };
+
+  // Resolves once every queued event has been run (or after FLUSH_TIMEOUT_MS).
+  const flush = () =>
+    new Promise((resolve) => {
+      if (!draining && pending.length === 0) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(resolve, FLUSH_TIMEOUT_MS);
+      flushWaiters.push(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+
+  const start = async ({ displayBounds: initialBounds = null } = {}) => {
+    if (!normalizedXDisplay) {
+      log.warn("DISPLAY is not set. X11 input control is unavailable.");
+      return false;
+    }
+
+    try {
+      const geometry = await runXdotool(["getdisplaygeometry"], xdotoolEnv);
+      const [width, height] = geometry.trim().split(/\s+/).map(Number);
+      screenBounds = resolveDisplayBounds({ left: 0, top: 0, width, height });
+    } catch (err) {
+      log.error(
+        `xdotool unavailable on ${normalizedXDisplay}: ${err?.message || err}. Input control is unavailable.`
+      );
+      return false;
+    }
+
+    displayBounds = resolveDisplayBounds(initialBounds);
+    pending = [];
+    running = true;
+    return true;
+  };
+
+  const stop = () => {
+    running = false;
+    pending = [];
+  };
+
+  const isRunning = () => running;
+
+  // xdotool runs per event, so the X server answering is what keeps input alive.
+  const ping = async () => {
+    if (!running) return false;
+    try {
+      await runXdotool(["getdisplaygeometry"], xdotoolEnv);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const send = (event) => {
+    if (!running || !event) return;
+
+    const nextBounds = resolveDisplayBounds(event.__display);
+    if (nextBounds) {
+      displayBounds = nextBounds;
+    }
+
+    const args = buildArgs(event);
+    if (args.length === 0) return;
+
+    // Collapse queued pointer moves so a slow X server never replays a stale trail.
+    const isMove = event.type === "move";
+    const last = pending[pending.length - 1];
+    if (isMove && last?.isMove) {
+      last.args = args;
+    } else {
+      pending.push({ args, isMove });
+    }
+    void drain();
+  };
+
+  return {
+    name: "x11",
+    start,
+    stop,
+    send,
+    flush,
+    ping,
+    isRunning,
+  };
+};
+
+module.exports = {
+  createX11InputBackend,
+  resolveKeysym,
+};
@@ -0,0 +1,30 @@
+const path = require("path");
+const fs = require("fs");
+const { createLogger } = require("../logging");
+
+const log = createLogger("launch");
+
+// Append-only JSON lines, one per hostapp:// launch attempt. Written synchronously:
+// a refused launch exits right after recording it.
+const createLaunchAuditLog = (filePath) => {
+  const record = (entry) => {
+    const line = `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, line, { encoding: "utf8", mode: 0o600 });
+      return true;
+    } catch (err) {
+      log.warn(`could not write launch audit log ${filePath}: ${err.message}`);
+      return false;
+    }
+  };
+
+  return {
+    path: filePath,
+    record,
+  };
+};
+
+module.exports = {
+  createLaunchAuditLog,
+};
@@ -0,0 +1,128 @@
+const { createPublicKey, verify } = require("crypto");
+
+const LAUNCH_SIGNATURE_CONTEXT = "hostapp-launch-v1";
+const UNTRUSTED_LAUNCH_ACTIONS = ["reject", "prompt"];
+const CLOCK_SKEW_SEC = 60;
+const SECRET_PARAMS = new Set(["token", "authToken", "auth", "sig"]);
+// A page that picks the host id or token can register this host under an identity it
+// knows, even on the configured server.
+const IDENTITY_PARAMS = ["hostId", "hostid", "id", "token", "authToken", "auth"];
+// Same character set the agent keeps for host ids; anything else is refused, not shown.
+const HOST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Verdicts a local prompt must not override: the link itself is broken or hostile.
+const UNPROMPTABLE_REASONS = new Set(["malformed-url", "invalid-host-id"]);
+
+const toOrigin = (value) => {
+  try {
+    const parsed = new URL(String(value || "").trim());
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return "";
+    return parsed.origin;
+  } catch {
+    return "";
+  }
+};
+
+const importPublisherKey = (value) => {
+  const encoded = String(value || "").trim();
+  if (!/^[A-Za-z0-9_-]{43}$/.test(encoded)) return null;
+  try {
+    return createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: encoded }, format: "jwk" });
+  } catch {
+    return null;
+  }
+};
+
+// Signed message: the context line, then every query parameter except `sig` as
+// `name=value` (both percent-encoded), sorted by name and joined with `&`.
+const buildSigningInput = (params) =>
+  [
+    LAUNCH_SIGNATURE_CONTEXT,
+    [...params.entries()]
+      .filter(([name]) => name !== "sig")
+      .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+      .sort()
+      .join("&"),
+  ].join("\n");
+
+// Names only: launch URLs carry tokens, so values other than the server and host id
+// stay out of the audit log.
+const describeLaunchParams = (params) =>
+  [...new Set(params.keys())].map((name) => (SECRET_PARAMS.has(name) ? `${name}(redacted)` : name));
+
+const verifyLaunchSignature = (params, publisherKeys, maxAgeSec, nowSec) => {
+  const signature = Buffer.from(String(params.get("sig") || ""), "base64url");
+  const issuedAt = Number(params.get("ts"));
+  if (!params.get("ts") || !Number.isSafeInteger(issuedAt)) {
+    return { trusted: false, reason: "signature-missing-ts" };
+  }
+  if (issuedAt > nowSec + CLOCK_SKEW_SEC || nowSec - issuedAt > maxAgeSec) {
+    return { trusted: false, reason: "signature-expired" };
+  }
+  const signingInput = Buffer.from(buildSigningInput(params), "utf8");
+  const signer = publisherKeys.find((encodedKey) => {
+    const key = importPublisherKey(encodedKey);
+    return !!key && verify(null, signingInput, key, signature);
+  });
+  return signer
+    ? { trusted: true, reason: "signed", signer }
+    : { trusted: false, reason: "bad-signature" };
+};
+
+// Decides whether a hostapp:// launch may point the agent at its server. A launch that
+// keeps the configured server without choosing the host id or token, names an
+// allowlisted origin or carries a valid `sig` from a publisher key is trusted; anything
+// else is not. Returns
+// `{ trusted, reason, server, hostId, params, signer }` for the audit log.
+const evaluateLaunch = ({
+  launchUrl,
+  configuredServerUrl,
+  allowedServers = [],
+  publisherKeys = [],
+  maxAgeSec = 300,
+  nowSec = Math.floor(Date.now() / 1000),
+}) => {
+  let params;
+  try {
+    params = new URL(launchUrl).searchParams;
+  } catch {
+    return { trusted: false, reason: "malformed-url", server: "", hostId: "", params: [] };
+  }
+
+  const launchServer = params.get("server") || params.get("serverUrl") || params.get("url") || "";
+  const base = {
+    server: launchServer ? toOrigin(launchServer) || launchServer : "",
+    hostId: params.get("hostId") || params.get("hostid") || params.get("id") || "",
+    params: describeLaunchParams(params),
+    signer: null,
+  };
+  const launchOrigin = toOrigin(launchServer);
+
+  if (base.hostId && !HOST_ID_PATTERN.test(base.hostId)) {
+    return { ...base, hostId: "", trusted: false, reason: "invalid-host-id" };
+  }
+  if (launchServer && !launchOrigin) return { ...base, trusted: false, reason: "malformed-url" };
+  if (!launchServer || launchOrigin === toOrigin(configuredServerUrl)) {
+    if (!IDENTITY_PARAMS.some((name) => params.has(name))) {
+      return { ...base, trusted: true, reason: "configured-server" };
+    }
+    if (params.has("sig")) {
+      return { ...base, ...verifyLaunchSignature(params, publisherKeys, maxAgeSec, nowSec) };
+    }
+    return { ...base, trusted: false, reason: "unsigned-identity" };
+  }
+  if (allowedServers.map(toOrigin).includes(launchOrigin)) {
+    return { ...base, trusted: true, reason: "allowlisted" };
+  }
+  if (params.has("sig")) {
+    return { ...base, ...verifyLaunchSignature(params, publisherKeys, maxAgeSec, nowSec) };
+  }
+  return { ...base, trusted: false, reason: "untrusted-server" };
+};
+
+module.exports = {
+  LAUNCH_SIGNATURE_CONTEXT,
+  UNPROMPTABLE_REASONS,
+  UNTRUSTED_LAUNCH_ACTIONS,
+  buildSigningInput,
+  evaluateLaunch,
+};
@@ -0,0 +1,137 @@
+const util = require("util");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FORMATS = ["text", "json"];
+const REDACTED = "[redacted]";
+
+// Credentials that can show up in logged URLs, launch arguments or payloads.
+const REDACTION_PATTERNS = [
+  [/([?&](?:token|authToken|auth|secret)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/(\bBearer\s+)[^\s"']+/gi, `$1${REDACTED}`],
+  [/("(?:token|authToken|remoteControlToken|secret)"\s*:\s*")[^"]*"/gi, `$1${REDACTED}"`],
+  [/(--token=)\S+/g, `$1${REDACTED}`],
+];
+
+const SENSITIVE_FIELD_PATTERN = /token|secret|password|auth/i;
+
+const settings = {
+  level: "info",
+  format: "text",
+  fileSink: null,
+  getContext: () => ({}),
+  secrets: new Set(),
+};
+
+const normalizeLevel = (value, fallback = "info") => {
+  const normalizedValue = String(value || "")
+    .trim()
+    .toLowerCase();
+  return LOG_LEVELS.includes(normalizedValue) ? normalizedValue : fallback;
+};
+
+const isLevelEnabled = (level) =>
+  LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+
+const redact = (line) => {
+  let redactedLine = line;
+  for (const secret of settings.secrets) {
+    redactedLine = redactedLine.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of REDACTION_PATTERNS) {
+    redactedLine = redactedLine.replace(pattern, replacement);
+  }
+  return redactedLine;
+};
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+const formatFieldValue = (value) =>
+  typeof value === "string" && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+
+const buildLine = (level, scope, args) => {
+  // A trailing plain object carries structured fields rather than message text, unless
+  // the message has printf placeholders for it.
+  const hasPlaceholders = typeof args[0] === "string" && /%[sdifjoOc]/.test(args[0]);
+  const fields =
+    args.length > 1 && !hasPlaceholders && isPlainObject(args[args.length - 1]) ? args.pop() : {};
+  const message = util.format(...args);
+  const context = settings.getContext() || {};
+  const time = new Date();
+  const entries = Object.entries({ ...context, ...fields })
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([name, value]) => [name, SENSITIVE_FIELD_PATTERN.test(name) ? REDACTED : value]);
+
+  if (settings.format === "json") {
+    return JSON.stringify({
+      time: time.toISOString(),
+      level,
+      ...(scope ? { scope } : {}),
+      msg: message,
+      ...Object.fromEntries(entries),
+    });
+  }
+
+  const prefix = `${time.toISOString()} ${level.toUpperCase().padEnd(5)} [agent]`;
+  const scopeText = scope ? `[${scope}]` : "";
+  const fieldText = entries.map(([name, value]) => `${name}=${formatFieldValue(value)}`).join(" ");
+  return `${prefix}${scopeText} ${message}${fieldText ? ` (${fieldText})` : ""}`;
+};
+
+const write = (level, scope, args) => {
+  if (!isLevelEnabled(level)) return;
+  const line = redact(buildLine(level, scope, args));
+
+  if (level === "warn" || level === "error") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+
+  if (!settings.fileSink) return;
+  try {
+    settings.fileSink.write(line);
+  } catch (err) {
+    const failedSink = settings.fileSink;
+    settings.fileSink = null;
+    failedSink.close();
+    console.error(redact(`[agent] log file disabled: ${err?.message || err}`));
+  }
+};
+
+// `fileSink` is a rotating file sink (or null for console only); `getContext` returns
+// fields added to every line, e.g. `{ hostId, sessionId }`.
+const configureLogging = ({ level, format, fileSink, getContext } = {}) => {
+  if (level !== undefined) settings.level = normalizeLevel(level);
+  if (format !== undefined) {
+    settings.format = LOG_FORMATS.includes(format) ? format : "text";
+  }
+  if (fileSink !== undefined) {
+    settings.fileSink?.close();
+    settings.fileSink = fileSink;
+  }
+  if (getContext) settings.getContext = getContext;
+};
+
+// Values that must never reach a log line (auth tokens, API secrets).
+const addLogRedaction = (secret) => {
+  const normalizedSecret = String(secret || "");
+  if (normalizedSecret.length >= 4) settings.secrets.add(normalizedSecret);
+};
+
+const createLogger = (scope = "") => ({
+  debug: (...args) => write("debug", scope, args),
+  info: (...args) => write("info", scope, args),
+  warn: (...args) => write("warn", scope, args),
+  error: (...args) => write("error", scope, args),
+});
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  normalizeLevel,
+  isLevelEnabled,
+  configureLogging,
+  addLogRedaction,
+  createLogger,
+};
@@ -0,0 +1,112 @@
+const path = require("path");
+const fs = require("fs");
+
+const LOG_ROTATIONS = ["size", "daily"];
+
+const toDateStamp = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Appends log lines to `<dir>/<baseName>.log`. Size rotation shifts full files to
+// `<baseName>.1.log` ... `<baseName>.<maxFiles>.log`; daily rotation writes
+// `<baseName>-YYYY-MM-DD.log` and keeps the newest `maxFiles` days. Writes are
+// synchronous so the last lines before a crash are on disk.
+const createRotatingFileSink = ({
+  dir,
+  baseName = "agent",
+  rotation = "size",
+  maxBytes = 10 * 1024 * 1024,
+  maxFiles = 5,
+}) => {
+  const logDir = path.resolve(dir);
+  const normalizedRotation = LOG_ROTATIONS.includes(rotation) ? rotation : "size";
+  const normalizedMaxFiles = Math.max(1, Math.floor(Number(maxFiles) || 5));
+  const normalizedMaxBytes = Math.max(64 * 1024, Number(maxBytes) || 10 * 1024 * 1024);
+
+  let fd = null;
+  let currentPath = "";
+  let currentBytes = 0;
+  let currentDate = "";
+
+  const resolveFilePath = (date) =>
+    normalizedRotation === "daily"
+      ? path.join(logDir, `${baseName}-${date}.log`)
+      : path.join(logDir, `${baseName}.log`);
+
+  const open = (date) => {
+    fs.mkdirSync(logDir, { recursive: true });
+    currentPath = resolveFilePath(date);
+    currentDate = date;
+    fd = fs.openSync(currentPath, "a");
+    currentBytes = fs.fstatSync(fd).size;
+  };
+
+  const close = () => {
+    if (fd === null) return;
+    try {
+      fs.closeSync(fd);
+    } catch {
+      // noop
+    }
+    fd = null;
+  };
+
+  const shiftSizeRotatedFiles = () => {
+    const numberedPath = (index) => path.join(logDir, `${baseName}.${index}.log`);
+    try {
+      fs.rmSync(numberedPath(normalizedMaxFiles), { force: true });
+      for (let index = normalizedMaxFiles - 1; index >= 1; index -= 1) {
+        if (fs.existsSync(numberedPath(index))) {
+          fs.renameSync(numberedPath(index), numberedPath(index + 1));
+        }
+      }
+      fs.renameSync(currentPath, numberedPath(1));
+    } catch {
+      // a locked file only delays rotation until the next write
+    }
+  };
+
+  const pruneDailyFiles = () => {
+    const pattern = new RegExp(`^${baseName}-\\d{4}-\\d{2}-\\d{2}\\.log$`);
+    const dailyFiles = fs
+      .readdirSync(logDir)
+      .filter((entry) => pattern.test(entry))
+      .sort()
+      .reverse();
+    for (const entry of dailyFiles.slice(normalizedMaxFiles)) {
+      fs.rmSync(path.join(logDir, entry), { force: true });
+    }
+  };
+
+  const write = (line, time = Date.now()) => {
+    const date = toDateStamp(time);
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+
+    if (fd === null) {
+      open(date);
+      if (normalizedRotation === "daily") pruneDailyFiles();
+    } else if (normalizedRotation === "daily" && date !== currentDate) {
+      close();
+      open(date);
+      pruneDailyFiles();
+    } else if (normalizedRotation === "size" && currentBytes + bytes > normalizedMaxBytes) {
+      close();
+      shiftSizeRotatedFiles();
+      open(date);
+    }
+
+    fs.writeSync(fd, data);
+    currentBytes += bytes;
+  };
+
+  return {
+    write,
+    close,
+    dir: logDir,
+    getCurrentPath: () => currentPath || resolveFilePath(toDateStamp(Date.now())),
+  };
+};
+
+module.exports = {
+  LOG_ROTATIONS,
+  createRotatingFileSink,
+};
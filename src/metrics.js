@@ -0,0 +1,196 @@
+const http = require("http");
+const { isLocalHostHeader } = require("./controlApi");
+
+const METRICS_HOST = "127.0.0.1";
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+// Series are keyed by their label set; `render` emits them in first-seen order.
+const createSeries = () => {
+  const series = new Map();
+  return {
+    get: (labels, create) => {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { labels, value: create() });
+      return series.get(key).value;
+    },
+    entries: () => [...series.values()],
+  };
+};
+
+// Minimal Prometheus registry: counters, gauges (set or sampled through `collect`) and
+// histograms with fixed buckets, rendered in the text exposition format.
+const createMetricsRegistry = ({ prefix = "" } = {}) => {
+  const metrics = [];
+
+  const register = (metric) => {
+    metrics.push({ ...metric, name: `${prefix}${metric.name}` });
+    return metric;
+  };
+
+  const counter = (name, help) => {
+    const series = createSeries();
+    return register({
+      name,
+      help,
+      type: "counter",
+      series,
+      inc: (labels = {}, amount = 1) => {
+        const cell = series.get(labels, () => ({ value: 0 }));
+        cell.value += amount;
+      },
+    });
+  };
+
+  const gauge = (name, help, collect = null) => {
+    const series = createSeries();
+    return register({
+      name,
+      help,
+      type: "gauge",
+      series,
+      collect,
+      set: (value, labels = {}) => {
+        series.get(labels, () => ({ value: 0 })).value = value;
+      },
+    });
+  };
+
+  const histogram = (name, help, buckets) => {
+    const sortedBuckets = [...buckets].sort((left, right) => left - right);
+    const series = createSeries();
+    return register({
+      name,
+      help,
+      type: "histogram",
+      series,
+      buckets: sortedBuckets,
+      observe: (value, labels = {}) => {
+        const cell = series.get(labels, () => ({
+          counts: sortedBuckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        sortedBuckets.forEach((bucket, index) => {
+          if (value <= bucket) cell.counts[index] += 1;
+        });
+        cell.sum += value;
+        cell.count += 1;
+      },
+    });
+  };
+
+  const render = () => {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) metric.set(metric.collect());
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { labels, value: cell } of metric.series.entries()) {
+        if (metric.type !== "histogram") {
+          lines.push(`${metric.name}${formatLabels(labels)} ${cell.value}`);
+          continue;
+        }
+        const bucketName = `${metric.name}_bucket`;
+        metric.buckets.forEach((bucket, index) => {
+          lines.push(`${bucketName}${formatLabels({ ...labels, le: bucket })} ${cell.counts[index]}`);
+        });
+        lines.push(`${bucketName}${formatLabels({ ...labels, le: "+Inf" })} ${cell.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${cell.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${cell.count}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  };
+
+  // Compact JSON form of every series, for the periodic socket summary. Histograms are
+  // reduced to count, sum and mean.
+  const snapshot = () => {
+    const result = {};
+    for (const metric of metrics) {
+      if (metric.collect) metric.set(metric.collect());
+      result[metric.name] = metric.series.entries().map(({ labels, value: cell }) => {
+        if (metric.type !== "histogram") return { labels, value: cell.value };
+        const mean = cell.count ? cell.sum / cell.count : 0;
+        return { labels, count: cell.count, sum: cell.sum, mean };
+      });
+    }
+    return result;
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+    snapshot,
+  };
+};
+
+// Serves `GET /metrics` on loopback for a local Prometheus or node exporter to scrape.
+const createMetricsServer = ({ port, registry }) => {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    if (!isLocalHostHeader(req)) {
+      res.writeHead(403).end();
+      return;
+    }
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url || "/", "http://localhost"));
+    } catch {
+      // Request targets such as `http://[` do not parse; throwing here would end the agent.
+      res.writeHead(400).end();
+      return;
+    }
+    if (req.method !== "GET" || pathname !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    const body = registry.render();
+    res.writeHead(200, {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Content-Length": Buffer.byteLength(body),
+    });
+    res.end(body);
+  });
+
+  const start = () =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, METRICS_HOST, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      if (!server.listening) {
+        resolve();
+        return;
+      }
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+
+  return {
+    start,
+    stop,
+  };
+};
+
+module.exports = {
+  METRICS_HOST,
+  createMetricsRegistry,
+  createMetricsServer,
+};
@@ -0,0 +1,36 @@
+// Ordered from least to most privileged.
+const PERMISSION_LEVELS = ["view-only", "pointer-only", "full-control"];
+
+const POINTER_EVENT_TYPES = new Set(["move", "click", "mouse-down", "mouse-up", "wheel"]);
+
+const PERMISSION_PURPOSES = {
+  "view-only": "view this screen",
+  "pointer-only": "view this screen and control the mouse",
+  "full-control": "take full control of this computer (mouse and keyboard)",
+};
+
+const normalizePermission = (value, fallback = "") => {
+  const normalizedValue = String(value || "")
+    .trim()
+    .toLowerCase();
+  return PERMISSION_LEVELS.includes(normalizedValue) ? normalizedValue : fallback;
+};
+
+const getPermissionRank = (permission) => PERMISSION_LEVELS.indexOf(permission);
+
+const isInputAllowed = (permission, eventType) => {
+  if (permission === "full-control") return true;
+  if (permission === "pointer-only") return POINTER_EVENT_TYPES.has(eventType);
+  return false;
+};
+
+const describePermission = (permission) =>
+  PERMISSION_PURPOSES[permission] || PERMISSION_PURPOSES["view-only"];
+
+module.exports = {
+  PERMISSION_LEVELS,
+  normalizePermission,
+  getPermissionRank,
+  isInputAllowed,
+  describePermission,
+};
@@ -0,0 +1,84 @@
+// Session recording container (`.rdrec`):
+//
+//   magic "RDREC001"
+//   record*: type (u8) | elapsedMs (u32 BE) | metaLength (u32 BE) | meta (UTF-8 JSON) | blobs
+//
+// `meta.blobs` lists the byte length of each binary blob (frame/tile JPEGs) that follows
+// the JSON, in order. elapsedMs is relative to the session header.
+const RECORDING_MAGIC = Buffer.from("RDREC001", "ascii");
+const RECORDING_EXTENSION = ".rdrec";
+const RECORD_HEADER_BYTES = 9;
+
+const RECORD_TYPES = {
+  session: 1,
+  frame: 2,
+  input: 3,
+  event: 4,
+  end: 5,
+};
+
+const RECORD_TYPE_NAMES = Object.fromEntries(
+  Object.entries(RECORD_TYPES).map(([name, code]) => [code, name])
+);
+
+const encodeRecord = (type, elapsedMs, meta = {}, blobs = []) => {
+  const metaBuffer = Buffer.from(
+    JSON.stringify(blobs.length ? { ...meta, blobs: blobs.map((blob) => blob.length) } : meta),
+    "utf8"
+  );
+  const header = Buffer.alloc(RECORD_HEADER_BYTES);
+  header.writeUInt8(RECORD_TYPES[type], 0);
+  header.writeUInt32BE(Math.max(0, Math.min(0xffffffff, Math.floor(elapsedMs))), 1);
+  header.writeUInt32BE(metaBuffer.length, 5);
+  return Buffer.concat([header, metaBuffer, ...blobs]);
+};
+
+// Yields `{ type, elapsedMs, meta, blobs }`. A recording cut short by a crash ends
+// with a partial record, which is reported through `truncated` instead of thrown.
+function* readRecords(buffer) {
+  if (
+    buffer.length < RECORDING_MAGIC.length ||
+    !buffer.subarray(0, RECORDING_MAGIC.length).equals(RECORDING_MAGIC)
+  ) {
+    throw new Error("not a session recording (bad magic)");
+  }
+
+  let offset = RECORDING_MAGIC.length;
+  while (offset < buffer.length) {
+    if (offset + RECORD_HEADER_BYTES > buffer.length) {
+      yield { type: "truncated", offset };
+      return;
+    }
+    const typeCode = buffer.readUInt8(offset);
+    const elapsedMs = buffer.readUInt32BE(offset + 1);
+    const metaLength = buffer.readUInt32BE(offset + 5);
+    const metaStart = offset + RECORD_HEADER_BYTES;
+    if (metaStart + metaLength > buffer.length) {
+      yield { type: "truncated", offset };
+      return;
+    }
+
+    const meta = JSON.parse(buffer.toString("utf8", metaStart, metaStart + metaLength));
+    let blobOffset = metaStart + metaLength;
+    const blobs = [];
+    for (const blobLength of Array.isArray(meta.blobs) ? meta.blobs : []) {
+      if (blobOffset + blobLength > buffer.length) {
+        yield { type: "truncated", offset };
+        return;
+      }
+      blobs.push(buffer.subarray(blobOffset, blobOffset + blobLength));
+      blobOffset += blobLength;
+    }
+
+    yield { type: RECORD_TYPE_NAMES[typeCode] || `unknown-${typeCode}`, elapsedMs, meta, blobs };
+    offset = blobOffset;
+  }
+}
+
+module.exports = {
+  RECORDING_MAGIC,
+  RECORDING_EXTENSION,
+  RECORD_TYPES,
+  encodeRecord,
+  readRecords,
+};
@@ -0,0 +1,234 @@
+const path = require("path");
+const fs = require("fs");
+const { RECORDING_MAGIC, RECORDING_EXTENSION, encodeRecord } = require("./format");
+const { createLogger } = require("../logging");
+
+const log = createLogger();
+
+const RECORDING_FORMAT_VERSION = 1;
+// Frames are skipped (never queued) once this much is waiting for the disk, so a slow
+// disk costs recording fidelity instead of capture latency.
+const MAX_BUFFERED_BYTES = 16 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sanitizeSessionId = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/[^a-zA-Z0-9_-]/g, "")
+    .slice(0, 64) || "session";
+
+const buildRecordingName = (sessionId, startedAt) => {
+  const timestamp = new Date(startedAt).toISOString().replace(/[:.]/g, "-");
+  return `${timestamp}_${sanitizeSessionId(sessionId)}${RECORDING_EXTENSION}`;
+};
+
+// Deletes recordings older than `retentionDays`, then the oldest ones until the
+// directory fits in `maxTotalBytes`. `keepPath` (the recording in progress) is never
+// removed. A limit of 0 disables that rule.
+const pruneRecordings = async (dir, { retentionDays = 0, maxTotalBytes = 0, keepPath = "" }) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const recordings = [];
+  for (const entry of entries) {
+    if (path.extname(entry) !== RECORDING_EXTENSION) continue;
+    const filePath = path.join(dir, entry);
+    if (filePath === keepPath) continue;
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.isFile()) recordings.push({ filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+    } catch {
+      // removed concurrently
+    }
+  }
+  recordings.sort((left, right) => right.mtimeMs - left.mtimeMs);
+
+  const now = Date.now();
+  let keptBytes = 0;
+  const removed = [];
+  for (const recording of recordings) {
+    const expired = retentionDays > 0 && now - recording.mtimeMs > retentionDays * DAY_MS;
+    const overBudget = maxTotalBytes > 0 && keptBytes + recording.size > maxTotalBytes;
+    if (!expired && !overBudget) {
+      keptBytes += recording.size;
+      continue;
+    }
+    try {
+      await fs.promises.unlink(recording.filePath);
+      removed.push(recording.filePath);
+    } catch {
+      // already gone or locked; retried on the next session
+    }
+  }
+  return removed;
+};
+
+// Writes one `.rdrec` file per session: a metadata header, every frame exactly as it
+// was sent (full JPEG, tile keyframe or tile delta) and every remote-input event.
+// All writes are queued on a file stream; no call here waits for the disk.
+const createSessionRecorder = ({
+  dir,
+  maxSessionBytes = 0,
+  retentionDays = 0,
+  maxTotalBytes = 0,
+} = {}) => {
+  const recordingsDir = path.resolve(dir);
+  let current = null;
+
+  const write = (type, meta, blobs = []) => {
+    const record = encodeRecord(type, Date.now() - current.startedAt, meta, blobs);
+    current.bytes += record.length;
+    current.stream.write(record);
+  };
+
+  const fitsSessionLimit = (extraBytes) => {
+    if (current.limitReached) return false;
+    if (!maxSessionBytes || current.bytes + extraBytes <= maxSessionBytes) return true;
+    current.limitReached = true;
+    write("event", { name: "size-limit-reached", maxSessionBytes });
+    log.warn(
+      `recording ${path.basename(current.filePath)} reached ${maxSessionBytes} bytes; frames are no longer recorded.`
+    );
+    return false;
+  };
+
+  const start = (session = {}) => {
+    void stop("replaced");
+
+    const startedAt = Date.now();
+    const filePath = path.join(recordingsDir, buildRecordingName(session.sessionId, startedAt));
+    try {
+      fs.mkdirSync(recordingsDir, { recursive: true });
+    } catch (err) {
+      log.error(`recording disabled for this session: ${err.message}`);
+      return "";
+    }
+
+    const stream = fs.createWriteStream(filePath, { flags: "wx" });
+    current = {
+      stream,
+      filePath,
+      startedAt,
+      bytes: 0,
+      frames: 0,
+      inputs: 0,
+      droppedFrames: 0,
+      awaitingKeyframe: false,
+      limitReached: false,
+    };
+    const recording = current;
+    stream.on("error", (err) => {
+      log.error(`recording ${path.basename(filePath)} failed: ${err.message}`);
+      if (current === recording) current = null;
+    });
+
+    stream.write(RECORDING_MAGIC);
+    current.bytes += RECORDING_MAGIC.length;
+    write("session", {
+      version: RECORDING_FORMAT_VERSION,
+      startedAt: new Date(startedAt).toISOString(),
+      ...session,
+    });
+    log.info(`recording session to ${filePath}`);
+
+    void pruneRecordings(recordingsDir, { retentionDays, maxTotalBytes, keepPath: filePath })
+      .then((removed) => {
+        if (removed.length) {
+          log.info(`removed ${removed.length} recording(s) past retention limits.`);
+        }
+      })
+      .catch((err) => {
+        log.warn(`recording cleanup failed: ${err.message}`);
+      });
+    return filePath;
+  };
+
+  // `frame` mirrors the emitted update: `{ kind, seq, scale, image }` for full frames and
+  // keyframes, `{ kind: "delta", seq, scale, frameId, baseFrameId, width, height, tiles }`
+  // for deltas. A delta is only useful on top of the frame before it, so after any skipped
+  // frame deltas are skipped too until the next keyframe.
+  const recordFrame = ({ kind, image, tiles = [], ...details }) => {
+    if (!current) return;
+    const blobs = kind === "delta" ? tiles.map((tile) => tile.image) : [image];
+    const frameBytes = blobs.reduce((total, blob) => total + blob.length, 0);
+
+    const skip =
+      current.stream.writableLength > MAX_BUFFERED_BYTES ||
+      (kind === "delta" && current.awaitingKeyframe) ||
+      !fitsSessionLimit(frameBytes);
+    if (skip) {
+      current.droppedFrames += 1;
+      current.awaitingKeyframe = true;
+      return;
+    }
+
+    current.awaitingKeyframe = false;
+    current.frames += 1;
+    write(
+      "frame",
+      kind === "delta"
+        ? {
+            kind,
+            ...details,
+            tiles: tiles.map(({ x, y, width, height }) => ({ x, y, width, height })),
+          }
+        : { kind, ...details },
+      blobs
+    );
+  };
+
+  // `rejected` is the rejection reason for input that never reached the input backend.
+  // Input stays on record past the size limit; it is tiny next to frames.
+  const recordInput = (event, rejected = "") => {
+    if (!current) return;
+    current.inputs += 1;
+    write("input", rejected ? { event, rejected } : { event });
+  };
+
+  // Session-level changes worth seeing on the timeline (permission, display, ...).
+  const recordEvent = (name, details = {}) => {
+    if (!current) return;
+    write("event", { name, ...details });
+  };
+
+  // Resolves once the recording is flushed to disk.
+  const stop = (reason = "ended") => {
+    if (!current) return Promise.resolve();
+    const recording = current;
+    current = null;
+    const summary = {
+      reason,
+      durationMs: Date.now() - recording.startedAt,
+      frames: recording.frames,
+      inputs: recording.inputs,
+      droppedFrames: recording.droppedFrames,
+      limitReached: recording.limitReached,
+    };
+    log.info(
+      `recording saved: ${recording.filePath} (${recording.frames} frames, ${recording.inputs} input events, ${recording.droppedFrames} skipped)`
+    );
+    return new Promise((resolve) => {
+      recording.stream.on("error", resolve);
+      recording.stream.end(encodeRecord("end", summary.durationMs, summary), resolve);
+    });
+  };
+
+  return {
+    start,
+    recordFrame,
+    recordInput,
+    recordEvent,
+    stop,
+    isRecording: () => !!current,
+    dir: recordingsDir,
+  };
+};
+
+module.exports = {
+  createSessionRecorder,
+  pruneRecordings,
+};
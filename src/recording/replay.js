@@ -0,0 +1,151 @@
+const jpeg = require("jpeg-js");
+
+const decodeJpeg = (buffer) => {
+  const decoded = jpeg.decode(buffer, { useTArray: false, formatAsRGBA: true });
+  return {
+    width: decoded.width,
+    height: decoded.height,
+    pixels: Buffer.isBuffer(decoded.data) ? decoded.data : Buffer.from(decoded.data),
+  };
+};
+
+const blitTile = (canvas, tile, tilePixels) => {
+  const width = Math.min(tile.width, canvas.width - tile.x);
+  const height = Math.min(tile.height, canvas.height - tile.y);
+  for (let row = 0; row < height; row += 1) {
+    const sourceStart = row * tile.width * 4;
+    tilePixels.copy(
+      canvas.pixels,
+      ((tile.y + row) * canvas.width + tile.x) * 4,
+      sourceStart,
+      sourceStart + width * 4
+    );
+  }
+};
+
+// Rebuilds whole frames from recorded frame records. `apply` returns a JPEG of the
+// screen after the record, or null for a delta with no keyframe to build on.
+const createFrameCompositor = ({ quality = 85 } = {}) => {
+  let canvas = null;
+
+  const apply = ({ meta, blobs }) => {
+    if (meta.kind !== "delta") {
+      canvas = decodeJpeg(blobs[0]);
+      return blobs[0];
+    }
+    if (!canvas || canvas.width !== meta.width || canvas.height !== meta.height) {
+      return null;
+    }
+    (meta.tiles || []).forEach((tile, index) => {
+      if (!blobs[index]) return;
+      blitTile(canvas, tile, decodeJpeg(blobs[index]).pixels);
+    });
+    const { pixels, width, height } = canvas;
+    return jpeg.encode({ data: pixels, width, height }, quality).data;
+  };
+
+  return {
+    apply,
+  };
+};
+
+const formatElapsed = (elapsedMs) => {
+  const totalSeconds = Math.floor(elapsedMs / 1000);
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}.${String(elapsedMs % 1000).padStart(3, "0")}`;
+};
+
+const formatPointer = (event) =>
+  Number.isFinite(event.x) && Number.isFinite(event.y)
+    ? ` @ (${event.x.toFixed(3)}, ${event.y.toFixed(3)})`
+    : "";
+
+const describeInput = (event = {}) => {
+  const parts = [event.type || "unknown"];
+  if (event.button) parts.push(event.button);
+  if (event.key || event.code) {
+    parts.push(`key=${event.key || ""}${event.code ? ` (${event.code})` : ""}`);
+  }
+  if (Number.isFinite(event.deltaY)) parts.push(`deltaY=${event.deltaY}`);
+  return `${parts.join(" ")}${formatPointer(event)}`;
+};
+
+const describeRecord = ({ type, meta }) => {
+  if (type === "frame") {
+    const size = meta.width && meta.height ? ` ${meta.width}x${meta.height}` : "";
+    const tiles = meta.kind === "delta" ? ` ${(meta.tiles || []).length} tiles` : "";
+    return `frame ${meta.kind}${size}${tiles} (seq ${meta.seq ?? "?"}, scale ${meta.scale ?? 1})`;
+  }
+  if (type === "input") {
+    const rejected = meta.rejected ? ` [rejected: ${meta.rejected}]` : "";
+    return `input ${describeInput(meta.event)}${rejected}`;
+  }
+  if (type === "event") {
+    const { name, ...details } = meta;
+    const detailText = Object.keys(details).length ? ` ${JSON.stringify(details)}` : "";
+    return `event ${name}${detailText}`;
+  }
+  if (type === "end") {
+    return `end (${meta.reason}; ${meta.frames} frames, ${meta.droppedFrames} skipped)`;
+  }
+  return type;
+};
+
+// Summarises a recording's records into `{ session, summary, timeline }`.
+const buildTimeline = (records) => {
+  let session = null;
+  const summary = {
+    durationMs: 0,
+    frames: { full: 0, keyframe: 0, delta: 0 },
+    inputs: {},
+    rejectedInputs: 0,
+    events: 0,
+    complete: false,
+    truncated: false,
+  };
+  const timeline = [];
+
+  for (const record of records) {
+    if (record.type === "truncated") {
+      summary.truncated = true;
+      break;
+    }
+    if (record.type === "session") {
+      session = record.meta;
+      continue;
+    }
+
+    summary.durationMs = Math.max(summary.durationMs, record.elapsedMs);
+    if (record.type === "frame") {
+      summary.frames[record.meta.kind] = (summary.frames[record.meta.kind] || 0) + 1;
+    } else if (record.type === "input") {
+      const inputType = record.meta.event?.type || "unknown";
+      summary.inputs[inputType] = (summary.inputs[inputType] || 0) + 1;
+      if (record.meta.rejected) summary.rejectedInputs += 1;
+    } else if (record.type === "event") {
+      summary.events += 1;
+    } else if (record.type === "end") {
+      summary.complete = true;
+    }
+
+    timeline.push({
+      elapsedMs: record.elapsedMs,
+      at: formatElapsed(record.elapsedMs),
+      type: record.type,
+      description: describeRecord(record),
+    });
+  }
+
+  return {
+    session,
+    summary,
+    timeline,
+  };
+};
+
+module.exports = {
+  createFrameCompositor,
+  buildTimeline,
+  formatElapsed,
+};
@@ -0,0 +1,46 @@
+// Approved sessions in join order. At most one holds control (its input reaches the
+// host); the others observe. The lead session is the controller, or the longest-joined
+// session while nobody holds control: it paces frame acks and owns clipboard and file
+// transfer.
+const createSessionRegistry = () => {
+  const sessions = new Map();
+  let controllerId = "";
+
+  const add = (session) => {
+    sessions.set(session.sessionId, session);
+    return session;
+  };
+
+  const remove = (sessionId) => {
+    const session = sessions.get(sessionId) || null;
+    sessions.delete(sessionId);
+    if (controllerId === sessionId) controllerId = "";
+    return session;
+  };
+
+  const setController = (sessionId) => {
+    controllerId = sessions.has(sessionId) ? sessionId : "";
+    return controllerId;
+  };
+
+  const getLead = () => sessions.get(controllerId) || sessions.values().next().value || null;
+
+  return {
+    add,
+    remove,
+    get: (sessionId) => sessions.get(sessionId) || null,
+    has: (sessionId) => sessions.has(sessionId),
+    list: () => [...sessions.values()],
+    size: () => sessions.size,
+    setController,
+    getControllerId: () => controllerId,
+    getController: () => sessions.get(controllerId) || null,
+    getLead,
+    getLeadId: () => getLead()?.sessionId || "",
+    getRole: (sessionId) => (sessionId === controllerId ? "controller" : "observer"),
+  };
+};
+
+module.exports = {
+  createSessionRegistry,
+};
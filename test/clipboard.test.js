@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createClipboardSync } = require("../src/clipboard");
+
+// A backend whose start() resolves only when the test says so.
+const createFakeBackend = () => {
+  const starts = [];
+  const backend = {
+    name: "fake",
+    running: false,
+    written: [],
+    onChange: null,
+    start: (onChange) =>
+      new Promise((resolve) => {
+        starts.push((started) => {
+          backend.running = started;
+          backend.onChange = onChange;
+          resolve(started);
+        });
+      }),
+    stop: () => {
+      backend.running = false;
+    },
+    setText: async (text) => {
+      backend.written.push(text);
+      return true;
+    },
+  };
+  return { backend, finishStart: (started = true) => starts.shift()(started), starts };
+};
+
+const createSync = (backend, events = []) =>
+  createClipboardSync({
+    backend,
+    maxBytes: 8,
+    onHostChange: (text) => events.push(["change", text]),
+    onHostRejected: (details) => events.push(["rejected", details.reason]),
+  });
+
+test("host changes are forwarded within the size limit", async () => {
+  const { backend, finishStart } = createFakeBackend();
+  const events = [];
+  const sync = createSync(backend, events);
+  const enabling = sync.enable();
+  finishStart();
+  assert.equal(await enabling, true);
+
+  backend.onChange("short");
+  backend.onChange("far too long");
+  assert.deepEqual(events, [
+    ["change", "short"],
+    ["rejected", "too-large"],
+  ]);
+  assert.equal(await sync.pushFromController("hello"), "");
+  assert.equal(await sync.pushFromController("far too long"), "too-large");
+  assert.deepEqual(backend.written, ["hello"]);
+});
+
+test("a disable while the backend is starting wins", async () => {
+  const { backend, finishStart } = createFakeBackend();
+  const sync = createSync(backend);
+  const enabling = sync.enable();
+  sync.disable();
+  finishStart();
+  assert.equal(await enabling, false);
+  assert.equal(sync.isEnabled(), false);
+  assert.equal(backend.running, false);
+  assert.equal(await sync.pushFromController("x"), "disabled");
+});
+
+test("enable, disable, enable during one start ends enabled with one backend", async () => {
+  const { backend, finishStart, starts } = createFakeBackend();
+  const sync = createSync(backend);
+  const first = sync.enable();
+  sync.disable();
+  const second = sync.enable();
+  finishStart();
+  assert.equal(await first, false);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(starts.length, 1);
+  finishStart();
+  assert.equal(await second, true);
+  assert.equal(sync.isEnabled(), true);
+  assert.equal(backend.running, true);
+});
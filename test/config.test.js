@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../src/config");
+
+const withConfigFile = (t, contents) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "agent.config.json");
+  fs.writeFileSync(filePath, JSON.stringify(contents));
+  return filePath;
+};
+
+test("sources resolve launch URL, flags, environment, file, then default", (t) => {
+  const configFilePath = withConfigFile(t, {
+    fps: 5,
+    tileQuality: 40,
+    maxSessions: 3,
+    keyframeIntervalMs: 4000,
+  });
+  const { values, sources, errors } = loadConfig({
+    argv: ["--tile-quality=60", "hostapp://open?fps=12"],
+    env: { REMOTE_TILE_QUALITY: "50", REMOTE_MAX_SESSIONS: "6", REMOTE_FPS: "8" },
+    configFilePath,
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(values.fps, 12);
+  assert.equal(sources.fps.source, "protocol");
+  assert.equal(values.tileQuality, 60);
+  assert.equal(values.maxSessions, 6);
+  assert.equal(values.keyframeIntervalMs, 4000);
+  assert.equal(sources.keyframeIntervalMs.source, "file");
+  assert.equal(sources.frameAckWindow.source, "default");
+});
+
+test("invalid values are errors that name the key and source", (t) => {
+  const configFilePath = withConfigFile(t, {});
+  const { values, errors } = loadConfig({
+    env: { REMOTE_TILE_QUALITY: "500", REMOTE_PERF_MODE: "turbo" },
+    configFilePath,
+  });
+  assert.equal(errors.length, 2);
+  assert.ok(errors.some((error) => /tileQuality from env REMOTE_TILE_QUALITY/.test(error)));
+  assert.equal(values.tileQuality, 70);
+});
+
+test("an invalid server URL falls back to the next source with a warning", (t) => {
+  const configFilePath = withConfigFile(t, { serverUrl: "https://file.example" });
+  const { values, errors, warnings } = loadConfig({
+    argv: ["--server=ftp://nope"],
+    env: { REMOTE_SERVER_URL: "not a url" },
+    configFilePath,
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(values.serverUrl, "https://file.example");
+  assert.equal(warnings.filter((warning) => /invalid serverUrl/.test(warning)).length, 2);
+});
+
+test("invalid launch URL parameters fall back with a warning instead of stopping", (t) => {
+  const configFilePath = withConfigFile(t, {});
+  const { values, sources, errors, warnings } = loadConfig({
+    argv: ["hostapp://open?fps=0"],
+    env: { REMOTE_FPS: "8" },
+    configFilePath,
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(values.fps, 8);
+  assert.equal(sources.fps.source, "env");
+  assert.ok(warnings.some((warning) => /ignoring invalid fps from .*"0"/.test(warning)));
+});
+
+test("an overlong token is truncated with a warning that hides its value", (t) => {
+  const configFilePath = withConfigFile(t, {});
+  const token = "t".repeat(300);
+  const { values, errors, warnings } = loadConfig({
+    env: { REMOTE_CONTROL_TOKEN: token },
+    configFilePath,
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(values.remoteControlToken, token.slice(0, 256));
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].includes(token.slice(0, 20)), false);
+});
+
+test("consent settings, including the headless delay, come from the schema", (t) => {
+  const configFilePath = withConfigFile(t, {});
+  const { values, errors } = loadConfig({
+    env: {
+      REMOTE_CONSENT_POLICY: "prompt",
+      REMOTE_CONSENT_HEADLESS_RESPONSE: "accept",
+      REMOTE_CONSENT_HEADLESS_DELAY_MS: "1500",
+    },
+    configFilePath,
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(values.consentPolicy, "prompt");
+  assert.equal(values.consentHeadlessResponse, "accept");
+  assert.equal(values.consentHeadlessDelayMs, 1500);
+  assert.equal(
+    loadConfig({ env: { REMOTE_CONSENT_HEADLESS_DELAY_MS: "-1" }, configFilePath }).errors.length,
+    1
+  );
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { createControlApiServer, CONTROL_API_HOST } = require("../src/controlApi");
+
+const rawRequest = (port, request) =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect(port, CONTROL_API_HOST, () => socket.end(request));
+    let response = "";
+    socket.on("data", (chunk) => (response += chunk));
+    socket.on("end", () => resolve(response));
+    socket.on("error", reject);
+  });
+
+test("unparseable request targets get a 400 and the server keeps answering", async (t) => {
+  const api = createControlApiServer({ port: 0, secret: "s".repeat(32), getStatus: () => ({}) });
+  const port = await api.start();
+  t.after(() => api.stop());
+
+  const bad = await rawRequest(port, "GET http://[ HTTP/1.1\r\nHost: localhost\r\n\r\n");
+  assert.match(bad, /^HTTP\/1\.1 400 /);
+  const health = await rawRequest(
+    port,
+    "GET /health HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"
+  );
+  assert.match(health, /^HTTP\/1\.1 200 /);
+});
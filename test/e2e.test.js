@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createHash,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomBytes,
+  sign,
+  verify,
+  createPublicKey,
+} = require("crypto");
+const {
+  E2E_PROTOCOL,
+  computeConfirmMac,
+  createE2eHandshake,
+  loadOrCreateIdentity,
+} = require("../src/e2e");
+const { createE2eChannel } = require("../src/e2e/channel");
+
+const exportRaw = (keyObject) => keyObject.export({ format: "jwk" }).x;
+const importRaw = (x, crv) => createPublicKey({ key: { kty: "OKP", crv, x }, format: "jwk" });
+
+// The controller's half of the exchange, as a viewer implements it.
+const createController = ({ identityKeyPair = null } = {}) => {
+  const ephemeral = generateKeyPairSync("x25519");
+  const offer = {
+    publicKey: exportRaw(ephemeral.publicKey),
+    nonce: randomBytes(16).toString("base64url"),
+    ...(identityKeyPair ? { identityKey: exportRaw(identityKeyPair.publicKey) } : {}),
+  };
+
+  const complete = (sessionId, accept) => {
+    const transcript = createHash("sha256")
+      .update(
+        JSON.stringify([
+          E2E_PROTOCOL,
+          sessionId,
+          offer.publicKey,
+          offer.nonce,
+          offer.identityKey || "",
+          accept.publicKey,
+          accept.nonce,
+          accept.identityKey,
+        ])
+      )
+      .digest();
+    const hostSigned = verify(
+      null,
+      transcript,
+      importRaw(accept.identityKey, "Ed25519"),
+      Buffer.from(accept.signature, "base64url")
+    );
+    const sharedSecret = diffieHellman({
+      privateKey: ephemeral.privateKey,
+      publicKey: importRaw(accept.publicKey, "X25519"),
+    });
+    const keyMaterial = Buffer.from(
+      hkdfSync("sha256", sharedSecret, transcript, E2E_PROTOCOL, 96)
+    );
+    return {
+      transcript,
+      hostSigned,
+      confirmKey: keyMaterial.subarray(64, 96),
+      channel: createE2eChannel({
+        sessionId,
+        sendKey: keyMaterial.subarray(32, 64),
+        receiveKey: keyMaterial.subarray(0, 32),
+      }),
+    };
+  };
+
+  return { offer, complete };
+};
+
+const identity = loadOrCreateIdentity("");
+
+test("pairing code is six random digits that only the host knows", () => {
+  const codes = new Set();
+  for (let index = 0; index < 5; index += 1) {
+    const { offer } = createController();
+    const { pairingCode, accept } = createE2eHandshake({ sessionId: "s1", identity, offer });
+    assert.match(pairingCode, /^\d{6}$/);
+    assert.equal(JSON.stringify(accept).includes(pairingCode), false);
+    codes.add(pairingCode);
+  }
+  assert.ok(codes.size > 1);
+});
+
+test("the confirm MAC verifies with the right code and fails with a wrong one", async () => {
+  const controller = createController();
+  const handshake = createE2eHandshake({ sessionId: "s1", identity, offer: controller.offer });
+  const { transcript, confirmKey, hostSigned } = controller.complete("s1", handshake.accept);
+  assert.equal(hostSigned, true);
+
+  const wrongCode = String((Number(handshake.pairingCode) + 1) % 1_000_000).padStart(6, "0");
+  const wrongMac = await computeConfirmMac({ confirmKey, transcript, pairingCode: wrongCode });
+  assert.equal(await handshake.verifyConfirm({ mac: wrongMac.toString("base64url") }), false);
+
+  const mac = await computeConfirmMac({
+    confirmKey,
+    transcript,
+    pairingCode: handshake.pairingCode,
+  });
+  assert.equal(await handshake.verifyConfirm({ mac: mac.toString("base64url") }), true);
+  assert.equal(await handshake.verifyConfirm({}), false);
+});
+
+test("the channel round-trips payloads and refuses replays and tampering", () => {
+  const controller = createController();
+  const handshake = createE2eHandshake({ sessionId: "s1", identity, offer: controller.offer });
+  const { channel: controllerChannel } = controller.complete("s1", handshake.accept);
+  const hostChannel = handshake.createChannel();
+
+  const image = Buffer.from([1, 2, 3, 255]);
+  const sealedFrame = hostChannel.seal("remote-host-frame", { seq: 4, image });
+  const opened = controllerChannel.open("remote-host-frame", sealedFrame);
+  assert.equal(opened.seq, 4);
+  assert.deepEqual(opened.image, image);
+
+  const sealedInput = controllerChannel.seal("remote-input", { event: { type: "move" } });
+  assert.throws(() => hostChannel.open("remote-clipboard-set", sealedInput), {
+    reason: "e2e-invalid",
+  });
+  assert.deepEqual(hostChannel.open("remote-input", sealedInput), { event: { type: "move" } });
+  assert.throws(() => hostChannel.open("remote-input", sealedInput), { reason: "e2e-replay" });
+
+  const tampered = controllerChannel.seal("remote-input", { event: { type: "click" } });
+  tampered.box = Buffer.from(tampered.box);
+  tampered.box[0] ^= 1;
+  assert.throws(() => hostChannel.open("remote-input", tampered), { reason: "e2e-invalid" });
+});
+
+test("pinned-key mode accepts only pinned controller keys", async () => {
+  const pinned = generateKeyPairSync("ed25519");
+  const stranger = createController({ identityKeyPair: generateKeyPairSync("ed25519") });
+  assert.throws(
+    () =>
+      createE2eHandshake({
+        sessionId: "s2",
+        identity,
+        offer: stranger.offer,
+        verifyMode: "pinned-key",
+        trustedControllerKeys: [exportRaw(pinned.publicKey)],
+      }),
+    { reason: "e2e-untrusted-controller" }
+  );
+
+  const controller = createController({ identityKeyPair: pinned });
+  const handshake = createE2eHandshake({
+    sessionId: "s2",
+    identity,
+    offer: controller.offer,
+    verifyMode: "pinned-key",
+    trustedControllerKeys: [exportRaw(pinned.publicKey)],
+  });
+  const { transcript } = controller.complete("s2", handshake.accept);
+  const signature = sign(null, transcript, pinned.privateKey).toString("base64url");
+  assert.equal(await handshake.verifyConfirm({ signature }), true);
+  const forged = sign(null, randomBytes(32), pinned.privateKey).toString("base64url");
+  assert.equal(await handshake.verifyConfirm({ signature: forged }), false);
+});
+
+test("malformed offers are refused", () => {
+  assert.throws(
+    () => createE2eHandshake({ sessionId: "s3", identity, offer: { publicKey: "x", nonce: "y" } }),
+    { reason: "e2e-invalid-offer" }
+  );
+});
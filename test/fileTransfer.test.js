@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createHash } = require("crypto");
+const {
+  createFileTransferManager,
+  prunePartialUploads,
+  sanitizeFileName,
+} = require("../src/fileTransfer");
+
+const sha256 = (buffer) => createHash("sha256").update(buffer).digest("hex");
+
+const makeTempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-files-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test("file names are reduced to one safe segment", () => {
+  assert.equal(sanitizeFileName("../../etc/passwd"), "passwd");
+  assert.equal(sanitizeFileName("C:\\Users\\me\\report.pdf"), "report.pdf");
+  assert.equal(sanitizeFileName("..."), "file");
+});
+
+test("an upload lands in the inbox once its checksum matches", async (t) => {
+  const inboxDir = makeTempDir(t);
+  const events = [];
+  const manager = createFileTransferManager({
+    inboxDir,
+    maxBytes: 1024,
+    emit: (eventName, payload) => events.push([eventName, payload]),
+  });
+  const data = Buffer.from("hello inbox");
+
+  await manager.startUpload({
+    transferId: "t1",
+    name: "../note.txt",
+    size: data.length,
+    sha256: sha256(data),
+  });
+  await manager.receiveChunk({ transferId: "t1", offset: 0, data, sha256: sha256(data) });
+
+  assert.equal(fs.readFileSync(path.join(inboxDir, "note.txt"), "utf8"), "hello inbox");
+  const complete = events.find(([eventName]) => eventName === "remote-file-complete");
+  assert.equal(complete[1].name, "note.txt");
+  assert.deepEqual(fs.readdirSync(path.join(inboxDir, ".partial")), []);
+});
+
+test("cancel removes the partial upload", async (t) => {
+  const inboxDir = makeTempDir(t);
+  const manager = createFileTransferManager({ inboxDir, maxBytes: 1024, emit: () => {} });
+  await manager.startUpload({ transferId: "t2", name: "a.bin", size: 10, sha256: "0".repeat(64) });
+  assert.equal(fs.readdirSync(path.join(inboxDir, ".partial")).length, 2);
+  await manager.cancel({ transferId: "t2" });
+  assert.deepEqual(fs.readdirSync(path.join(inboxDir, ".partial")), []);
+});
+
+test("chunks queued before a restart are not written into the restarted upload", async (t) => {
+  const inboxDir = makeTempDir(t);
+  const events = [];
+  const manager = createFileTransferManager({
+    inboxDir,
+    maxBytes: 1024,
+    emit: (eventName, payload) => events.push([eventName, payload]),
+  });
+  const data = Buffer.from("abcdefgh");
+  const start = { transferId: "t3", name: "a.bin", size: data.length, sha256: sha256(data) };
+  await manager.startUpload(start);
+
+  const first = data.subarray(0, 4);
+  const second = data.subarray(4);
+  const queued = [
+    manager.receiveChunk({ transferId: "t3", offset: 0, data: first, sha256: sha256(first) }),
+    manager.receiveChunk({ transferId: "t3", offset: 4, data: second, sha256: sha256(second) }),
+  ];
+  await manager.startUpload(start);
+  await Promise.all(queued);
+
+  const ready = events.filter(([eventName]) => eventName === "remote-file-upload-ready");
+  assert.equal(ready.at(-1)[1].offset, 0);
+  assert.equal(fs.statSync(path.join(inboxDir, ".partial", "t3.part")).size, 0);
+  assert.equal(events.some(([eventName]) => eventName === "remote-file-progress"), false);
+});
+
+test("uploads beyond the concurrent limit are refused", async (t) => {
+  const inboxDir = makeTempDir(t);
+  const errors = [];
+  const manager = createFileTransferManager({
+    inboxDir,
+    maxBytes: 1024,
+    maxConcurrentUploads: 2,
+    emit: (eventName, payload) => eventName === "remote-file-error" && errors.push(payload),
+  });
+  const upload = (transferId) =>
+    manager.startUpload({ transferId, name: "a.bin", size: 10, sha256: "0".repeat(64) });
+  await Promise.all([upload("u1"), upload("u2"), upload("u3")]);
+  assert.deepEqual(
+    errors.map(({ transferId, reason }) => [transferId, reason]),
+    [["u3", "too-many-uploads"]]
+  );
+  await upload("u2");
+  await manager.cancel({ transferId: "u1" });
+  await upload("u3");
+  assert.equal(errors.length, 1);
+});
+
+test("stale and over-quota partial uploads are pruned, active ones kept", async (t) => {
+  const partialDir = makeTempDir(t);
+  const writePartial = (transferId, bytes, ageHours) => {
+    const mtime = new Date(Date.now() - ageHours * 60 * 60 * 1000);
+    for (const [extension, size] of [[".part", bytes], [".json", 2]]) {
+      const filePath = path.join(partialDir, `${transferId}${extension}`);
+      fs.writeFileSync(filePath, Buffer.alloc(size));
+      fs.utimesSync(filePath, mtime, mtime);
+    }
+  };
+  writePartial("fresh", 100, 1);
+  writePartial("older", 100, 2);
+  writePartial("stale", 10, 48);
+  writePartial("active", 5000, 72);
+
+  const removed = await prunePartialUploads(partialDir, {
+    maxAgeHours: 24,
+    maxTotalBytes: 150,
+    keepIds: new Set(["active"]),
+  });
+  assert.deepEqual(removed.sort(), ["older", "stale"]);
+  assert.deepEqual(fs.readdirSync(partialDir).sort(), [
+    "active.json",
+    "active.part",
+    "fresh.json",
+    "fresh.part",
+  ]);
+});
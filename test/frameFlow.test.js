@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFrameFlowController } = require("../src/frames/frameFlow");
+
+const sendFrames = (flow, count, now, bytes = 1000) => {
+  for (let index = 0; index < count; index += 1) flow.track(flow.nextSeq(), now, bytes);
+};
+
+test("flow control stays off until the first ack", () => {
+  const flow = createFrameFlowController({ windowSize: 2, ackTimeoutMs: 1000 });
+  sendFrames(flow, 5, 0);
+  assert.equal(flow.isWindowFull(10), false);
+  assert.equal(flow.getAckLimitedFps(), Infinity);
+});
+
+test("frames sent before the first ack are capped to the window", () => {
+  const flow = createFrameFlowController({ windowSize: 2, ackTimeoutMs: 1000 });
+  sendFrames(flow, 10_000, 0);
+  assert.equal(flow.getUnackedCount(), 2);
+  sendFrames(flow, 1, 5000);
+  assert.equal(flow.getUnackedCount(), 1);
+  assert.equal(flow.ack(10_001, 5040), 40);
+  assert.equal(flow.getUnackedCount(), 0);
+});
+
+test("acks are cumulative and the window fills with unacked frames", () => {
+  const flow = createFrameFlowController({ windowSize: 2, ackTimeoutMs: 1000 });
+  sendFrames(flow, 3, 0);
+  assert.equal(flow.ack(2, 100), 100);
+  assert.equal(flow.getUnackedCount(), 1);
+  assert.equal(flow.isWindowFull(100), false);
+  sendFrames(flow, 1, 100);
+  assert.equal(flow.isWindowFull(100), true);
+  assert.equal(flow.ack(99, 150), null);
+  assert.equal(flow.getAckLimitedFps(), 20);
+});
+
+test("frames unacked past the timeout no longer hold the window", () => {
+  const flow = createFrameFlowController({ windowSize: 1, ackTimeoutMs: 500 });
+  sendFrames(flow, 1, 0);
+  flow.ack(1, 50);
+  sendFrames(flow, 1, 100);
+  assert.equal(flow.isWindowFull(200), true);
+  assert.equal(flow.isWindowFull(700), false);
+});
+
+test("throughput and latency are smoothed and cleared by reset", () => {
+  const flow = createFrameFlowController({ windowSize: 3 });
+  sendFrames(flow, 1, 0, 10_000);
+  flow.ack(1, 100);
+  assert.equal(flow.getThroughputBytesPerSec(), 100_000);
+  sendFrames(flow, 1, 100, 10_000);
+  flow.ack(2, 300);
+  assert.equal(flow.getAckLatencyMs(), 130);
+  assert.equal(flow.getThroughputBytesPerSec(), 85_000);
+
+  flow.reset();
+  assert.equal(flow.getAckLatencyMs(), 0);
+  assert.equal(flow.isWindowFull(), false);
+  assert.equal(flow.getLastSeq(), 2);
+});
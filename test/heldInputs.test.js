@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHeldInputTracker, toHeldKeyId } = require("../src/input/heldInputs");
+
+test("releaseAll lifts every key and button still down, once", () => {
+  const tracker = createHeldInputTracker();
+  tracker.track({ type: "key-down", key: "Shift", code: "ShiftLeft" });
+  tracker.track({ type: "key-down", key: "a", code: "KeyA" });
+  tracker.track({ type: "key-up", key: "a", code: "KeyA" });
+  tracker.track({ type: "mouse-down", button: "left", x: 0.5, y: 0.5 });
+  assert.equal(tracker.size(), 2);
+
+  assert.deepEqual(tracker.releaseAll(), [
+    { type: "key-up", key: "Shift", code: "ShiftLeft" },
+    { type: "mouse-up", button: "left" },
+  ]);
+  assert.equal(tracker.size(), 0);
+  assert.deepEqual(tracker.releaseAll(), []);
+});
+
+test("a key-up pairs with its key-down however the key was named", () => {
+  const tracker = createHeldInputTracker();
+  tracker.track({ type: "key-down", key: "a", code: "KeyA" });
+  tracker.track({ type: "key-up", key: "A" });
+  tracker.track({ type: "key-down", key: "1" });
+  tracker.track({ type: "key-up", key: "!", code: "Digit1" });
+  tracker.track({ type: "key-down", code: "Enter" });
+  tracker.track({ type: "key-up", key: "Enter" });
+  assert.equal(tracker.size(), 0);
+});
+
+test("keys are released with the fields they were pressed with", () => {
+  const tracker = createHeldInputTracker();
+  tracker.track({ type: "key-down", key: "é" });
+  tracker.track({ type: "key-down", key: "é" });
+  assert.deepEqual(tracker.releaseAll(), [{ type: "key-up", key: "é" }]);
+});
+
+test("type-text and key-combo are not tracked", () => {
+  const tracker = createHeldInputTracker();
+  tracker.track({ type: "type-text", text: "hello" });
+  tracker.track({ type: "key-combo", keys: [{ code: "ControlLeft" }, { code: "KeyC" }] });
+  assert.equal(tracker.size(), 0);
+});
+
+test("toHeldKeyId maps keys to physical codes", () => {
+  assert.equal(toHeldKeyId({ code: "KeyQ", key: "a" }), "KeyQ");
+  assert.equal(toHeldKeyId({ key: "z" }), "KeyZ");
+  assert.equal(toHeldKeyId({ key: "7" }), "Digit7");
+  assert.equal(toHeldKeyId({ key: " " }), "Space");
+  assert.equal(toHeldKeyId({ key: "?" }), "Slash");
+  assert.equal(toHeldKeyId({ key: "Control" }), "ControlLeft");
+  assert.equal(toHeldKeyId({ key: "F11" }), "F11");
+  assert.equal(toHeldKeyId({ key: "ß" }), "key:ß");
+});
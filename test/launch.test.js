@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateKeyPairSync, sign } = require("crypto");
+const { buildSigningInput, evaluateLaunch } = require("../src/launch");
+
+const configuredServerUrl = "https://relay.example";
+const publisher = generateKeyPairSync("ed25519");
+const publisherKey = publisher.publicKey.export({ format: "jwk" }).x;
+const nowSec = 1_800_000_000;
+
+const signLaunch = (query, privateKey = publisher.privateKey) => {
+  const params = new URLSearchParams(query);
+  const signature = sign(null, Buffer.from(buildSigningInput(params)), privateKey);
+  params.set("sig", signature.toString("base64url"));
+  return `hostapp://open?${params}`;
+};
+
+const evaluate = (launchUrl, options = {}) =>
+  evaluateLaunch({
+    launchUrl,
+    configuredServerUrl,
+    allowedServers: ["https://partner.example/"],
+    publisherKeys: [publisherKey],
+    nowSec,
+    ...options,
+  });
+
+test("launches that keep the configured server and identity are trusted", () => {
+  assert.equal(evaluate("hostapp://open").reason, "configured-server");
+  assert.equal(evaluate("hostapp://open?fps=10").trusted, true);
+  assert.equal(evaluate("hostapp://open?server=https://relay.example/path").trusted, true);
+});
+
+test("choosing the host id or token needs a signature, even on the configured server", () => {
+  const queries = [
+    "hostId=attacker",
+    "id=attacker",
+    "token=t",
+    "server=https://relay.example&auth=t",
+  ];
+  for (const query of queries) {
+    const verdict = evaluate(`hostapp://open?${query}`);
+    assert.equal(verdict.trusted, false, query);
+    assert.equal(verdict.reason, "unsigned-identity", query);
+  }
+  const signed = evaluate(signLaunch({ hostId: "desk-7", ts: String(nowSec) }));
+  assert.equal(signed.trusted, true);
+  assert.equal(signed.reason, "signed");
+  assert.equal(signed.hostId, "desk-7");
+});
+
+test("other servers need the allowlist or a valid, fresh signature", () => {
+  assert.equal(evaluate("hostapp://open?server=https://evil.example").reason, "untrusted-server");
+  assert.equal(
+    evaluate("hostapp://open?server=https://partner.example&hostId=x").reason,
+    "allowlisted"
+  );
+  assert.equal(evaluate("hostapp://open?server=ftp://relay.example").reason, "malformed-url");
+
+  const query = { server: "https://other.example", ts: String(nowSec - 10) };
+  assert.equal(evaluate(signLaunch(query)).reason, "signed");
+  assert.equal(evaluate(signLaunch(query)).signer, publisherKey);
+  assert.equal(
+    evaluate(signLaunch(query, generateKeyPairSync("ed25519").privateKey)).reason,
+    "bad-signature"
+  );
+  assert.equal(
+    evaluate(signLaunch({ ...query, ts: String(nowSec - 3600) })).reason,
+    "signature-expired"
+  );
+  assert.equal(
+    evaluate(signLaunch({ server: "https://other.example" })).reason,
+    "signature-missing-ts"
+  );
+  const tampered = signLaunch(query).replace("other.example", "evil.example");
+  assert.equal(evaluate(tampered).reason, "bad-signature");
+});
+
+test("host ids outside the host-id character set are refused and not echoed", () => {
+  const hostile = "x’); Start-Process calc; (‘";
+  const verdict = evaluate(signLaunch({ hostId: hostile, ts: String(nowSec) }));
+  assert.equal(verdict.trusted, false);
+  assert.equal(verdict.reason, "invalid-host-id");
+  assert.equal(verdict.hostId, "");
+  assert.equal(evaluate(`hostapp://open?id=${"a".repeat(65)}`).reason, "invalid-host-id");
+  assert.equal(evaluate("hostapp://open?hostId=desk_7-b").reason, "unsigned-identity");
+});
+
+test("tokens and signatures are named but never recorded", () => {
+  const verdict = evaluate(signLaunch({ token: "secret-token", ts: String(nowSec) }));
+  assert.deepEqual(verdict.params, ["token(redacted)", "ts", "sig(redacted)"]);
+  assert.equal(JSON.stringify(verdict).includes("secret-token"), false);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { METRICS_HOST, createMetricsRegistry, createMetricsServer } = require("../src/metrics");
+
+const rawRequest = (port, request) =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect(port, METRICS_HOST, () => socket.end(request));
+    let response = "";
+    socket.on("data", (chunk) => (response += chunk));
+    socket.on("end", () => resolve(response));
+    socket.on("error", reject);
+  });
+
+test("unparseable request targets get a 400 and metrics are still served", async (t) => {
+  const registry = createMetricsRegistry({ prefix: "agent_" });
+  const server = createMetricsServer({ port: 0, registry });
+  const port = await server.start();
+  t.after(() => server.stop());
+
+  const bad = await rawRequest(port, "GET http://[ HTTP/1.1\r\nHost: localhost\r\n\r\n");
+  assert.match(bad, /^HTTP\/1\.1 400 /);
+  const scrape = await rawRequest(
+    port,
+    "GET /metrics HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"
+  );
+  assert.match(scrape, /^HTTP\/1\.1 200 /);
+});
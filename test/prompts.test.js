@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildWindowsDialog, createHeadlessPrompt } = require("../src/consent/prompts");
+
+test("the Windows dialog passes text through the environment, never the script", () => {
+  const hostile = "Bob’); Start-Process calc; (‘ ' \"$(calc)\"";
+  const dialog = buildWindowsDialog(`Allow ${hostile}?`, 30, hostile);
+  for (const arg of dialog.args) {
+    assert.equal(arg.includes("calc"), false);
+    assert.equal(arg.includes("Bob"), false);
+  }
+  assert.equal(dialog.env.REMOTE_DIALOG_MESSAGE, `Allow ${hostile}?`);
+  assert.equal(dialog.env.REMOTE_DIALOG_TITLE, hostile);
+  assert.match(
+    dialog.args.at(-1),
+    /Popup\(\$env:REMOTE_DIALOG_MESSAGE, 30, \$env:REMOTE_DIALOG_TITLE/
+  );
+});
+
+test("the headless prompt answers after its delay, or times out past the timeout", async () => {
+  const startedAt = Date.now();
+  const quick = createHeadlessPrompt({ response: "accept", delayMs: 50 });
+  assert.equal(await quick("?", 1000), "accept");
+  assert.ok(Date.now() - startedAt >= 45);
+  const slow = createHeadlessPrompt({ response: "accept", delayMs: 500 });
+  assert.equal(await slow("?", 20), "timeout");
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isSignedToken,
+  signSessionToken,
+  verifySessionToken,
+  createSessionTokenManager,
+} = require("../src/auth/sessionToken");
+
+const secret = "a".repeat(64);
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+test("a signed token verifies for its host until it expires", () => {
+  const issuedAt = nowSec();
+  const token = signSessionToken({ hostId: "host-1", secret, ttlSec: 600, issuedAt });
+  assert.equal(isSignedToken(token), true);
+
+  const result = verifySessionToken(token, { hostId: "host-1", secret, now: issuedAt + 10 });
+  assert.equal(result.ok, true);
+  assert.equal(result.claims.sub, "host-1");
+  assert.equal(result.claims.exp, issuedAt + 600);
+
+  assert.deepEqual(verifySessionToken(token, { hostId: "host-1", secret, now: issuedAt + 600 }), {
+    ok: false,
+    reason: "expired",
+  });
+});
+
+test("tokens for another host, with another secret or from the future are refused", () => {
+  const issuedAt = nowSec();
+  const token = signSessionToken({ hostId: "host-1", secret, ttlSec: 600, issuedAt });
+  assert.equal(verifySessionToken(token, { hostId: "host-2", secret }).reason, "wrong-host");
+  assert.equal(
+    verifySessionToken(token, { hostId: "host-1", secret: "b".repeat(64) }).reason,
+    "bad-signature"
+  );
+  const future = signSessionToken({
+    hostId: "host-1",
+    secret,
+    ttlSec: 600,
+    issuedAt: issuedAt + 3600,
+  });
+  assert.equal(
+    verifySessionToken(future, { hostId: "host-1", secret, now: issuedAt }).reason,
+    "not-yet-valid"
+  );
+});
+
+test("tampered or malformed tokens are refused", () => {
+  const token = signSessionToken({ hostId: "host-1", secret, ttlSec: 600 });
+  const [header, , signature] = token.split(".");
+  const claims = Buffer.from(
+    JSON.stringify({ sub: "host-1", iat: nowSec(), exp: nowSec() + 10 ** 6 })
+  ).toString("base64url");
+  assert.equal(
+    verifySessionToken(`${header}.${claims}.${signature}`, { hostId: "host-1", secret }).reason,
+    "bad-signature"
+  );
+  assert.equal(verifySessionToken("static-token", { hostId: "host-1", secret }).reason, "malformed");
+  assert.equal(isSignedToken("static-token"), false);
+});
+
+test("the manager reuses its token and accepts only fresh tokens for this host", (t) => {
+  const manager = createSessionTokenManager({ hostId: "host-1", secret, ttlSec: 600 });
+  t.after(() => manager.stop());
+
+  const first = manager.current();
+  assert.equal(manager.current(), first);
+  assert.equal(verifySessionToken(first, { hostId: "host-1", secret }).ok, true);
+
+  const launchToken = signSessionToken({ hostId: "host-1", secret, ttlSec: 600 });
+  assert.equal(manager.accept(launchToken).ok, true);
+  assert.equal(manager.current(), launchToken);
+
+  const almostExpired = signSessionToken({
+    hostId: "host-1",
+    secret,
+    ttlSec: 600,
+    issuedAt: nowSec() - 590,
+  });
+  assert.deepEqual(manager.accept(almostExpired), { ok: false, reason: "expired" });
+  const otherHost = signSessionToken({ hostId: "host-2", secret, ttlSec: 600 });
+  assert.equal(manager.accept(otherHost).reason, "wrong-host");
+  assert.equal(manager.current(), launchToken);
+});
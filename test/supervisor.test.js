@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createInputSupervisor } = require("../src/input/supervisor");
+
+const createFakeBackend = () => {
+  const backend = {
+    name: "fake",
+    running: false,
+    sent: [],
+    onExit: null,
+    start: async ({ onExit }) => {
+      backend.running = true;
+      backend.onExit = onExit;
+      return true;
+    },
+    stop: () => {
+      backend.running = false;
+    },
+    isRunning: () => backend.running,
+    send: (event) => backend.sent.push(event),
+  };
+  return backend;
+};
+
+test("releases queued during a restart survive the age limit and a full queue", async (t) => {
+  const backend = createFakeBackend();
+  let recovered;
+  const available = new Promise((resolve) => (recovered = resolve));
+  const supervisor = createInputSupervisor({
+    backend,
+    getStartOptions: () => ({}),
+    onUnavailable: () => {},
+    onAvailable: () => recovered(),
+  });
+  t.after(() => supervisor.stop());
+  assert.equal(await supervisor.start(), true);
+
+  backend.running = false;
+  backend.onExit({ code: 1 });
+  assert.equal(supervisor.send({ type: "key-down", key: "a" }), true);
+  assert.equal(supervisor.send({ type: "key-up", key: "a" }), true);
+  assert.equal(supervisor.send({ type: "mouse-up", button: "left" }), true);
+  for (let index = 0; index < 70; index += 1) supervisor.send({ type: "move", x: 0, y: 0 });
+
+  const queuedAt = Date.now();
+  t.mock.method(Date, "now", () => queuedAt + 10_000);
+  await available;
+  assert.deepEqual(backend.sent, [
+    { type: "key-up", key: "a" },
+    { type: "mouse-up", button: "left" },
+  ]);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const jpeg = require("jpeg-js");
+const { createTileFrameEncoder } = require("../src/frames/tileEncoder");
+const { createFrameEncoderWorker } = require("../src/frames/encoderWorker");
+
+const WIDTH = 256;
+const HEIGHT = 128;
+
+// A flat grey frame with the listed 64px tiles painted red.
+const renderFrame = (redTiles = [], width = WIDTH, height = HEIGHT) => {
+  const pixels = Buffer.alloc(width * height * 4, 128);
+  for (const [tileX, tileY] of redTiles) {
+    for (let y = tileY * 64; y < tileY * 64 + 64; y += 1) {
+      for (let x = tileX * 64; x < tileX * 64 + 64; x += 1) {
+        const offset = (y * width + x) * 4;
+        pixels[offset] = 255;
+        pixels[offset + 1] = 0;
+        pixels[offset + 2] = 0;
+      }
+    }
+  }
+  return jpeg.encode({ data: pixels, width, height }, 90).data;
+};
+
+test("the first frame is a keyframe and unchanged frames send nothing", () => {
+  const encoder = createTileFrameEncoder({ tileSize: 64 });
+  const frame = renderFrame();
+  const keyframe = encoder.encode(frame, 1000);
+  assert.equal(keyframe.kind, "keyframe");
+  assert.equal(keyframe.image, frame);
+  assert.equal(keyframe.width, WIDTH);
+  assert.equal(encoder.encode(frame, 1100), null);
+  assert.equal(encoder.encode(renderFrame(), 1200), null);
+});
+
+test("a small change is sent as a delta of the changed tiles", () => {
+  const encoder = createTileFrameEncoder({ tileSize: 64 });
+  const keyframe = encoder.encode(renderFrame(), 1000);
+  const delta = encoder.encode(renderFrame([[2, 1]]), 1100);
+  assert.equal(delta.kind, "delta");
+  assert.equal(delta.baseFrameId, keyframe.frameId);
+  assert.deepEqual(
+    delta.tiles.map(({ x, y, width, height }) => ({ x, y, width, height })),
+    [{ x: 128, y: 64, width: 64, height: 64 }]
+  );
+  const tile = jpeg.decode(delta.tiles[0].image);
+  assert.equal(tile.width, 64);
+  assert.ok(tile.data[0] > 200 && tile.data[1] < 50);
+});
+
+test("keyframes are sent on request, on resize, on interval and when most tiles change", () => {
+  const encoder = createTileFrameEncoder({ tileSize: 64, keyframeIntervalMs: 5000 });
+  encoder.encode(renderFrame(), 1000);
+
+  encoder.requestKeyframe();
+  assert.equal(encoder.encode(renderFrame(), 1100).kind, "keyframe");
+  assert.equal(encoder.encode(renderFrame([], 320, 128), 1200).kind, "keyframe");
+  assert.equal(encoder.encode(renderFrame([], 320, 128), 6300).kind, "keyframe");
+  const mostChanged = renderFrame([[0, 0], [1, 0], [2, 0], [3, 0], [4, 0]], 320, 128);
+  assert.equal(encoder.encode(mostChanged, 6400).kind, "keyframe");
+});
+
+test("the worker encoder produces the same updates off the main thread", async (t) => {
+  const encoder = createFrameEncoderWorker({ tileSize: 64 });
+  t.after(() => encoder.stop());
+
+  const keyframe = await encoder.encodeTiles(renderFrame());
+  assert.equal(keyframe.kind, "keyframe");
+  assert.ok(Buffer.isBuffer(keyframe.image));
+  assert.equal(await encoder.encodeTiles(renderFrame()), null);
+
+  const delta = await encoder.encodeTiles(renderFrame([[0, 1]]));
+  assert.equal(delta.kind, "delta");
+  assert.equal(delta.tiles.length, 1);
+  assert.ok(Buffer.isBuffer(delta.tiles[0].image));
+
+  encoder.requestKeyframe();
+  assert.equal((await encoder.encodeTiles(renderFrame([[0, 1]]))).kind, "keyframe");
+
+  const frame = renderFrame([[1, 1]]);
+  assert.deepEqual(await encoder.fit(frame, frame.length), { image: frame, scale: 1, quality: null });
+  const fitted = await encoder.fit(frame, Math.floor(frame.length / 2));
+  assert.ok(fitted.image.length <= frame.length / 2);
+  assert.ok(Buffer.isBuffer(fitted.image));
+});
+
+test("full frames repeating the last one sent are skipped until a resend is due", () => {
+  const encoder = createFrameEncoderWorker({ keyframeIntervalMs: 1000 });
+  const still = Buffer.from("same capture");
+  const hash = encoder.hashFullFrame(still, 0);
+  assert.ok(hash);
+  // Not sent yet (e.g. dropped over budget), so the next identical capture still goes out.
+  assert.equal(encoder.hashFullFrame(still, 10), hash);
+  encoder.markFullFrameSent(hash, 10);
+  assert.equal(encoder.hashFullFrame(still, 20), null);
+  assert.ok(encoder.hashFullFrame(Buffer.from("changed"), 20));
+  assert.equal(encoder.hashFullFrame(still, 1010), hash);
+  encoder.requestKeyframe();
+  assert.equal(encoder.hashFullFrame(still, 30), hash);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeInputEvent, createTokenBucket } = require("../src/input/validation");
+
+test("sanitizeInputEvent keeps only schema fields and clamps coordinates", () => {
+  const { event } = sanitizeInputEvent({ type: "move", x: 1.5, y: -2, extra: "dropped" });
+  assert.deepEqual(event, { type: "move", x: 1, y: 0 });
+});
+
+test("sanitizeInputEvent rejects unknown types, bad coordinates and bad buttons", () => {
+  assert.equal(sanitizeInputEvent(null).reason, "invalid-event");
+  assert.equal(sanitizeInputEvent({ type: "exec" }).reason, "unknown-type");
+  assert.equal(sanitizeInputEvent({ type: "move" }).reason, "missing-coordinates");
+  assert.equal(sanitizeInputEvent({ type: "move", x: "a", y: 0 }).reason, "invalid-coordinates");
+  assert.equal(sanitizeInputEvent({ type: "click", button: "side" }).reason, "invalid-button");
+});
+
+test("sanitizeInputEvent clamps wheel deltas", () => {
+  const { event } = sanitizeInputEvent({ type: "wheel", deltaY: 1e9, deltaX: -1e9 });
+  assert.deepEqual(event, { type: "wheel", deltaY: 10_000, deltaX: -10_000 });
+});
+
+test("sanitizeInputEvent accepts known keys and codes only", () => {
+  assert.deepEqual(sanitizeInputEvent({ type: "key-down", key: "a", code: "KeyA" }).event, {
+    type: "key-down",
+    key: "a",
+    code: "KeyA",
+  });
+  assert.deepEqual(sanitizeInputEvent({ type: "key-up", key: "a", code: "Bogus" }).event, {
+    type: "key-up",
+    key: "a",
+  });
+  assert.equal(sanitizeInputEvent({ type: "key-down", key: "\u0007" }).reason, "unknown-key");
+  assert.equal(sanitizeInputEvent({ type: "key-down", key: "NotAKey" }).reason, "unknown-key");
+});
+
+test("type-text normalizes line endings and refuses control characters", () => {
+  assert.deepEqual(sanitizeInputEvent({ type: "type-text", text: "a\r\nb\tc" }).event, {
+    type: "type-text",
+    text: "a\nb\tc",
+  });
+  assert.equal(sanitizeInputEvent({ type: "type-text", text: "" }).reason, "invalid-text");
+  assert.equal(sanitizeInputEvent({ type: "type-text", text: "a\u001bb" }).reason, "invalid-text");
+  assert.equal(
+    sanitizeInputEvent({ type: "type-text", text: "x".repeat(1001) }).reason,
+    "text-too-long"
+  );
+});
+
+test("key-combo reads codes, keys and key objects", () => {
+  const { event } = sanitizeInputEvent({
+    type: "key-combo",
+    keys: ["ControlLeft", "c", { key: "Shift", code: "ShiftLeft" }],
+  });
+  assert.deepEqual(event.keys, [
+    { code: "ControlLeft" },
+    { key: "c" },
+    { key: "Shift", code: "ShiftLeft" },
+  ]);
+  assert.equal(sanitizeInputEvent({ type: "key-combo", keys: [] }).reason, "invalid-combo");
+  assert.equal(
+    sanitizeInputEvent({ type: "key-combo", keys: Array(7).fill("a") }).reason,
+    "invalid-combo"
+  );
+  assert.equal(sanitizeInputEvent({ type: "key-combo", keys: ["NotAKey"] }).reason, "unknown-key");
+});
+
+test("token bucket allows a burst, then refills at the sustained rate", () => {
+  const bucket = createTokenBucket({ ratePerSec: 10, burst: 3 });
+  const start = Date.now();
+  assert.equal(bucket.take(start), true);
+  assert.equal(bucket.take(start), true);
+  assert.equal(bucket.take(start), true);
+  assert.equal(bucket.take(start), false);
+  assert.equal(bucket.take(start + 50), false);
+  assert.equal(bucket.take(start + 100), true);
+  assert.equal(bucket.take(start + 100), false);
+  // Refilling never goes past the burst size.
+  const later = start + 60_000;
+  for (let index = 0; index < 3; index += 1) assert.equal(bucket.take(later), true);
+  assert.equal(bucket.take(later), false);
+});
+
+test("separate buckets do not share tokens", () => {
+  const now = Date.now();
+  const flooding = createTokenBucket({ ratePerSec: 1, burst: 1 });
+  const other = createTokenBucket({ ratePerSec: 1, burst: 1 });
+  assert.equal(flooding.take(now), true);
+  assert.equal(flooding.take(now), false);
+  assert.equal(other.take(now), true);
+});
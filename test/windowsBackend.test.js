@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createWindowsInputBackend } = require("../src/input/windowsBackend");
+
+test("start resolves false when powershell cannot be spawned", async (t) => {
+  const originalPath = process.env.PATH;
+  process.env.PATH = "";
+  t.after(() => {
+    process.env.PATH = originalPath;
+  });
+  const backend = createWindowsInputBackend();
+  let exited = false;
+  assert.equal(await backend.start({ onExit: () => (exited = true) }), false);
+  assert.equal(backend.isRunning(), false);
+  assert.equal(exited, true);
+});